@@ -0,0 +1,103 @@
+// Кэш ответов погодного API с TTL и объединением одинаковых запросов "в полёте"
+
+export type CacheSource = "network" | "cache" | "shared";
+
+export interface CacheLookup<T> {
+  value: T;
+  source: CacheSource;
+  fetchedAt: number;
+  ageSeconds: number;
+}
+
+interface CacheEntry<T> {
+  value: T;
+  fetchedAt: number;
+}
+
+export class TtlCache<T> {
+  private entries = new Map<string, CacheEntry<T>>();
+  private inFlight = new Map<string, Promise<CacheEntry<T>>>();
+
+  constructor(
+    private ttlMs: number,
+    private maxEntries: number = 500
+  ) {}
+
+  // Возвращает значение из кэша, либо присоединяется к уже идущему запросу,
+  // либо выполняет fetcher. Ошибки не кэшируются.
+  async getOrFetch(key: string, fetcher: () => Promise<T>): Promise<CacheLookup<T>> {
+    const now = Date.now();
+    const cached = this.entries.get(key);
+
+    if (cached && now - cached.fetchedAt < this.ttlMs) {
+      return this.toLookup(cached, "cache");
+    }
+
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      return this.toLookup(await pending, "shared");
+    }
+
+    const request = fetcher()
+      .then((value) => {
+        const entry: CacheEntry<T> = { value, fetchedAt: Date.now() };
+        if (this.ttlMs > 0) {
+          this.store(key, entry);
+        }
+        return entry;
+      })
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+
+    this.inFlight.set(key, request);
+    return this.toLookup(await request, "network");
+  }
+
+  // Свежая запись из кэша без обращения к сети
+  peek(key: string): CacheLookup<T> | undefined {
+    const cached = this.entries.get(key);
+    if (cached && Date.now() - cached.fetchedAt < this.ttlMs) {
+      return this.toLookup(cached, "cache");
+    }
+    return undefined;
+  }
+
+  // Положить значение, полученное в обход getOrFetch (например, пакетным запросом)
+  set(key: string, value: T) {
+    if (this.ttlMs > 0) {
+      this.store(key, { value, fetchedAt: Date.now() });
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  private store(key: string, entry: CacheEntry<T>) {
+    // Map сохраняет порядок вставки: удаляем самые старые записи
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value as string;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  private toLookup(entry: CacheEntry<T>, source: CacheSource): CacheLookup<T> {
+    return {
+      value: entry.value,
+      source,
+      fetchedAt: entry.fetchedAt,
+      ageSeconds: Math.max(0, Math.round((Date.now() - entry.fetchedAt) / 1000)),
+    };
+  }
+}
+
+export function normalizeCityKey(city: string): string {
+  return city.normalize("NFC").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+export function cacheKey(kind: string, city: string, units: string, lang: string): string {
+  return [kind, normalizeCityKey(city), units, lang].join("|");
+}
@@ -0,0 +1,216 @@
+import { TtlCache, cacheKey, normalizeCityKey } from "./cache.js";
+import { cityNotFoundError } from "./providers/errors.js";
+import {
+  GeoPoint,
+  LocationCandidate,
+  PlaceQuery,
+  ProviderRequestOptions,
+  WeatherProvider,
+} from "./providers/index.js";
+
+// Определение места по названию или координатам. Название может быть уточнено
+// страной и регионом: "Paris, FR", "Paris, Texas, US". Если под название подходят
+// несколько разных мест и ни одно заметно не крупнее остальных, возвращается
+// AmbiguousLocationError со списком кандидатов вместо молчаливого выбора первого.
+
+// Кандидаты ближе этого расстояния (в градусах) в одной стране считаются одним местом
+const SAME_PLACE_DEGREES = 0.2;
+// Сколько кандидатов запрашивать у геокодера при определении места
+const RESOLVE_CANDIDATES = 5;
+
+// Место из аргументов инструмента: название или координаты. Если заданы координаты,
+// city используется только как подпись в ответе.
+export interface LocationInput {
+  city?: string;
+  lat?: number;
+  lon?: number;
+}
+
+export class AmbiguousLocationError extends Error {
+  constructor(
+    public query: string,
+    public candidates: LocationCandidate[]
+  ) {
+    super(
+      `Неоднозначное местоположение "${query}": найдено несколько мест. ` +
+      `Уточните страну или регион, либо укажите координаты lat/lon:\n` +
+      candidates.map((candidate) => `• ${formatCandidate(candidate)} → "${suggestQuery(candidate, candidates)}"`).join("\n")
+    );
+    this.name = "AmbiguousLocationError";
+  }
+}
+
+const COORDINATES_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*[,;]\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+// "55.75, 37.62" → координаты; всё остальное считается названием места
+export function parseCoordinates(text: string): { lat: number; lon: number } | null {
+  const match = COORDINATES_PATTERN.exec(text);
+  if (!match) {
+    return null;
+  }
+  return { lat: Number(match[1]), lon: Number(match[2]) };
+}
+
+export function isValidCoordinates(lat: unknown, lon: unknown): boolean {
+  return typeof lat === "number" && typeof lon === "number"
+    && Number.isFinite(lat) && Number.isFinite(lon)
+    && lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+}
+
+export function parsePlaceQuery(text: string): PlaceQuery {
+  const parts = text.split(",").map((part) => part.trim()).filter(Boolean);
+  let country: string | undefined;
+
+  if (parts.length >= 2 && /^[a-z]{2}$/i.test(parts[parts.length - 1])) {
+    country = parts.pop()!.toUpperCase();
+  }
+
+  return {
+    name: parts[0] ?? text.trim(),
+    region: parts.length >= 2 ? parts.slice(1).join(", ") : undefined,
+    country,
+  };
+}
+
+export function formatCandidate(candidate: {
+  name: string;
+  country?: string | null;
+  region?: string | null;
+  lat: number;
+  lon: number;
+}): string {
+  const place = [candidate.name, candidate.region, candidate.country].filter(Boolean).join(", ");
+  return `${place} (${candidate.lat.toFixed(4)}, ${candidate.lon.toFixed(4)})`;
+}
+
+// Уточнённое название, по которому кандидат определяется однозначно
+export function suggestQuery(candidate: LocationCandidate, all: LocationCandidate[]): string {
+  const sameCountry = all.filter((other) => other.country === candidate.country);
+  if (sameCountry.length > 1 && candidate.region) {
+    return [candidate.name, candidate.region, candidate.country].filter(Boolean).join(", ");
+  }
+  return [candidate.name, candidate.country].filter(Boolean).join(", ");
+}
+
+function matchesQuery(candidate: LocationCandidate, query: PlaceQuery): boolean {
+  if (query.country && candidate.country?.toUpperCase() !== query.country) {
+    return false;
+  }
+  if (query.region && !normalizeCityKey(candidate.region ?? "").includes(normalizeCityKey(query.region))) {
+    return false;
+  }
+  return true;
+}
+
+function isSamePlace(a: LocationCandidate, b: LocationCandidate): boolean {
+  return a.country === b.country
+    && Math.hypot(a.lat - b.lat, a.lon - b.lon) < SAME_PLACE_DEGREES;
+}
+
+// Оставляет разные места, подходящие под уточнения запроса. Если есть точные совпадения
+// по названию, частичные (например, "City of London" для "London") отбрасываются.
+export function distinctCandidates(query: PlaceQuery, candidates: LocationCandidate[]): LocationCandidate[] {
+  const matching = candidates.filter((candidate) => matchesQuery(candidate, query));
+  const exact = matching.filter((candidate) => normalizeCityKey(candidate.name) === normalizeCityKey(query.name));
+  const pool = exact.length > 0 ? exact : matching;
+
+  const distinct: LocationCandidate[] = [];
+  for (const candidate of pool) {
+    if (!distinct.some((existing) => isSamePlace(existing, candidate))) {
+      distinct.push(candidate);
+    }
+  }
+  return distinct;
+}
+
+// Место считается однозначным, если после отбора остался один кандидат или если население
+// самого крупного известно и превосходит население остальных в 1/ratio раз.
+// chosen = null, если определить место однозначно нельзя.
+export function chooseCandidate(
+  query: PlaceQuery,
+  candidates: LocationCandidate[],
+  ratio: number
+): { distinct: LocationCandidate[]; chosen: LocationCandidate | null } {
+  const distinct = distinctCandidates(query, candidates);
+
+  if (distinct.length <= 1) {
+    return { distinct, chosen: distinct[0] ?? null };
+  }
+
+  const withPopulation = distinct.every((candidate) => candidate.population !== undefined);
+  if (withPopulation) {
+    const [first, second] = [...distinct].sort((a, b) => b.population! - a.population!);
+    if (second.population! < first.population! * ratio) {
+      return { distinct, chosen: first };
+    }
+  }
+
+  return { distinct, chosen: null };
+}
+
+export function pickCandidate(text: string, query: PlaceQuery, candidates: LocationCandidate[], ratio: number): LocationCandidate {
+  const { distinct, chosen } = chooseCandidate(query, candidates, ratio);
+
+  if (distinct.length === 0) {
+    throw cityNotFoundError(text);
+  }
+  if (!chosen) {
+    throw new AmbiguousLocationError(text, distinct);
+  }
+  return chosen;
+}
+
+export class LocationResolver {
+  private cache: TtlCache<LocationCandidate[]>;
+
+  constructor(
+    private provider: WeatherProvider,
+    ttlMs: number,
+    private ambiguityRatio: number
+  ) {
+    this.cache = new TtlCache<LocationCandidate[]>(ttlMs);
+  }
+
+  async findLocations(text: string, options: ProviderRequestOptions, limit: number): Promise<LocationCandidate[]> {
+    const query = parsePlaceQuery(text);
+    const lookup = await this.cache.getOrFetch(
+      cacheKey(`${this.provider.name}:geo:${limit}`, text, "", options.lang),
+      () => this.provider.findLocations(query, options, limit)
+    );
+    return lookup.value.filter((candidate) => matchesQuery(candidate, query));
+  }
+
+  // Кандидаты для find_location и место, которое выберут инструменты погоды (null — неоднозначно)
+  async search(
+    text: string,
+    options: ProviderRequestOptions,
+    limit: number
+  ): Promise<{ candidates: LocationCandidate[]; chosen: LocationCandidate | null }> {
+    const candidates = await this.findLocations(text, options, limit);
+    const { distinct, chosen } = chooseCandidate(parsePlaceQuery(text), candidates, this.ambiguityRatio);
+    return { candidates: distinct, chosen };
+  }
+
+  async resolve(input: LocationInput, options: ProviderRequestOptions): Promise<GeoPoint> {
+    if (input.lat !== undefined && input.lon !== undefined) {
+      return { lat: input.lat, lon: input.lon, name: input.city };
+    }
+
+    const text = input.city ?? "";
+    const coordinates = parseCoordinates(text);
+    if (coordinates) {
+      return coordinates;
+    }
+
+    const candidates = await this.findLocations(text, options, RESOLVE_CANDIDATES);
+    const candidate = pickCandidate(text, parsePlaceQuery(text), candidates, this.ambiguityRatio);
+
+    return {
+      lat: candidate.lat,
+      lon: candidate.lon,
+      name: candidate.name,
+      country: candidate.country,
+      region: candidate.region,
+    };
+  }
+}
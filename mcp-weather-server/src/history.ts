@@ -0,0 +1,159 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { CurrentWeather, GeoPoint, Units, pointKey } from "./providers/index.js";
+import { toCelsius, toMetersPerSecond } from "./units.js";
+
+// Локальная история наблюдений: каждое полученное из сети показание дописывается строкой JSON
+// в файл за его UTC-дату (2024-05-14.jsonl). Запрос за период читает только файлы нужных дат.
+// Значения хранятся в метрической системе независимо от units запроса.
+
+// Наблюдения в пределах этого расстояния (в градусах) считаются относящимися к одному месту:
+// координаты из геокодирования и из запроса по lat/lon обычно немного различаются
+const MATCH_DEGREES = 0.05;
+const DAY_MS = 24 * 3600 * 1000;
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+export interface ObservationRecord {
+  observed_at: string;
+  provider: string;
+  lat: number;
+  lon: number;
+  name: string;
+  country: string | null;
+  region: string | null;
+  timezone_offset: number;
+  temperature: number;
+  feels_like: number;
+  humidity: number;
+  pressure: number;
+  wind_speed: number;
+  wind_deg: number;
+  clouds: number;
+  condition: string;
+  description: string;
+}
+
+export class ObservationHistory {
+  // Последнее записанное время наблюдения по точке — повторно полученное то же показание не пишется
+  private lastObserved = new Map<string, string>();
+  private writing: Promise<void> = Promise.resolve();
+  private lastCleanupDate: string | null = null;
+
+  constructor(
+    private directory: string,
+    private retentionDays: number
+  ) {}
+
+  // Ошибки записи не прерывают ответ инструмента — история не должна ломать получение погоды
+  record(point: GeoPoint, weather: CurrentWeather, units: Units, provider: string): Promise<void> {
+    const record: ObservationRecord = {
+      observed_at: new Date(weather.observedAt * 1000).toISOString(),
+      provider,
+      lat: point.lat,
+      lon: point.lon,
+      name: weather.location.name,
+      country: weather.location.country ?? null,
+      region: weather.location.region ?? null,
+      timezone_offset: weather.location.timezoneOffset,
+      temperature: toCelsius(weather.temp, units),
+      feels_like: toCelsius(weather.feelsLike, units),
+      humidity: weather.humidity,
+      pressure: weather.pressure,
+      wind_speed: toMetersPerSecond(weather.windSpeed, units),
+      wind_deg: weather.windDeg,
+      clouds: weather.clouds,
+      condition: weather.condition,
+      description: weather.description,
+    };
+
+    const key = pointKey(point);
+    if (this.lastObserved.get(key) === record.observed_at) {
+      return this.writing;
+    }
+    this.lastObserved.set(key, record.observed_at);
+
+    this.writing = this.writing
+      .then(() => this.append(record))
+      .catch((error) => {
+        console.error(`Failed to write weather history to ${this.directory}: ${error.message}`);
+      });
+    return this.writing;
+  }
+
+  // Наблюдения для точки за период [fromMs, toMs], по возрастанию времени
+  async query(point: GeoPoint, fromMs: number, toMs: number): Promise<ObservationRecord[]> {
+    await this.writing;
+    const records: ObservationRecord[] = [];
+
+    for (let day = Math.floor(fromMs / DAY_MS) * DAY_MS; day <= toMs; day += DAY_MS) {
+      for (const record of await this.readDay(dateKey(day))) {
+        const observedAt = Date.parse(record.observed_at);
+        if (
+          observedAt >= fromMs && observedAt <= toMs
+          && Math.hypot(record.lat - point.lat, record.lon - point.lon) <= MATCH_DEGREES
+        ) {
+          records.push(record);
+        }
+      }
+    }
+
+    records.sort((a, b) => Date.parse(a.observed_at) - Date.parse(b.observed_at));
+    // Одно и то же наблюдение могло быть записано разными процессами сервера
+    return records.filter((record, index) => index === 0 || record.observed_at !== records[index - 1].observed_at);
+  }
+
+  private async append(record: ObservationRecord): Promise<void> {
+    const date = record.observed_at.slice(0, 10);
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.appendFile(path.join(this.directory, `${date}.jsonl`), JSON.stringify(record) + "\n", "utf-8");
+
+    if (this.lastCleanupDate !== date) {
+      this.lastCleanupDate = date;
+      await this.removeExpired();
+    }
+  }
+
+  private async readDay(date: string): Promise<ObservationRecord[]> {
+    let content: string;
+    try {
+      content = await fs.readFile(path.join(this.directory, `${date}.jsonl`), "utf-8");
+    } catch (error: any) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw new Error(`Не удалось прочитать историю наблюдений из ${this.directory}: ${error.message}`);
+    }
+
+    const records: ObservationRecord[] = [];
+    for (const line of content.split("\n")) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Недописанная строка (например, после аварийного завершения) пропускается
+      }
+    }
+    return records;
+  }
+
+  // Удаляет файлы старше retentionDays (0 — хранить бессрочно)
+  private async removeExpired(): Promise<void> {
+    if (this.retentionDays <= 0) {
+      return;
+    }
+    const oldest = dateKey(Date.now() - this.retentionDays * DAY_MS);
+
+    for (const file of await fs.readdir(this.directory)) {
+      const match = FILE_PATTERN.exec(file);
+      if (match && match[1] < oldest) {
+        await fs.unlink(path.join(this.directory, file));
+      }
+    }
+  }
+}
+
+function dateKey(timeMs: number): string {
+  return new Date(timeMs).toISOString().slice(0, 10);
+}
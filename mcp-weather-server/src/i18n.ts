@@ -0,0 +1,366 @@
+import { CacheLookup } from "./cache.js";
+import { Units } from "./providers/index.js";
+
+// Подписи для текстовых ответов. Полностью поддерживаются русский и английский,
+// для остальных языков используется английский (описания погоды при этом
+// приходят от провайдера на запрошенном языке).
+
+export const SUPPORTED_UNITS: Units[] = ["metric", "imperial", "standard"];
+
+export interface Messages {
+  locale: string;
+  weatherIn: (city: string) => string;
+  temperature: string;
+  feelsLike: string;
+  condition: string;
+  wind: string;
+  humidity: string;
+  clouds: string;
+  pressure: string;
+  updatedAt: string;
+  forecastIn: (city: string, hours: number) => string;
+  precipitationProbability: string;
+  windMax: string;
+  noData: string;
+  fetchFailed: string;
+  sourceNetwork: string;
+  sourceFixture: string;
+  sourceCache: (age: string) => string;
+  sourceShared: (age: string) => string;
+  seconds: string;
+  minutes: string;
+  pressureUnit: string;
+  elapsedTotal: (count: number, elapsedMs: number) => string;
+  locationsFound: (query: string) => string;
+  noLocationsFound: (query: string) => string;
+  ambiguousLocation: string;
+  population: string;
+  historyIn: (city: string, count: number) => string;
+  historyPeriod: (from: string, to: string) => string;
+  noHistory: string;
+  aggregate: (min: number, max: number, avg: number) => string;
+  changeOverPeriod: string;
+  earlierSamples: (count: number) => string;
+  watchMetrics: Record<string, string>;
+  watchTriggered: (city: string, condition: string, value: string) => string;
+  watchCleared: (city: string, condition: string, value: string) => string;
+  watchCreated: string;
+  watchDeleted: (id: string) => string;
+  watchesHeader: (count: number) => string;
+  noWatches: string;
+  watchInterval: (minutes: number) => string;
+  watchHysteresis: string;
+  watchState: string;
+  watchStateArmed: string;
+  watchStateTriggered: string;
+  watchLastValue: string;
+  briefingPrompt: (cities: string[]) => string;
+  whatToWearPrompt: (city: string, hours: number) => string;
+  resourceUnavailable: (uri: string, error: string) => string;
+  uvIndex: string;
+  uvLevels: Record<string, string>;
+  visibility: string;
+  kilometers: string;
+  miles: string;
+  sunrise: string;
+  sunset: string;
+  daylight: string;
+  hours: string;
+  unavailable: string;
+  airQualityIn: (city: string) => string;
+  aqi: string;
+  aqiScales: Record<string, string>;
+  aqiCategories: Record<string, string>;
+  microgramsPerCubicMeter: string;
+}
+
+const RU: Messages = {
+  locale: "ru-RU",
+  weatherIn: (city) => `🌤️ Погода в ${city}:`,
+  temperature: "Температура",
+  feelsLike: "ощущается как",
+  condition: "Состояние",
+  wind: "Ветер",
+  humidity: "Влажность",
+  clouds: "Облачность",
+  pressure: "Давление",
+  updatedAt: "Время обновления",
+  forecastIn: (city, hours) => `🗓️ Прогноз погоды в ${city} на ${hours} ч:`,
+  precipitationProbability: "Вероятность осадков",
+  windMax: "максимум",
+  noData: "нет данных",
+  fetchFailed: "Не удалось получить данные",
+  sourceNetwork: "🌐 Свежие данные от API",
+  sourceFixture: "🧪 Тестовые данные из фикстур, не реальные наблюдения",
+  sourceCache: (age) => `📦 Данные из кэша (возраст: ${age})`,
+  sourceShared: (age) => `🔗 Данные получены параллельным запросом (возраст: ${age})`,
+  seconds: "с",
+  minutes: "мин",
+  pressureUnit: "гПа",
+  elapsedTotal: (count, elapsedMs) => `⏱️ Городов: ${count}, общее время: ${elapsedMs} мс`,
+  locationsFound: (query) => `📍 Места по запросу "${query}":`,
+  noLocationsFound: (query) => `📍 По запросу "${query}" ничего не найдено`,
+  ambiguousLocation: "⚠️ Название неоднозначно — для погоды укажите уточнённый запрос или координаты",
+  population: "население",
+  historyIn: (city, count) => `📈 История погоды в ${city} (наблюдений: ${count}):`,
+  historyPeriod: (from, to) => `Период: ${from} — ${to}`,
+  noHistory: "За этот период наблюдений нет",
+  aggregate: (min, max, avg) => `мин ${min}, макс ${max}, среднее ${avg}`,
+  changeOverPeriod: "Изменение за период",
+  earlierSamples: (count) => `… и ещё ${count} более ранних наблюдений`,
+  watchMetrics: {
+    temperature: "температура",
+    feels_like: "ощущаемая температура",
+    humidity: "влажность",
+    pressure: "давление",
+    wind_speed: "скорость ветра",
+    clouds: "облачность",
+  },
+  watchTriggered: (city, condition, value) => `⚠️ ${city}: ${condition} — сейчас ${value}`,
+  watchCleared: (city, condition, value) => `✅ ${city}: условие «${condition}» больше не выполняется — сейчас ${value}`,
+  watchCreated: "Наблюдение создано",
+  watchDeleted: (id) => `Наблюдение ${id} удалено`,
+  watchesHeader: (count) => `Наблюдений: ${count}`,
+  noWatches: "Наблюдений нет",
+  watchInterval: (minutes) => `проверка каждые ${minutes} мин`,
+  watchHysteresis: "гистерезис",
+  watchState: "Состояние",
+  watchStateArmed: "ожидает пересечения порога",
+  watchStateTriggered: "сработало",
+  watchLastValue: "Последнее значение",
+  briefingPrompt: (cities) => `Подготовь короткую утреннюю сводку погоды для городов: ${cities.join("; ")}.
+Для каждого города: текущая температура и состояние, диапазон температур на ближайшие сутки, вероятность осадков и сильный ветер, если он ожидается.
+В конце — одна строка с главным, на что стоит обратить внимание (например, дождь или заморозки). Данные о погоде приложены ниже в формате JSON.`,
+  whatToWearPrompt: (city, hours) => `Посоветуй, как одеться в городе ${city} на ближайшие ${hours} ч.
+Учитывай температуру и ощущаемую температуру, ветер, вероятность осадков и то, как погода изменится за это время.
+Ответ — короткий список: верхняя одежда, слои, обувь, аксессуары (зонт, шапка, солнцезащитные очки). Данные о погоде приложены ниже в формате JSON.`,
+  resourceUnavailable: (uri, error) => `Данные ${uri} недоступны: ${error}`,
+  uvIndex: "УФ-индекс",
+  uvLevels: {
+    low: "низкий",
+    moderate: "умеренный",
+    high: "высокий",
+    very_high: "очень высокий",
+    extreme: "экстремальный",
+  },
+  visibility: "Видимость",
+  kilometers: "км",
+  miles: "миль",
+  sunrise: "Восход",
+  sunset: "закат",
+  daylight: "световой день",
+  hours: "ч",
+  unavailable: "недоступно у провайдера",
+  airQualityIn: (city) => `🌫️ Качество воздуха в ${city}:`,
+  aqi: "Индекс качества воздуха",
+  aqiScales: {
+    owm: "шкала OpenWeatherMap 1–5",
+    "us-epa": "US EPA",
+  },
+  aqiCategories: {
+    good: "хорошее",
+    fair: "удовлетворительное",
+    moderate: "умеренное",
+    poor: "плохое",
+    very_poor: "очень плохое",
+    unhealthy_for_sensitive: "вредно для чувствительных групп",
+    unhealthy: "вредно для здоровья",
+    very_unhealthy: "очень вредно для здоровья",
+    hazardous: "опасно",
+  },
+  microgramsPerCubicMeter: "мкг/м³",
+};
+
+const EN: Messages = {
+  locale: "en-US",
+  weatherIn: (city) => `🌤️ Weather in ${city}:`,
+  temperature: "Temperature",
+  feelsLike: "feels like",
+  condition: "Conditions",
+  wind: "Wind",
+  humidity: "Humidity",
+  clouds: "Cloudiness",
+  pressure: "Pressure",
+  updatedAt: "Updated at",
+  forecastIn: (city, hours) => `🗓️ Weather forecast for ${city}, next ${hours} h:`,
+  precipitationProbability: "Chance of precipitation",
+  windMax: "max",
+  noData: "no data",
+  fetchFailed: "Failed to fetch data",
+  sourceNetwork: "🌐 Fresh data from API",
+  sourceFixture: "🧪 Test data from fixtures, not real observations",
+  sourceCache: (age) => `📦 Cached data (age: ${age})`,
+  sourceShared: (age) => `🔗 Data shared with a concurrent request (age: ${age})`,
+  seconds: "s",
+  minutes: "min",
+  pressureUnit: "hPa",
+  elapsedTotal: (count, elapsedMs) => `⏱️ Cities: ${count}, total time: ${elapsedMs} ms`,
+  locationsFound: (query) => `📍 Places matching "${query}":`,
+  noLocationsFound: (query) => `📍 Nothing found for "${query}"`,
+  ambiguousLocation: "⚠️ The name is ambiguous — use a qualified query or coordinates for weather tools",
+  population: "population",
+  historyIn: (city, count) => `📈 Weather history for ${city} (${count} observations):`,
+  historyPeriod: (from, to) => `Period: ${from} — ${to}`,
+  noHistory: "No observations for this period",
+  aggregate: (min, max, avg) => `min ${min}, max ${max}, avg ${avg}`,
+  changeOverPeriod: "Change over the period",
+  earlierSamples: (count) => `… and ${count} earlier observations`,
+  watchMetrics: {
+    temperature: "temperature",
+    feels_like: "feels-like temperature",
+    humidity: "humidity",
+    pressure: "pressure",
+    wind_speed: "wind speed",
+    clouds: "cloudiness",
+  },
+  watchTriggered: (city, condition, value) => `⚠️ ${city}: ${condition} — now ${value}`,
+  watchCleared: (city, condition, value) => `✅ ${city}: "${condition}" no longer holds — now ${value}`,
+  watchCreated: "Watch created",
+  watchDeleted: (id) => `Watch ${id} deleted`,
+  watchesHeader: (count) => `Watches: ${count}`,
+  noWatches: "No watches",
+  watchInterval: (minutes) => `checked every ${minutes} min`,
+  watchHysteresis: "hysteresis",
+  watchState: "State",
+  watchStateArmed: "waiting for the threshold",
+  watchStateTriggered: "triggered",
+  watchLastValue: "Last value",
+  briefingPrompt: (cities) => `Prepare a short morning weather briefing for these cities: ${cities.join("; ")}.
+For each city: current temperature and conditions, the temperature range for the next 24 hours, chance of precipitation and strong wind if expected.
+Finish with one line on the main thing to watch out for (for example, rain or frost). Weather data is attached below as JSON.`,
+  whatToWearPrompt: (city, hours) => `Suggest what to wear in ${city} for the next ${hours} hours.
+Take into account the temperature and feels-like temperature, wind, chance of precipitation and how the weather changes over this period.
+Answer with a short list: outerwear, layers, footwear, accessories (umbrella, hat, sunglasses). Weather data is attached below as JSON.`,
+  resourceUnavailable: (uri, error) => `Data for ${uri} is unavailable: ${error}`,
+  uvIndex: "UV index",
+  uvLevels: {
+    low: "low",
+    moderate: "moderate",
+    high: "high",
+    very_high: "very high",
+    extreme: "extreme",
+  },
+  visibility: "Visibility",
+  kilometers: "km",
+  miles: "mi",
+  sunrise: "Sunrise",
+  sunset: "sunset",
+  daylight: "daylight",
+  hours: "h",
+  unavailable: "not provided by the provider",
+  airQualityIn: (city) => `🌫️ Air quality in ${city}:`,
+  aqi: "Air quality index",
+  aqiScales: {
+    owm: "OpenWeatherMap 1–5 scale",
+    "us-epa": "US EPA",
+  },
+  aqiCategories: {
+    good: "good",
+    fair: "fair",
+    moderate: "moderate",
+    poor: "poor",
+    very_poor: "very poor",
+    unhealthy_for_sensitive: "unhealthy for sensitive groups",
+    unhealthy: "unhealthy",
+    very_unhealthy: "very unhealthy",
+    hazardous: "hazardous",
+  },
+  microgramsPerCubicMeter: "µg/m³",
+};
+
+export function getMessages(lang: string): Messages {
+  return lang.toLowerCase().startsWith("ru") ? RU : EN;
+}
+
+// Локаль для toLocaleString: ru → ru-RU, en → en-US, остальные коды OpenWeatherMap (pt_br, zh_cn) → pt-BR, zh-CN
+export function getLocale(lang: string): string {
+  const normalized = lang.toLowerCase();
+  if (normalized === "ru" || normalized === "en") {
+    return getMessages(normalized).locale;
+  }
+  const [language, region] = normalized.split(/[_-]/);
+  return region ? `${language}-${region.toUpperCase()}` : language;
+}
+
+export interface UnitLabels {
+  temperature: string;
+  speed: string;
+}
+
+export function getUnitLabels(units: Units, lang: string): UnitLabels {
+  const ru = getMessages(lang) === RU;
+  switch (units) {
+    case "imperial":
+      return { temperature: "°F", speed: ru ? "миль/ч" : "mph" };
+    case "standard":
+      return { temperature: "K", speed: ru ? "м/с" : "m/s" };
+    default:
+      return { temperature: "°C", speed: ru ? "м/с" : "m/s" };
+  }
+}
+
+// Время в часовом поясе города (смещение от UTC в секундах) на языке ответа
+export function formatLocalTime(unixSeconds: number, timezoneOffset: number, lang: string): string {
+  const shifted = new Date((unixSeconds + timezoneOffset) * 1000);
+  try {
+    return shifted.toLocaleTimeString(getLocale(lang), { timeZone: "UTC" });
+  } catch {
+    return shifted.toLocaleTimeString(getMessages(lang).locale, { timeZone: "UTC" });
+  }
+}
+
+// Дата и время в часовом поясе города — для рядов наблюдений, охватывающих несколько дней
+export function formatLocalDateTime(unixSeconds: number, timezoneOffset: number, lang: string): string {
+  const shifted = new Date((unixSeconds + timezoneOffset) * 1000);
+  const format: Intl.DateTimeFormatOptions = {
+    timeZone: "UTC",
+    day: "2-digit",
+    month: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  };
+  try {
+    return shifted.toLocaleString(getLocale(lang), format);
+  } catch {
+    return shifted.toLocaleString(getMessages(lang).locale, format);
+  }
+}
+
+const COMPASS_RU = ["С", "СВ", "В", "ЮВ", "Ю", "ЮЗ", "З", "СЗ"];
+const COMPASS_EN = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+// Направление ветра по 8 румбам
+export function windDirection(deg: number, lang: string): string {
+  const points = getMessages(lang) === RU ? COMPASS_RU : COMPASS_EN;
+  const index = Math.round((((deg % 360) + 360) % 360) / 45) % 8;
+  return points[index];
+}
+
+export function isValidLang(lang: string): boolean {
+  return /^[a-z]{2}([_-][a-z]{2})?$/i.test(lang);
+}
+
+export function formatCacheAge(ageSeconds: number, messages: Messages): string {
+  if (ageSeconds < 60) {
+    return `${ageSeconds} ${messages.seconds}`;
+  }
+  const minutes = Math.floor(ageSeconds / 60);
+  const seconds = ageSeconds % 60;
+  return seconds > 0
+    ? `${minutes} ${messages.minutes} ${seconds} ${messages.seconds}`
+    : `${minutes} ${messages.minutes}`;
+}
+
+export function describeCacheSource(
+  lookup: Pick<CacheLookup<unknown>, "source" | "ageSeconds">,
+  messages: Messages
+): string {
+  switch (lookup.source) {
+    case "cache":
+      return messages.sourceCache(formatCacheAge(lookup.ageSeconds, messages));
+    case "shared":
+      return messages.sourceShared(formatCacheAge(lookup.ageSeconds, messages));
+    default:
+      return messages.sourceNetwork;
+  }
+}
@@ -2,113 +2,493 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  LoggingLevel,
+  ReadResourceRequestSchema,
+  SetLevelRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import axios from "axios";
+import path from "path";
+import { TtlCache, CacheLookup, cacheKey } from "./cache.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import {
+  AmbiguousLocationError,
+  LocationInput,
+  LocationResolver,
+  isValidCoordinates,
+} from "./geocoding.js";
+import { ObservationHistory } from "./history.js";
+import {
+  AirQuality,
+  createProviderFromEnv,
+  coordinatesLabel,
+  CurrentWeather,
+  Forecast,
+  GeoPoint,
+  ProviderRequestOptions,
+  Units,
+  WeatherLocation,
+  WeatherProvider,
+  pointKey,
+} from "./providers/index.js";
+import { SUPPORTED_UNITS, getMessages, isValidLang } from "./i18n.js";
+import { PROMPTS, buildPrompt } from "./prompts.js";
+import {
+  RESOURCE_TEMPLATES,
+  ResourceSubscriptions,
+  WEATHER_RESOURCE_MIME_TYPE,
+  parseWeatherUri,
+} from "./resources.js";
+import {
+  WATCH_METRICS,
+  WATCH_OPERATORS,
+  WatchEvent,
+  WatchManager,
+  WatchMetric,
+  WatchOperator,
+  renderWatch,
+  renderWatchList,
+} from "./watches.js";
+import {
+  AirQualityResult,
+  CityWeatherResult,
+  FindLocationResult,
+  ForecastResult,
+  HistoryResult,
+  MultipleCitiesResult,
+  WeatherReading,
+  aggregateDailyForecast,
+  readingUnits,
+  renderAirQuality,
+  renderForecast,
+  renderFoundLocations,
+  renderHistory,
+  renderMultipleCities,
+  renderWeatherReading,
+  toAirQualityResult,
+  toFindLocationResult,
+  toForecastResult,
+  toFoundLocation,
+  toHistoryResult,
+  toWeatherReading,
+} from "./readings.js";
+import {
+  AIR_QUALITY_SCHEMA,
+  FIND_LOCATION_SCHEMA,
+  FORECAST_SCHEMA,
+  HISTORY_SCHEMA,
+  MULTIPLE_CITIES_SCHEMA,
+  WATCH_LIST_SCHEMA,
+  WATCH_SCHEMA,
+  WEATHER_READING_SCHEMA,
+} from "./schemas.js";
 
-const API_KEY = process.env.OPENWEATHER_API_KEY;
+// Время жизни кэша в секундах (0 — кэш отключён, остаётся только объединение одинаковых запросов)
+const CACHE_TTL_SECONDS = Number(process.env.WEATHER_CACHE_TTL_SECONDS ?? 600);
+const CACHE_MAX_ENTRIES = Number(process.env.WEATHER_CACHE_MAX_ENTRIES ?? 500);
+// Координаты мест меняются редко, поэтому результаты геокодирования хранятся дольше погоды
+const GEOCODING_TTL_SECONDS = Number(process.env.WEATHER_GEOCODING_TTL_SECONDS ?? 86400);
+// Название считается однозначным, если население второго по величине места меньше
+// этой доли от населения первого (для провайдеров, которые сообщают население)
+const AMBIGUITY_RATIO = Number(process.env.WEATHER_AMBIGUITY_RATIO ?? 0.1);
+// Сколько запросов к API выполняется одновременно и таймаут одного запроса
+const MAX_CONCURRENCY = Number(process.env.WEATHER_MAX_CONCURRENCY ?? 5);
+const REQUEST_TIMEOUT_MS = Number(process.env.WEATHER_REQUEST_TIMEOUT_MS ?? 8000);
+// Каталог истории наблюдений (не задан — история не ведётся) и срок хранения в днях (0 — бессрочно)
+const HISTORY_DIR = process.env.WEATHER_HISTORY_DIR;
+const HISTORY_RETENTION_DAYS = Number(process.env.WEATHER_HISTORY_RETENTION_DAYS ?? 30);
+// Как часто перечитываются ресурсы с подпиской, чтобы уведомить клиента об изменениях
+const RESOURCE_POLL_MINUTES = Number(process.env.WEATHER_RESOURCE_POLL_MINUTES ?? 10);
+// Максимальное количество одновременно активных наблюдений за порогами
+const MAX_WATCHES = Number(process.env.WEATHER_MAX_WATCHES ?? 20);
+// Единицы и язык по умолчанию, если инструмент вызван без units/lang
+const DEFAULT_OPTIONS: ProviderRequestOptions = {
+  units: (process.env.WEATHER_DEFAULT_UNITS as Units) || "metric",
+  lang: process.env.WEATHER_DEFAULT_LANG || "ru",
+};
 
-if (!API_KEY) {
-  console.error("Error: OPENWEATHER_API_KEY environment variable is not set");
+let provider: WeatherProvider;
+try {
+  provider = createProviderFromEnv(process.env, REQUEST_TIMEOUT_MS);
+} catch (error: any) {
+  console.error(`Error: ${error.message}`);
   process.exit(1);
 }
 
-interface WeatherData {
-  name: string;
-  main: {
-    temp: number;
-    feels_like: number;
-    humidity: number;
-    pressure: number;
+// Максимальная глубина прогноза (5 дней) и минимальное окно в часах
+const FORECAST_STEP_HOURS = 3;
+const FORECAST_MAX_DAYS = 5;
+const FORECAST_MAX_HOURS = FORECAST_MAX_DAYS * 24;
+
+const HISTORY_DEFAULT_HOURS = 24;
+const HISTORY_MAX_HOURS = 30 * 24;
+// Сколько последних наблюдений показывать в текстовом ответе (в structuredContent — все)
+const HISTORY_TEXT_MAX_SAMPLES = 48;
+
+const WATCH_DEFAULT_INTERVAL_MINUTES = 30;
+const WATCH_MIN_INTERVAL_MINUTES = 1;
+const WATCH_MAX_INTERVAL_MINUTES = 24 * 60;
+
+const FIND_LOCATION_DEFAULT_LIMIT = 5;
+const FIND_LOCATION_MAX_LIMIT = 10;
+
+const currentWeatherCache = new TtlCache<CurrentWeather>(CACHE_TTL_SECONDS * 1000, CACHE_MAX_ENTRIES);
+const forecastCache = new TtlCache<Forecast>(CACHE_TTL_SECONDS * 1000, CACHE_MAX_ENTRIES);
+const airQualityCache = new TtlCache<AirQuality>(CACHE_TTL_SECONDS * 1000, CACHE_MAX_ENTRIES);
+const locationResolver = new LocationResolver(provider, GEOCODING_TTL_SECONDS * 1000, AMBIGUITY_RATIO);
+const history = HISTORY_DIR ? new ObservationHistory(path.resolve(HISTORY_DIR), HISTORY_RETENTION_DAYS) : null;
+
+// Погода кэшируется по координатам: "Москва", "Moscow" и 55.7558,37.6173 — одна запись
+function weatherCacheKey(kind: string, point: GeoPoint, options: ProviderRequestOptions): string {
+  return cacheKey(`${provider.name}:${kind}`, pointKey(point), options.units, options.lang);
+}
+
+// Запись кэша общая для всех названий точки, поэтому название из запроса подставляется после чтения
+function withPointLabels<T extends { location: WeatherLocation }>(lookup: CacheLookup<T>, point: GeoPoint): CacheLookup<T> {
+  if (!point.name) {
+    return lookup;
+  }
+  return {
+    ...lookup,
+    value: {
+      ...lookup.value,
+      location: {
+        ...lookup.value.location,
+        name: point.name,
+        country: point.country ?? lookup.value.location.country,
+        region: point.region ?? lookup.value.location.region,
+      },
+    },
+  };
+}
+
+// В историю попадают только показания, полученные из сети: ответы из кэша уже записаны
+function recordObservation(point: GeoPoint, lookup: CacheLookup<CurrentWeather>, options: ProviderRequestOptions): void {
+  if (history && lookup.source === "network") {
+    void history.record(point, lookup.value, options.units, provider.name);
+  }
+}
+
+async function fetchCurrentWeather(point: GeoPoint, options: ProviderRequestOptions): Promise<CacheLookup<CurrentWeather>> {
+  const lookup = withPointLabels(
+    await currentWeatherCache.getOrFetch(
+      weatherCacheKey("weather", point, options),
+      () => provider.getCurrent(point, options)
+    ),
+    point
+  );
+  recordObservation(point, lookup, options);
+  return lookup;
+}
+
+// Прогноз кэшируется целиком, окно применяется уже к кэшированным данным
+async function fetchForecast(point: GeoPoint, options: ProviderRequestOptions): Promise<CacheLookup<Forecast>> {
+  const lookup = await forecastCache.getOrFetch(
+    weatherCacheKey("forecast", point, options),
+    () => provider.getForecast(point, options)
+  );
+  return withPointLabels(lookup, point);
+}
+
+async function getWeatherSummary(location: LocationInput, options: ProviderRequestOptions): Promise<WeatherReading> {
+  const point = await locationResolver.resolve(location, options);
+  const lookup = await fetchCurrentWeather(point, options);
+  return toWeatherReading(lookup, options, provider.name);
+}
+
+// Качество воздуха не зависит от units и lang — в ключе кэша они не участвуют
+async function getAirQuality(location: LocationInput, options: ProviderRequestOptions): Promise<AirQualityResult> {
+  if (!provider.getAirQuality) {
+    throw new Error(`Провайдер ${provider.label} не сообщает данные о качестве воздуха`);
+  }
+  const point = await locationResolver.resolve(location, options);
+  const lookup = await airQualityCache.getOrFetch(
+    cacheKey(`${provider.name}:air`, pointKey(point), "", ""),
+    () => provider.getAirQuality!(point)
+  );
+  return toAirQualityResult(lookup, point, options.lang, provider.name);
+}
+
+async function findLocation(query: string, options: ProviderRequestOptions, limit: number): Promise<FindLocationResult> {
+  const { candidates, chosen } = await locationResolver.search(query, options, limit);
+  return toFindLocationResult(query, candidates, chosen);
+}
+
+// Подпись места в ответе get_weather_multiple_cities
+function locationLabel(location: LocationInput): string {
+  return location.city ?? coordinatesLabel({ lat: location.lat!, lon: location.lon! });
+}
+
+// Сначала определяются координаты всех мест (геокодирование кэшируется надолго).
+// Места из кэша погоды отдаются сразу, затем провайдер может догрузить часть мест пакетным
+// запросом, остальные запрашиваются параллельно с ограничением MAX_CONCURRENCY.
+// Ошибка или таймаут по одному месту не влияют на остальные.
+async function getWeatherMultipleCities(locations: LocationInput[], options: ProviderRequestOptions): Promise<MultipleCitiesResult> {
+  const startedAt = Date.now();
+  const labels = locations.map(locationLabel);
+  const points = new Array<GeoPoint | undefined>(locations.length);
+  const results = new Array<CityWeatherResult | undefined>(locations.length);
+  const pending: number[] = [];
+
+  const toResult = (index: number, lookup: CacheLookup<CurrentWeather>, elapsedMs: number): CityWeatherResult => ({
+    city: labels[index],
+    elapsed_ms: elapsedMs,
+    ...toWeatherReading(lookup, options, provider.name),
+  });
+
+  const toFailure = (index: number, error: any, elapsedMs: number): CityWeatherResult => ({
+    city: labels[index],
+    error: error.message || getMessages(options.lang).fetchFailed,
+    elapsed_ms: elapsedMs,
+    ...(error instanceof AmbiguousLocationError
+      ? { candidates: error.candidates.map((candidate) => toFoundLocation(candidate, error.candidates)) }
+      : {}),
+  });
+
+  await mapWithConcurrency(locations, MAX_CONCURRENCY, async (location, index) => {
+    const resolveStartedAt = Date.now();
+    try {
+      points[index] = await locationResolver.resolve(location, options);
+    } catch (error: any) {
+      results[index] = toFailure(index, error, Date.now() - resolveStartedAt);
+    }
+  });
+
+  points.forEach((point, index) => {
+    if (!point) {
+      return;
+    }
+    const cached = currentWeatherCache.peek(weatherCacheKey("weather", point, options));
+    if (cached) {
+      results[index] = toResult(index, withPointLabels(cached, point), 0);
+    } else {
+      pending.push(index);
+    }
+  });
+
+  if (provider.getCurrentMany && pending.length > 1) {
+    const bulkStartedAt = Date.now();
+    // Ошибка пакетного запроса не должна ронять инструмент: такие города запрашиваются по одному ниже
+    let found = new Map<string, CurrentWeather>();
+    try {
+      found = await provider.getCurrentMany(pending.map((index) => points[index]!), options);
+    } catch (error: any) {
+      console.error(`Batch weather request failed, falling back to per-city requests: ${error.message}`);
+    }
+    const elapsedMs = Date.now() - bulkStartedAt;
+
+    for (const index of pending) {
+      const point = points[index]!;
+      const data = found.get(pointKey(point));
+      if (data) {
+        const lookup: CacheLookup<CurrentWeather> = { value: data, source: "network", fetchedAt: Date.now(), ageSeconds: 0 };
+        currentWeatherCache.set(weatherCacheKey("weather", point, options), data);
+        recordObservation(point, lookup, options);
+        results[index] = toResult(index, lookup, elapsedMs);
+      }
+    }
+  }
+
+  const remaining = pending.filter((index) => results[index] === undefined);
+  await mapWithConcurrency(remaining, MAX_CONCURRENCY, async (index) => {
+    const cityStartedAt = Date.now();
+    try {
+      const lookup = await fetchCurrentWeather(points[index]!, options);
+      results[index] = toResult(index, lookup, Date.now() - cityStartedAt);
+    } catch (error: any) {
+      results[index] = toFailure(index, error, Date.now() - cityStartedAt);
+    }
+  });
+
+  return {
+    units: readingUnits(options.units),
+    elapsed_ms: Date.now() - startedAt,
+    results: results as CityWeatherResult[],
+  };
+}
+
+async function getWeatherForecast(
+  location: LocationInput,
+  options: ProviderRequestOptions,
+  days?: number,
+  hours?: number
+): Promise<ForecastResult> {
+  const windowHours = Math.min(
+    hours ?? FORECAST_MAX_HOURS,
+    (days ?? FORECAST_MAX_DAYS) * 24,
+    FORECAST_MAX_HOURS
+  );
+
+  const point = await locationResolver.resolve(location, options);
+  const lookup = await fetchForecast(point, options);
+  const windowEnd = Date.now() / 1000 + windowHours * 3600;
+  const data: Forecast = {
+    ...lookup.value,
+    entries: lookup.value.entries.filter((entry, index) => index === 0 || entry.dt <= windowEnd),
+  };
+
+  let daily = aggregateDailyForecast(data, getMessages(options.lang).noData);
+  if (days !== undefined) {
+    daily = daily.slice(0, days);
+  }
+
+  return toForecastResult(lookup, data, daily, windowHours, options, provider.name);
+}
+
+async function getWeatherHistory(
+  location: LocationInput,
+  range: { fromMs: number; toMs: number },
+  options: ProviderRequestOptions
+): Promise<HistoryResult> {
+  const point = await locationResolver.resolve(location, options);
+  const records = await history!.query(point, range.fromMs, range.toMs);
+  return toHistoryResult(point, records, range.fromMs, range.toMs, options.units);
+}
+
+function textResult(text: string) {
+  return {
+    content: [
+      {
+        type: "text",
+        text,
+      },
+    ],
   };
-  weather: Array<{
-    description: string;
-    main: string;
-  }>;
-  wind: {
-    speed: number;
-    deg: number;
+}
+
+function errorResult(message: string) {
+  return {
+    ...textResult(message),
+    isError: true,
   };
-  clouds: {
-    all: number;
+}
+
+// Текст для человека и структурированные данные, соответствующие outputSchema инструмента
+function structuredResult(text: string, data: object) {
+  return {
+    ...textResult(text),
+    structuredContent: data,
   };
-  dt: number;
 }
 
-async function getWeatherSummary(city: string): Promise<string> {
-  try {
-    const url = `https://api.openweathermap.org/data/2.5/weather`;
-    const response = await axios.get<WeatherData>(url, {
-      params: {
-        q: city,
-        appid: API_KEY,
-        units: "metric",
-        lang: "ru"
-      }
-    });
-
-    const data = response.data;
-    const date = new Date(data.dt * 1000);
-
-    return `🌤️ Погода в ${data.name}:
-• Температура: ${data.main.temp}°C (ощущается как ${data.main.feels_like}°C)
-• Состояние: ${data.weather[0].description}
-• Ветер: ${data.wind.speed} м/с
-• Влажность: ${data.main.humidity}%
-• Облачность: ${data.clouds.all}%
-• Давление: ${data.main.pressure} гПа
-• Время обновления: ${date.toLocaleTimeString('ru-RU')}`;
-  } catch (error: any) {
-    if (error.response) {
-      const status = error.response.status;
-      if (status === 404) {
-        throw new Error(`Город "${city}" не найден. Проверьте название города.`);
-      } else if (status === 401) {
-        throw new Error(`Неверный API ключ OpenWeatherMap. Проверьте OPENWEATHER_API_KEY.`);
-      } else {
-        throw new Error(`Ошибка API погоды (${status}): ${error.response.data.message || 'Неизвестная ошибка'}`);
-      }
+const UNITS_PROPERTY = {
+  type: "string",
+  enum: SUPPORTED_UNITS,
+  description: "Единицы измерения: metric (°C, м/с), imperial (°F, миль/ч), standard (K, м/с). По умолчанию: metric",
+};
+
+const LANG_PROPERTY = {
+  type: "string",
+  description: "Язык ответа и описаний погоды, например ru или en (по умолчанию: ru)",
+};
+
+// Разбирает необязательные units/lang из аргументов инструмента
+function parseRequestOptions(args: Record<string, unknown> | undefined): ProviderRequestOptions | string {
+  const units = args?.units ?? DEFAULT_OPTIONS.units;
+  const lang = args?.lang ?? DEFAULT_OPTIONS.lang;
+
+  if (typeof units !== "string" || !SUPPORTED_UNITS.includes(units as Units)) {
+    return `Ошибка: параметр 'units' должен быть одним из: ${SUPPORTED_UNITS.join(", ")}`;
+  }
+  if (typeof lang !== "string" || !isValidLang(lang)) {
+    return "Ошибка: параметр 'lang' должен быть кодом языка, например 'ru' или 'en'";
+  }
+
+  return { units: units as Units, lang: lang.toLowerCase() };
+}
+
+const LAT_PROPERTY = {
+  type: "number",
+  description: "Широта от -90 до 90. Вместе с lon задаёт место вместо city",
+};
+
+const LON_PROPERTY = {
+  type: "number",
+  description: "Долгота от -180 до 180. Вместе с lat задаёт место вместо city",
+};
+
+const CITY_HINT = "Страну и регион можно уточнить через запятую: \"Paris, FR\", \"Paris, Texas, US\"";
+
+// Место задаётся названием (city) или парой координат (lat, lon)
+function parseLocationInput(args: Record<string, unknown> | undefined): LocationInput | string {
+  const city = typeof args?.city === "string" && args.city.trim() ? args.city.trim() : undefined;
+
+  if (args?.lat !== undefined || args?.lon !== undefined) {
+    if (!isValidCoordinates(args?.lat, args?.lon)) {
+      return "Ошибка: параметры 'lat' и 'lon' задаются вместе: широта от -90 до 90, долгота от -180 до 180";
+    }
+    return { city, lat: args!.lat as number, lon: args!.lon as number };
+  }
+
+  if (!city) {
+    return "Ошибка: укажите параметр 'city' или координаты 'lat' и 'lon'";
+  }
+  return { city };
+}
+
+// Элемент cities: название или объект { lat, lon, name? }
+function parseCityItem(item: unknown): LocationInput | null {
+  if (typeof item === "string") {
+    return item.trim() ? { city: item.trim() } : null;
+  }
+  if (item && typeof item === "object") {
+    const { lat, lon, name } = item as Record<string, unknown>;
+    if (isValidCoordinates(lat, lon)) {
+      return {
+        city: typeof name === "string" && name.trim() ? name.trim() : undefined,
+        lat: lat as number,
+        lon: lon as number,
+      };
     }
-    throw new Error(`Не удалось получить погоду: ${error.message}`);
   }
+  return null;
 }
 
-async function getWeatherMultipleCities(cities: string[]): Promise<string> {
-  const results: any[] = [];
+// Необязательные days/hours прогноза
+function parseForecastWindow(args: Record<string, unknown> | undefined): { days?: number; hours?: number } | string {
+  const days = args?.days as number | undefined;
+  const hours = args?.hours as number | undefined;
 
-  for (const city of cities) {
-    try {
-      const url = `https://api.openweathermap.org/data/2.5/weather`;
-      const response = await axios.get<WeatherData>(url, {
-        params: {
-          q: city,
-          appid: API_KEY,
-          units: "metric",
-          lang: "ru"
-        }
-      });
-
-      const data = response.data;
-
-      results.push({
-        city: data.name,
-        temp: data.main.temp,
-        feels_like: data.main.feels_like,
-        weather: data.weather[0].description,
-        humidity: data.main.humidity,
-        wind_speed: data.wind.speed,
-        pressure: data.main.pressure,
-        clouds: data.clouds.all
-      });
-    } catch (error: any) {
-      results.push({
-        city: city,
-        error: error.message || "Не удалось получить данные"
-      });
+  if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > FORECAST_MAX_DAYS)) {
+    return `Ошибка: параметр 'days' должен быть целым числом от 1 до ${FORECAST_MAX_DAYS}`;
+  }
+  if (hours !== undefined && (typeof hours !== "number" || hours < FORECAST_STEP_HOURS || hours > FORECAST_MAX_HOURS)) {
+    return `Ошибка: параметр 'hours' должен быть числом от ${FORECAST_STEP_HOURS} до ${FORECAST_MAX_HOURS}`;
+  }
+  return { days, hours };
+}
+
+// Период истории: from/to (ISO 8601) или hours до to (по умолчанию до текущего момента)
+function parseHistoryRange(args: Record<string, unknown> | undefined): { fromMs: number; toMs: number } | string {
+  const hours = args?.hours ?? HISTORY_DEFAULT_HOURS;
+  const toMs = args?.to !== undefined ? Date.parse(String(args.to)) : Date.now();
+
+  if (Number.isNaN(toMs)) {
+    return "Ошибка: параметр 'to' должен быть датой и временем в формате ISO 8601";
+  }
+
+  let fromMs: number;
+  if (args?.from !== undefined) {
+    fromMs = Date.parse(String(args.from));
+    if (Number.isNaN(fromMs)) {
+      return "Ошибка: параметр 'from' должен быть датой и временем в формате ISO 8601";
+    }
+  } else {
+    if (typeof hours !== "number" || hours <= 0 || hours > HISTORY_MAX_HOURS) {
+      return `Ошибка: параметр 'hours' должен быть числом от 1 до ${HISTORY_MAX_HOURS}`;
     }
+    fromMs = toMs - hours * 3600 * 1000;
   }
 
-  return JSON.stringify(results, null, 2);
+  if (fromMs >= toMs) {
+    return "Ошибка: начало периода должно быть раньше конца";
+  }
+  return { fromMs, toMs };
 }
 
 const server = new Server(
@@ -119,43 +499,386 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      logging: {},
+      resources: {
+        subscribe: true,
+      },
+      prompts: {},
     },
   }
 );
 
+// Уровни по возрастанию важности — клиент может ограничить уведомления через logging/setLevel
+const LOG_LEVELS: LoggingLevel[] = ["debug", "info", "notice", "warning", "error", "critical", "alert", "emergency"];
+let minLogLevel: LoggingLevel = "debug";
+
+server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+  minLogLevel = request.params.level;
+  return {};
+});
+
+// Срабатывание наблюдения уходит клиенту лог-сообщением MCP: текст для человека и данные для разбора
+function notifyWatchEvent(event: WatchEvent): void {
+  const level: LoggingLevel = event.event === "triggered" ? "warning" : "info";
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minLogLevel)) {
+    return;
+  }
+  server
+    .sendLoggingMessage({ level, logger: "weather-watch", data: event })
+    .catch((error) => console.error(`Failed to send watch notification: ${error.message}`));
+}
+
+const watchManager = new WatchManager(getWeatherSummary, notifyWatchEvent, MAX_WATCHES);
+
+// Параметры наблюдения из аргументов create_weather_watch
+function parseWatchArgs(args: Record<string, unknown> | undefined): {
+  metric: WatchMetric;
+  operator: WatchOperator;
+  threshold: number;
+  intervalMinutes: number;
+  hysteresis?: number;
+} | string {
+  const metric = args?.metric;
+  const operator = args?.operator;
+  const threshold = args?.threshold;
+  const intervalMinutes = args?.interval_minutes ?? WATCH_DEFAULT_INTERVAL_MINUTES;
+  const hysteresis = args?.hysteresis;
+
+  if (typeof metric !== "string" || !WATCH_METRICS.includes(metric as WatchMetric)) {
+    return `Ошибка: параметр 'metric' должен быть одним из: ${WATCH_METRICS.join(", ")}`;
+  }
+  if (typeof operator !== "string" || !WATCH_OPERATORS.includes(operator as WatchOperator)) {
+    return `Ошибка: параметр 'operator' должен быть одним из: ${WATCH_OPERATORS.join(", ")}`;
+  }
+  if (typeof threshold !== "number" || !Number.isFinite(threshold)) {
+    return "Ошибка: параметр 'threshold' обязателен и должен быть числом";
+  }
+  if (
+    typeof intervalMinutes !== "number"
+    || intervalMinutes < WATCH_MIN_INTERVAL_MINUTES
+    || intervalMinutes > WATCH_MAX_INTERVAL_MINUTES
+  ) {
+    return `Ошибка: параметр 'interval_minutes' должен быть числом от ${WATCH_MIN_INTERVAL_MINUTES} до ${WATCH_MAX_INTERVAL_MINUTES}`;
+  }
+  if (hysteresis !== undefined && (typeof hysteresis !== "number" || hysteresis < 0)) {
+    return "Ошибка: параметр 'hysteresis' должен быть неотрицательным числом";
+  }
+
+  return {
+    metric: metric as WatchMetric,
+    operator: operator as WatchOperator,
+    threshold,
+    intervalMinutes,
+    hysteresis: hysteresis as number | undefined,
+  };
+}
+
+// Содержимое ресурса weather://current/{city} или weather://forecast/{city} —
+// те же структуры, что structuredContent соответствующих инструментов
+async function readWeatherResource(uri: string): Promise<WeatherReading | ForecastResult> {
+  const ref = parseWeatherUri(uri);
+  if (!ref) {
+    throw new Error(`Неизвестный ресурс: ${uri}. Поддерживаются weather://current/{city} и weather://forecast/{city}`);
+  }
+
+  const location = parseLocationInput({ city: ref.city });
+  if (typeof location === "string") {
+    throw new Error(location);
+  }
+  const options = parseRequestOptions(ref.params);
+  if (typeof options === "string") {
+    throw new Error(options);
+  }
+
+  if (ref.kind === "current") {
+    return getWeatherSummary(location, options);
+  }
+
+  const window = parseForecastWindow(ref.params);
+  if (typeof window === "string") {
+    throw new Error(window);
+  }
+  return getWeatherForecast(location, options, window.days, window.hours);
+}
+
+const resourceSubscriptions = new ResourceSubscriptions(
+  readWeatherResource,
+  (uri) => {
+    server
+      .sendResourceUpdated({ uri })
+      .catch((error) => console.error(`Failed to send resource update for ${uri}: ${error.message}`));
+  },
+  RESOURCE_POLL_MINUTES * 60 * 1000
+);
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return { resourceTemplates: RESOURCE_TEMPLATES };
+});
+
+// Конкретные ресурсы — те, на которые подписан клиент; остальные открываются по шаблонам
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  return {
+    resources: resourceSubscriptions.list().map((uri) => ({
+      uri,
+      name: uri,
+      mimeType: WEATHER_RESOURCE_MIME_TYPE,
+    })),
+  };
+});
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const uri = request.params.uri;
+  const data = await readWeatherResource(uri);
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: WEATHER_RESOURCE_MIME_TYPE,
+        text: JSON.stringify(data, null, 2),
+      },
+    ],
+  };
+});
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  const uri = request.params.uri;
+  if (!parseWeatherUri(uri)) {
+    throw new Error(`Неизвестный ресурс: ${uri}`);
+  }
+  await resourceSubscriptions.subscribe(uri);
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.unsubscribe(request.params.uri);
+  return {};
+});
+
+server.setRequestHandler(ListPromptsRequestSchema, async () => {
+  return { prompts: PROMPTS };
+});
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  return buildPrompt(
+    request.params.name,
+    request.params.arguments,
+    DEFAULT_OPTIONS.lang,
+    readWeatherResource
+  );
+});
+
 server.setRequestHandler(ListToolsRequestSchema, async () => {
   return {
     tools: [
       {
         name: "get_weather_summary",
-        description: "Получить текущую информацию о погоде для указанного города. Возвращает температуру, состояние, ветер, влажность и другие параметры.",
+        description: "Получить текущую информацию о погоде для указанного города или координат. Возвращает температуру, состояние, ветер, влажность, давление, а также УФ-индекс, видимость, восход, закат и продолжительность светового дня, если их сообщает провайдер. Если название неоднозначно, возвращает ошибку со списком подходящих мест.",
         inputSchema: {
           type: "object",
           properties: {
             city: {
               type: "string",
-              description: "Название города для получения погоды (например: Москва, Санкт-Петербург, London)",
+              description: `Название города для получения погоды (например: Москва, Санкт-Петербург, London). ${CITY_HINT}`,
             },
+            lat: LAT_PROPERTY,
+            lon: LON_PROPERTY,
+            units: UNITS_PROPERTY,
+            lang: LANG_PROPERTY,
           },
-          required: ["city"],
         },
+        outputSchema: WEATHER_READING_SCHEMA,
       },
       {
         name: "get_weather_multiple_cities",
-        description: "Получить погоду сразу для нескольких городов. Возвращает JSON с данными о погоде для каждого города.",
+        description: "Получить погоду сразу для нескольких городов. Для каждого города возвращает показания в том же формате, что и get_weather_summary, либо ошибку.",
         inputSchema: {
           type: "object",
           properties: {
             cities: {
               type: "array",
               items: {
-                type: "string"
+                anyOf: [
+                  { type: "string" },
+                  {
+                    type: "object",
+                    properties: {
+                      lat: LAT_PROPERTY,
+                      lon: LON_PROPERTY,
+                      name: { type: "string", description: "Подпись места в ответе" },
+                    },
+                    required: ["lat", "lon"],
+                  },
+                ],
               },
-              description: "Массив названий городов (например: [\"Москва\", \"Санкт-Петербург\", \"Казань\"])",
+              description: `Массив названий городов или координат (например: [\"Москва\", \"Paris, FR\", {\"lat\": 59.94, \"lon\": 30.31}]). ${CITY_HINT}`,
             },
+            units: UNITS_PROPERTY,
+            lang: LANG_PROPERTY,
           },
           required: ["cities"],
         },
+        outputSchema: MULTIPLE_CITIES_SCHEMA,
+      },
+      {
+        name: "get_weather_forecast",
+        description: "Получить прогноз погоды на ближайшие дни (до 5 дней с шагом 3 часа). Возвращает по каждому дню минимальную и максимальную температуру, преобладающее состояние, вероятность осадков и ветер.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            city: {
+              type: "string",
+              description: `Название города для получения прогноза (например: Москва, Санкт-Петербург, London). ${CITY_HINT}`,
+            },
+            lat: LAT_PROPERTY,
+            lon: LON_PROPERTY,
+            days: {
+              type: "number",
+              description: "Количество дней прогноза, от 1 до 5 (по умолчанию: 5)",
+            },
+            hours: {
+              type: "number",
+              description: "Окно прогноза в часах от текущего момента, от 3 до 120 (например: 24 — только ближайшие сутки)",
+            },
+            units: UNITS_PROPERTY,
+            lang: LANG_PROPERTY,
+          },
+        },
+        outputSchema: FORECAST_SCHEMA,
+      },
+      {
+        name: "get_air_quality",
+        description: "Получить качество воздуха для города или координат: индекс AQI с категорией (хорошее, умеренное, вредно для здоровья и т.д.) и концентрации PM2.5, PM10, O₃ и NO₂ в мкг/м³. Показатели, которые провайдер не сообщает, помечаются как недоступные.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            city: {
+              type: "string",
+              description: `Название города (например: Москва, London). ${CITY_HINT}`,
+            },
+            lat: LAT_PROPERTY,
+            lon: LON_PROPERTY,
+            lang: LANG_PROPERTY,
+          },
+        },
+        outputSchema: AIR_QUALITY_SCHEMA,
+      },
+      {
+        name: "get_weather_history",
+        description: "Получить историю наблюдений погоды для города или координат за период: ряд показаний с изменениями между соседними наблюдениями, минимум, максимум и среднее. История ведётся, только если задан WEATHER_HISTORY_DIR, и содержит показания, полученные сервером ранее.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            city: {
+              type: "string",
+              description: `Название города (например: Москва, London). ${CITY_HINT}`,
+            },
+            lat: LAT_PROPERTY,
+            lon: LON_PROPERTY,
+            hours: {
+              type: "number",
+              description: `Период в часах до 'to' или до текущего момента, до ${HISTORY_MAX_HOURS} (по умолчанию: ${HISTORY_DEFAULT_HOURS}). Не используется, если задан 'from'`,
+            },
+            from: {
+              type: "string",
+              description: "Начало периода в формате ISO 8601 (например: 2024-05-14T06:00:00+03:00)",
+            },
+            to: {
+              type: "string",
+              description: "Конец периода в формате ISO 8601 (по умолчанию: текущий момент)",
+            },
+            units: UNITS_PROPERTY,
+            lang: LANG_PROPERTY,
+          },
+        },
+        outputSchema: HISTORY_SCHEMA,
+      },
+      {
+        name: "create_weather_watch",
+        description: "Создать наблюдение за порогом погоды, например «сообщить, когда температура опустится ниже нуля». Сервер проверяет погоду в фоне с заданным интервалом и отправляет MCP-уведомление (notifications/message, logger weather-watch), когда условие начинает выполняться и когда перестаёт. Повторное уведомление возможно только после того, как значение отойдёт от порога на величину гистерезиса.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            city: {
+              type: "string",
+              description: `Название города (например: Москва, London). ${CITY_HINT}`,
+            },
+            lat: LAT_PROPERTY,
+            lon: LON_PROPERTY,
+            metric: {
+              type: "string",
+              enum: WATCH_METRICS,
+              description: "Показатель: temperature, feels_like, humidity (%), pressure (гПа), wind_speed, clouds (%)",
+            },
+            operator: {
+              type: "string",
+              enum: WATCH_OPERATORS,
+              description: "Условие срабатывания: значение <, <=, >, >= порога",
+            },
+            threshold: {
+              type: "number",
+              description: "Порог в единицах units (например: 0 для «ниже нуля» в metric)",
+            },
+            interval_minutes: {
+              type: "number",
+              description: `Интервал проверки в минутах, от ${WATCH_MIN_INTERVAL_MINUTES} до ${WATCH_MAX_INTERVAL_MINUTES} (по умолчанию: ${WATCH_DEFAULT_INTERVAL_MINUTES})`,
+            },
+            hysteresis: {
+              type: "number",
+              description: "Насколько значение должно вернуться за порог, чтобы наблюдение снова могло сработать (по умолчанию: 1° для температуры, 1 для ветра, 2 гПа, 5% влажности, 10% облачности)",
+            },
+            units: UNITS_PROPERTY,
+            lang: LANG_PROPERTY,
+          },
+          required: ["metric", "operator", "threshold"],
+        },
+        outputSchema: WATCH_SCHEMA,
+      },
+      {
+        name: "list_weather_watches",
+        description: "Показать активные наблюдения за порогами погоды с их состоянием и последним значением.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            lang: LANG_PROPERTY,
+          },
+        },
+        outputSchema: WATCH_LIST_SCHEMA,
+      },
+      {
+        name: "delete_weather_watch",
+        description: "Удалить наблюдение за порогом погоды по идентификатору.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Идентификатор наблюдения из create_weather_watch или list_weather_watches",
+            },
+            lang: LANG_PROPERTY,
+          },
+          required: ["id"],
+        },
+        outputSchema: WATCH_SCHEMA,
+      },
+      {
+        name: "find_location",
+        description: "Найти места по названию и показать их координаты, страну и регион. Помогает выбрать нужное место, если название неоднозначно (например, Paris во Франции и в Техасе): для каждого места возвращается уточнённый запрос для инструментов погоды.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            query: {
+              type: "string",
+              description: `Название места (например: Paris, Москва). ${CITY_HINT}`,
+            },
+            limit: {
+              type: "number",
+              description: `Максимальное количество мест, от 1 до ${FIND_LOCATION_MAX_LIMIT} (по умолчанию: ${FIND_LOCATION_DEFAULT_LIMIT})`,
+            },
+            lang: LANG_PROPERTY,
+          },
+          required: ["query"],
+        },
+        outputSchema: FIND_LOCATION_SCHEMA,
       },
     ],
   };
@@ -163,91 +886,210 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
 
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
   if (request.params.name === "get_weather_summary") {
-    const city = request.params.arguments?.city as string;
+    const location = parseLocationInput(request.params.arguments);
+    if (typeof location === "string") {
+      return errorResult(location);
+    }
 
-    if (!city) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: "Ошибка: параметр 'city' обязателен",
-          },
-        ],
-      };
+    const options = parseRequestOptions(request.params.arguments);
+    if (typeof options === "string") {
+      return errorResult(options);
     }
 
     try {
-      const summary = await getWeatherSummary(city);
-      return {
-        content: [
-          {
-            type: "text",
-            text: summary,
-          },
-        ],
-      };
+      const reading = await getWeatherSummary(location, options);
+      return structuredResult(renderWeatherReading(reading, options.lang), reading);
     } catch (error: any) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Ошибка: ${error.message}`,
-          },
-        ],
-      };
+      return errorResult(`Ошибка: ${error.message}`);
     }
   }
 
   if (request.params.name === "get_weather_multiple_cities") {
-    const cities = request.params.arguments?.cities as string[];
+    const cities = request.params.arguments?.cities as unknown[];
 
     if (!cities || !Array.isArray(cities) || cities.length === 0) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: "Ошибка: параметр 'cities' обязателен и должен быть массивом с хотя бы одним городом",
-          },
-        ],
-      };
+      return errorResult("Ошибка: параметр 'cities' обязателен и должен быть массивом с хотя бы одним городом");
+    }
+
+    const locations = cities.map(parseCityItem);
+    if (locations.some((location) => location === null)) {
+      return errorResult("Ошибка: элементы 'cities' должны быть названиями городов или объектами { lat, lon } с корректными координатами");
+    }
+
+    const options = parseRequestOptions(request.params.arguments);
+    if (typeof options === "string") {
+      return errorResult(options);
     }
 
     try {
-      const result = await getWeatherMultipleCities(cities);
-      return {
-        content: [
-          {
-            type: "text",
-            text: result,
-          },
-        ],
-      };
+      const result = await getWeatherMultipleCities(locations as LocationInput[], options);
+      return structuredResult(renderMultipleCities(result, options.lang), result);
     } catch (error: any) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Ошибка: ${error.message}`,
-          },
-        ],
-      };
+      return errorResult(`Ошибка: ${error.message}`);
     }
   }
 
-  return {
-    content: [
-      {
-        type: "text",
-        text: `Неизвестный инструмент: ${request.params.name}`,
-      },
-    ],
-  };
+  if (request.params.name === "get_weather_forecast") {
+    const location = parseLocationInput(request.params.arguments);
+    if (typeof location === "string") {
+      return errorResult(location);
+    }
+
+    const window = parseForecastWindow(request.params.arguments);
+    if (typeof window === "string") {
+      return errorResult(window);
+    }
+
+    const options = parseRequestOptions(request.params.arguments);
+    if (typeof options === "string") {
+      return errorResult(options);
+    }
+
+    try {
+      const forecast = await getWeatherForecast(location, options, window.days, window.hours);
+      return structuredResult(renderForecast(forecast, options.lang), forecast);
+    } catch (error: any) {
+      return errorResult(`Ошибка: ${error.message}`);
+    }
+  }
+
+  if (request.params.name === "get_air_quality") {
+    const location = parseLocationInput(request.params.arguments);
+    if (typeof location === "string") {
+      return errorResult(location);
+    }
+
+    const options = parseRequestOptions(request.params.arguments);
+    if (typeof options === "string") {
+      return errorResult(options);
+    }
+
+    try {
+      const result = await getAirQuality(location, options);
+      return structuredResult(renderAirQuality(result, options.lang), result);
+    } catch (error: any) {
+      return errorResult(`Ошибка: ${error.message}`);
+    }
+  }
+
+  if (request.params.name === "get_weather_history") {
+    if (!history) {
+      return errorResult("Ошибка: история наблюдений отключена. Задайте WEATHER_HISTORY_DIR, чтобы сервер сохранял полученные показания");
+    }
+
+    const location = parseLocationInput(request.params.arguments);
+    if (typeof location === "string") {
+      return errorResult(location);
+    }
+
+    const range = parseHistoryRange(request.params.arguments);
+    if (typeof range === "string") {
+      return errorResult(range);
+    }
+
+    const options = parseRequestOptions(request.params.arguments);
+    if (typeof options === "string") {
+      return errorResult(options);
+    }
+
+    try {
+      const result = await getWeatherHistory(location, range, options);
+      return structuredResult(renderHistory(result, options.lang, HISTORY_TEXT_MAX_SAMPLES), result);
+    } catch (error: any) {
+      return errorResult(`Ошибка: ${error.message}`);
+    }
+  }
+
+  if (request.params.name === "create_weather_watch") {
+    const location = parseLocationInput(request.params.arguments);
+    if (typeof location === "string") {
+      return errorResult(location);
+    }
+
+    const watch = parseWatchArgs(request.params.arguments);
+    if (typeof watch === "string") {
+      return errorResult(watch);
+    }
+
+    const options = parseRequestOptions(request.params.arguments);
+    if (typeof options === "string") {
+      return errorResult(options);
+    }
+
+    try {
+      // Место определяется сразу, чтобы неоднозначное название не превратилось в наблюдение с ошибкой
+      const point = await locationResolver.resolve(location, options);
+      const info = await watchManager.create(
+        { ...watch, location: { city: point.name, lat: point.lat, lon: point.lon }, options },
+        locationLabel(location)
+      );
+      return structuredResult(`${getMessages(options.lang).watchCreated}\n${renderWatch(info, options.lang)}`, info);
+    } catch (error: any) {
+      return errorResult(`Ошибка: ${error.message}`);
+    }
+  }
+
+  if (request.params.name === "list_weather_watches") {
+    const options = parseRequestOptions(request.params.arguments);
+    if (typeof options === "string") {
+      return errorResult(options);
+    }
+
+    const watches = watchManager.list();
+    return structuredResult(renderWatchList(watches, options.lang), { watches });
+  }
+
+  if (request.params.name === "delete_weather_watch") {
+    const id = request.params.arguments?.id as string;
+
+    if (!id) {
+      return errorResult("Ошибка: параметр 'id' обязателен");
+    }
+
+    const options = parseRequestOptions(request.params.arguments);
+    if (typeof options === "string") {
+      return errorResult(options);
+    }
+
+    const info = watchManager.delete(id);
+    if (!info) {
+      return errorResult(`Ошибка: наблюдение ${id} не найдено`);
+    }
+    return structuredResult(getMessages(options.lang).watchDeleted(id), info);
+  }
+
+  if (request.params.name === "find_location") {
+    const query = request.params.arguments?.query as string;
+    const limit = (request.params.arguments?.limit as number | undefined) ?? FIND_LOCATION_DEFAULT_LIMIT;
+
+    if (!query || typeof query !== "string" || !query.trim()) {
+      return errorResult("Ошибка: параметр 'query' обязателен");
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > FIND_LOCATION_MAX_LIMIT) {
+      return errorResult(`Ошибка: параметр 'limit' должен быть целым числом от 1 до ${FIND_LOCATION_MAX_LIMIT}`);
+    }
+
+    const options = parseRequestOptions(request.params.arguments);
+    if (typeof options === "string") {
+      return errorResult(options);
+    }
+
+    try {
+      const result = await findLocation(query.trim(), options, limit);
+      return structuredResult(renderFoundLocations(result, options.lang), result);
+    } catch (error: any) {
+      return errorResult(`Ошибка: ${error.message}`);
+    }
+  }
+
+  return errorResult(`Неизвестный инструмент: ${request.params.name}`);
 });
 
 async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
-  console.error("MCP Weather Server running on stdio");
+  console.error(`MCP Weather Server running on stdio (provider: ${provider.label})`);
 }
 
 main().catch((error) => {
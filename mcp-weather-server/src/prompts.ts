@@ -0,0 +1,135 @@
+import { getMessages } from "./i18n.js";
+import { WEATHER_RESOURCE_MIME_TYPE, weatherUri } from "./resources.js";
+
+// Шаблоны промптов. Данные о погоде встраиваются в промпт как ресурсы weather://...,
+// поэтому модель получает готовые показания и может ответить без вызова инструментов.
+
+const WHAT_TO_WEAR_DEFAULT_HOURS = 12;
+
+export const PROMPTS = [
+  {
+    name: "daily_weather_briefing",
+    description: "Утренняя сводка погоды по списку городов: текущая погода и прогноз на сутки",
+    arguments: [
+      {
+        name: "cities",
+        description: "Города через запятую (например: Москва, Казань). Если нужно уточнить страну, разделяйте города точкой с запятой: Paris, FR; London, GB",
+        required: true,
+      },
+      {
+        name: "lang",
+        description: "Язык сводки, например ru или en (по умолчанию: ru)",
+        required: false,
+      },
+    ],
+  },
+  {
+    name: "what_to_wear",
+    description: "Совет, как одеться, по текущей погоде и прогнозу на ближайшие часы",
+    arguments: [
+      {
+        name: "city",
+        description: "Город (например: Москва, Paris, FR)",
+        required: true,
+      },
+      {
+        name: "hours",
+        description: `На сколько часов вперёд учитывать прогноз, от 3 до 24 (по умолчанию: ${WHAT_TO_WEAR_DEFAULT_HOURS})`,
+        required: false,
+      },
+      {
+        name: "lang",
+        description: "Язык ответа, например ru или en (по умолчанию: ru)",
+        required: false,
+      },
+    ],
+  },
+];
+
+type PromptMessage = {
+  role: "user";
+  content:
+    | { type: "text"; text: string }
+    | { type: "resource"; resource: { uri: string; mimeType: string; text: string } };
+};
+
+// Точка с запятой или перевод строки имеют приоритет: запятая тогда может уточнять страну
+export function splitCities(text: string): string[] {
+  const separator = /[;\n]/.test(text) ? /[;\n]/ : /,/;
+  return text.split(separator).map((city) => city.trim()).filter(Boolean);
+}
+
+async function embedResource(
+  uri: string,
+  read: (uri: string) => Promise<object>,
+  lang: string
+): Promise<PromptMessage> {
+  try {
+    const data = await read(uri);
+    return {
+      role: "user",
+      content: {
+        type: "resource",
+        resource: { uri, mimeType: WEATHER_RESOURCE_MIME_TYPE, text: JSON.stringify(data, null, 2) },
+      },
+    };
+  } catch (error: any) {
+    return {
+      role: "user",
+      content: { type: "text", text: getMessages(lang).resourceUnavailable(uri, error.message) },
+    };
+  }
+}
+
+export async function buildPrompt(
+  name: string,
+  args: Record<string, string> | undefined,
+  defaultLang: string,
+  read: (uri: string) => Promise<object>
+): Promise<{ description: string; messages: PromptMessage[] }> {
+  const lang = args?.lang || defaultLang;
+  const messages = getMessages(lang);
+
+  if (name === "daily_weather_briefing") {
+    const cities = splitCities(args?.cities ?? "");
+    if (cities.length === 0) {
+      throw new Error("Аргумент 'cities' обязателен");
+    }
+
+    const resources: PromptMessage[] = [];
+    for (const city of cities) {
+      resources.push(await embedResource(weatherUri("current", city, { lang }), read, lang));
+      resources.push(await embedResource(weatherUri("forecast", city, { hours: 24, lang }), read, lang));
+    }
+
+    return {
+      description: PROMPTS[0].description,
+      messages: [
+        { role: "user", content: { type: "text", text: messages.briefingPrompt(cities) } },
+        ...resources,
+      ],
+    };
+  }
+
+  if (name === "what_to_wear") {
+    const city = args?.city?.trim();
+    const hours = args?.hours ? Number(args.hours) : WHAT_TO_WEAR_DEFAULT_HOURS;
+    if (!city) {
+      throw new Error("Аргумент 'city' обязателен");
+    }
+    if (!Number.isFinite(hours) || hours < 3 || hours > 24) {
+      throw new Error("Аргумент 'hours' должен быть числом от 3 до 24");
+    }
+
+    return {
+      description: PROMPTS[1].description,
+      messages: [
+        { role: "user", content: { type: "text", text: messages.whatToWearPrompt(city, hours) } },
+        await embedResource(weatherUri("current", city, { lang }), read, lang),
+        await embedResource(weatherUri("forecast", city, { hours, lang }), read, lang),
+      ],
+    };
+  }
+
+  throw new Error(`Неизвестный промпт: ${name}`);
+}
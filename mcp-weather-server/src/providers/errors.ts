@@ -0,0 +1,37 @@
+export interface HttpErrorContext {
+  city: string;
+  timeoutMs: number;
+  // Текст ошибки для 401, специфичный для провайдера
+  unauthorizedMessage: string;
+}
+
+export function cityNotFoundError(city: string): Error {
+  return new Error(`Город "${city}" не найден. Проверьте название города.`);
+}
+
+export function noDataForPointError(lat: number, lon: number): Error {
+  return new Error(`Нет данных о погоде для координат ${lat}, ${lon}.`);
+}
+
+export function noAirQualityDataError(lat: number, lon: number): Error {
+  return new Error(`Нет данных о качестве воздуха для координат ${lat}, ${lon}.`);
+}
+
+// Единое преобразование ошибок HTTP-запросов к погодным API в понятные сообщения
+export function mapWeatherApiError(error: any, context: HttpErrorContext): Error {
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return new Error(`Превышено время ожидания ответа API погоды (${context.timeoutMs} мс) для "${context.city}"`);
+  }
+  if (error.response) {
+    const status = error.response.status;
+    if (status === 404) {
+      return cityNotFoundError(context.city);
+    } else if (status === 401) {
+      return new Error(context.unauthorizedMessage);
+    } else {
+      const data = error.response.data ?? {};
+      return new Error(`Ошибка API погоды (${status}): ${data.message || data.reason || 'Неизвестная ошибка'}`);
+    }
+  }
+  return new Error(`Не удалось получить погоду: ${error.message}`);
+}
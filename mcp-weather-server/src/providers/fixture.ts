@@ -0,0 +1,221 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { normalizeCityKey } from "../cache.js";
+import { fromCelsius, fromMetersPerSecond } from "../units.js";
+import { noAirQualityDataError, noDataForPointError } from "./errors.js";
+import {
+  AirQuality,
+  CurrentWeather,
+  Forecast,
+  GeoPoint,
+  LocationCandidate,
+  PlaceQuery,
+  ProviderRequestOptions,
+  WeatherLocation,
+  WeatherProvider,
+} from "./types.js";
+
+// Провайдер для офлайн-разработки и тестов: отдаёт заготовленные JSON-файлы из каталога.
+// Один файл — один город. Значения в файлах задаются в метрической системе и при
+// необходимости пересчитываются; время наблюдения и прогноза отсчитывается от текущего момента,
+// поэтому фикстуры не устаревают. Погода по координатам отдаётся из ближайшей фикстуры
+// в пределах MAX_DISTANCE_DEGREES.
+
+const MAX_DISTANCE_DEGREES = 0.5;
+
+type LocalizedText = string | Record<string, string>;
+
+interface FixtureWeather {
+  temp: number;
+  feelsLike: number;
+  humidity: number;
+  pressure: number;
+  windSpeed: number;
+  windDeg: number;
+  clouds: number;
+  description: LocalizedText;
+  condition: string;
+  uvIndex?: number;
+  visibility?: number;
+  // Местное время восхода и заката, "06:12"
+  sunrise?: string;
+  sunset?: string;
+}
+
+interface FixtureForecastPoint {
+  // Смещение от текущего часа в часах
+  offsetHours: number;
+  temp: number;
+  tempMin: number;
+  tempMax: number;
+  humidity: number;
+  description: LocalizedText;
+  windSpeed: number;
+  windDeg: number;
+  pop: number;
+}
+
+interface FixtureFile {
+  aliases?: string[];
+  location: Omit<WeatherLocation, "name"> & { name: LocalizedText; population?: number };
+  current: FixtureWeather;
+  forecast?: FixtureForecastPoint[];
+  airQuality?: Omit<AirQuality, "observedAt">;
+}
+
+function localize(text: LocalizedText, lang: string): string {
+  if (typeof text === "string") {
+    return text;
+  }
+  return text[lang] ?? text.en ?? Object.values(text)[0] ?? "";
+}
+
+// "06:12" местного времени → unix-время сегодняшнего дня в часовом поясе фикстуры
+function localTimeToday(time: string | undefined, timezoneOffset: number): number | undefined {
+  const match = time ? /^(\d{1,2}):(\d{2})$/.exec(time) : null;
+  if (!match) {
+    return undefined;
+  }
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const localMidnight = Math.floor((nowSeconds + timezoneOffset) / 86400) * 86400 - timezoneOffset;
+  return localMidnight + Number(match[1]) * 3600 + Number(match[2]) * 60;
+}
+
+export class FixtureProvider implements WeatherProvider {
+  readonly name = "fixture";
+  readonly label = "Fixtures";
+
+  private fixtures: Promise<FixtureFile[]> | null = null;
+
+  constructor(private directory: string) {}
+
+  async findLocations(query: PlaceQuery, options: ProviderRequestOptions, limit: number): Promise<LocationCandidate[]> {
+    const key = normalizeCityKey(query.name);
+    const fixtures = await this.load();
+
+    return fixtures
+      .filter((fixture) => fixtureNames(fixture).some((name) => normalizeCityKey(name) === key))
+      .slice(0, limit)
+      .map((fixture) => ({
+        name: localize(fixture.location.name, options.lang),
+        country: fixture.location.country,
+        region: fixture.location.region,
+        lat: fixture.location.lat,
+        lon: fixture.location.lon,
+        population: fixture.location.population,
+      }));
+  }
+
+  async getCurrent(point: GeoPoint, options: ProviderRequestOptions): Promise<CurrentWeather> {
+    const fixture = await this.nearest(point);
+    const current = fixture.current;
+
+    return {
+      location: this.toLocation(fixture, point, options),
+      temp: fromCelsius(current.temp, options.units),
+      feelsLike: fromCelsius(current.feelsLike, options.units),
+      humidity: current.humidity,
+      pressure: current.pressure,
+      windSpeed: fromMetersPerSecond(current.windSpeed, options.units),
+      windDeg: current.windDeg,
+      clouds: current.clouds,
+      description: localize(current.description, options.lang),
+      condition: current.condition,
+      observedAt: Math.floor(Date.now() / 1000),
+      uvIndex: current.uvIndex,
+      visibility: current.visibility,
+      sunrise: localTimeToday(current.sunrise, fixture.location.timezoneOffset),
+      sunset: localTimeToday(current.sunset, fixture.location.timezoneOffset),
+    };
+  }
+
+  async getAirQuality(point: GeoPoint): Promise<AirQuality> {
+    const fixture = await this.nearest(point);
+    if (!fixture.airQuality) {
+      throw noAirQualityDataError(point.lat, point.lon);
+    }
+    return {
+      ...fixture.airQuality,
+      observedAt: Math.floor(Date.now() / 1000),
+    };
+  }
+
+  async getForecast(point: GeoPoint, options: ProviderRequestOptions): Promise<Forecast> {
+    const fixture = await this.nearest(point);
+    const currentHour = Math.floor(Date.now() / 3600_000) * 3600;
+
+    return {
+      location: this.toLocation(fixture, point, options),
+      entries: (fixture.forecast ?? []).map((entry) => ({
+        dt: currentHour + entry.offsetHours * 3600,
+        temp: fromCelsius(entry.temp, options.units),
+        tempMin: fromCelsius(entry.tempMin, options.units),
+        tempMax: fromCelsius(entry.tempMax, options.units),
+        humidity: entry.humidity,
+        description: localize(entry.description, options.lang),
+        windSpeed: fromMetersPerSecond(entry.windSpeed, options.units),
+        windDeg: entry.windDeg,
+        pop: entry.pop,
+      })),
+    };
+  }
+
+  private toLocation(fixture: FixtureFile, point: GeoPoint, options: ProviderRequestOptions): WeatherLocation {
+    const { population, ...location } = fixture.location;
+    return {
+      ...location,
+      name: point.name ?? localize(fixture.location.name, options.lang),
+    };
+  }
+
+  private async nearest(point: GeoPoint): Promise<FixtureFile> {
+    const fixtures = await this.load();
+    let best: FixtureFile | undefined;
+    let bestDistance = Infinity;
+
+    for (const fixture of fixtures) {
+      const distance = Math.hypot(fixture.location.lat - point.lat, fixture.location.lon - point.lon);
+      if (distance < bestDistance) {
+        best = fixture;
+        bestDistance = distance;
+      }
+    }
+
+    if (!best || bestDistance > MAX_DISTANCE_DEGREES) {
+      throw noDataForPointError(point.lat, point.lon);
+    }
+    return best;
+  }
+
+  private load(): Promise<FixtureFile[]> {
+    if (!this.fixtures) {
+      this.fixtures = this.readDirectory().catch((error) => {
+        this.fixtures = null;
+        throw new Error(`Не удалось прочитать фикстуры погоды из ${this.directory}: ${error.message}`);
+      });
+    }
+    return this.fixtures;
+  }
+
+  private async readDirectory(): Promise<FixtureFile[]> {
+    const files = (await fs.readdir(this.directory)).filter((file) => file.endsWith(".json")).sort();
+    const fixtures: FixtureFile[] = [];
+
+    for (const file of files) {
+      const fixture = JSON.parse(await fs.readFile(path.join(this.directory, file), "utf-8")) as FixtureFile;
+      fixture.aliases = [path.basename(file, ".json"), ...(fixture.aliases ?? [])];
+      fixtures.push(fixture);
+    }
+
+    return fixtures;
+  }
+}
+
+function fixtureNames(fixture: FixtureFile): string[] {
+  return [
+    ...(fixture.aliases ?? []),
+    ...(typeof fixture.location.name === "string"
+      ? [fixture.location.name]
+      : Object.values(fixture.location.name)),
+  ];
+}
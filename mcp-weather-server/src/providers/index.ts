@@ -0,0 +1,42 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { FixtureProvider } from "./fixture.js";
+import { OpenMeteoProvider } from "./openmeteo.js";
+import { OpenWeatherMapProvider } from "./openweathermap.js";
+import { WeatherProvider } from "./types.js";
+
+export * from "./types.js";
+
+// Каталог фикстур по умолчанию — mcp-weather-server/fixtures (рядом с build/ и src/)
+const DEFAULT_FIXTURES_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../fixtures"
+);
+
+export const PROVIDER_NAMES = ["openweathermap", "open-meteo", "fixture"] as const;
+
+// Выбор провайдера по WEATHER_PROVIDER. Если переменная не задана, используется
+// OpenWeatherMap при наличии OPENWEATHER_API_KEY и Open-Meteo (без ключа) в остальных случаях.
+export function createProviderFromEnv(env: NodeJS.ProcessEnv, timeoutMs: number): WeatherProvider {
+  const apiKey = env.OPENWEATHER_API_KEY;
+  const name = (env.WEATHER_PROVIDER || (apiKey ? "openweathermap" : "open-meteo")).toLowerCase();
+
+  switch (name) {
+    case "openweathermap":
+      if (!apiKey) {
+        throw new Error("WEATHER_PROVIDER=openweathermap requires OPENWEATHER_API_KEY environment variable");
+      }
+      return new OpenWeatherMapProvider(apiKey, timeoutMs);
+    case "open-meteo":
+      return new OpenMeteoProvider(
+        timeoutMs,
+        env.OPEN_METEO_BASE_URL || undefined,
+        env.OPEN_METEO_GEOCODING_URL || undefined,
+        env.OPEN_METEO_AIR_QUALITY_URL || undefined
+      );
+    case "fixture":
+      return new FixtureProvider(env.WEATHER_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+    default:
+      throw new Error(`Unknown WEATHER_PROVIDER "${name}". Supported: ${PROVIDER_NAMES.join(", ")}`);
+  }
+}
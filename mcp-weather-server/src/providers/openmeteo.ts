@@ -0,0 +1,306 @@
+import axios from "axios";
+import { fromCelsius, fromMetersPerSecond } from "../units.js";
+import { mapWeatherApiError, noAirQualityDataError } from "./errors.js";
+import {
+  AirQuality,
+  CurrentWeather,
+  Forecast,
+  GeoPoint,
+  LocationCandidate,
+  PlaceQuery,
+  ProviderRequestOptions,
+  WeatherLocation,
+  WeatherProvider,
+  FORECAST_HORIZON_HOURS,
+  coordinatesLabel,
+} from "./types.js";
+
+// Open-Meteo не требует API ключа. Базовые адреса можно переопределить
+// для самостоятельно развёрнутого совместимого сервера.
+const DEFAULT_FORECAST_URL = "https://api.open-meteo.com/v1/forecast";
+const DEFAULT_GEOCODING_URL = "https://geocoding-api.open-meteo.com/v1/search";
+const DEFAULT_AIR_QUALITY_URL = "https://air-quality-api.open-meteo.com/v1/air-quality";
+// Дни Open-Meteo начинаются с местной полуночи, поэтому для полного горизонта нужен ещё один день
+const FORECAST_DAYS = FORECAST_HORIZON_HOURS / 24 + 1;
+
+const CURRENT_FIELDS = [
+  "temperature_2m",
+  "relative_humidity_2m",
+  "apparent_temperature",
+  "weather_code",
+  "cloud_cover",
+  "pressure_msl",
+  "wind_speed_10m",
+  "wind_direction_10m",
+  "uv_index",
+  "visibility",
+];
+
+const DAILY_FIELDS = ["sunrise", "sunset"];
+
+const AIR_QUALITY_FIELDS = ["us_aqi", "pm2_5", "pm10", "ozone", "nitrogen_dioxide"];
+
+const HOURLY_FIELDS = [
+  "temperature_2m",
+  "relative_humidity_2m",
+  "precipitation_probability",
+  "weather_code",
+  "wind_speed_10m",
+  "wind_direction_10m",
+];
+
+interface GeocodingResponse {
+  results?: Array<{
+    name: string;
+    latitude: number;
+    longitude: number;
+    country?: string;
+    country_code?: string;
+    admin1?: string;
+    population?: number;
+  }>;
+}
+
+interface OpenMeteoResponse {
+  utc_offset_seconds: number;
+  current: {
+    time: number;
+    temperature_2m: number;
+    relative_humidity_2m: number;
+    apparent_temperature: number;
+    weather_code: number;
+    cloud_cover: number;
+    pressure_msl: number;
+    wind_speed_10m: number;
+    wind_direction_10m: number;
+    uv_index?: number | null;
+    visibility?: number | null;
+  };
+  daily?: {
+    sunrise: number[];
+    sunset: number[];
+  };
+  hourly: {
+    time: number[];
+    temperature_2m: number[];
+    relative_humidity_2m: number[];
+    precipitation_probability: Array<number | null>;
+    weather_code: number[];
+    wind_speed_10m: number[];
+    wind_direction_10m: number[];
+  };
+}
+
+interface OpenMeteoAirQualityResponse {
+  current: {
+    time: number;
+    us_aqi: number | null;
+    pm2_5: number | null;
+    pm10: number | null;
+    ozone: number | null;
+    nitrogen_dioxide: number | null;
+  };
+}
+
+// Коды погоды WMO, которые возвращает Open-Meteo
+const WMO_DESCRIPTIONS: Record<number, { ru: string; en: string; main: string }> = {
+  0: { ru: "ясно", en: "clear sky", main: "Clear" },
+  1: { ru: "преимущественно ясно", en: "mainly clear", main: "Clouds" },
+  2: { ru: "переменная облачность", en: "partly cloudy", main: "Clouds" },
+  3: { ru: "пасмурно", en: "overcast", main: "Clouds" },
+  45: { ru: "туман", en: "fog", main: "Fog" },
+  48: { ru: "изморозь", en: "depositing rime fog", main: "Fog" },
+  51: { ru: "слабая морось", en: "light drizzle", main: "Drizzle" },
+  53: { ru: "морось", en: "moderate drizzle", main: "Drizzle" },
+  55: { ru: "сильная морось", en: "dense drizzle", main: "Drizzle" },
+  56: { ru: "слабая ледяная морось", en: "light freezing drizzle", main: "Drizzle" },
+  57: { ru: "ледяная морось", en: "dense freezing drizzle", main: "Drizzle" },
+  61: { ru: "небольшой дождь", en: "slight rain", main: "Rain" },
+  63: { ru: "дождь", en: "moderate rain", main: "Rain" },
+  65: { ru: "сильный дождь", en: "heavy rain", main: "Rain" },
+  66: { ru: "слабый ледяной дождь", en: "light freezing rain", main: "Rain" },
+  67: { ru: "ледяной дождь", en: "heavy freezing rain", main: "Rain" },
+  71: { ru: "небольшой снег", en: "slight snow fall", main: "Snow" },
+  73: { ru: "снег", en: "moderate snow fall", main: "Snow" },
+  75: { ru: "сильный снег", en: "heavy snow fall", main: "Snow" },
+  77: { ru: "снежные зёрна", en: "snow grains", main: "Snow" },
+  80: { ru: "небольшой ливень", en: "slight rain showers", main: "Rain" },
+  81: { ru: "ливень", en: "moderate rain showers", main: "Rain" },
+  82: { ru: "сильный ливень", en: "violent rain showers", main: "Rain" },
+  85: { ru: "небольшой снегопад", en: "slight snow showers", main: "Snow" },
+  86: { ru: "сильный снегопад", en: "heavy snow showers", main: "Snow" },
+  95: { ru: "гроза", en: "thunderstorm", main: "Thunderstorm" },
+  96: { ru: "гроза с небольшим градом", en: "thunderstorm with slight hail", main: "Thunderstorm" },
+  99: { ru: "гроза с сильным градом", en: "thunderstorm with heavy hail", main: "Thunderstorm" },
+};
+
+function describeWeatherCode(code: number, lang: string): { description: string; main: string } {
+  const entry = WMO_DESCRIPTIONS[code];
+  if (!entry) {
+    return { description: lang === "ru" ? "нет данных" : "unknown", main: "Unknown" };
+  }
+  return { description: lang === "ru" ? entry.ru : entry.en, main: entry.main };
+}
+
+export class OpenMeteoProvider implements WeatherProvider {
+  readonly name = "open-meteo";
+  readonly label = "Open-Meteo";
+
+  constructor(
+    private timeoutMs: number,
+    private forecastUrl: string = DEFAULT_FORECAST_URL,
+    private geocodingUrl: string = DEFAULT_GEOCODING_URL,
+    private airQualityUrl: string = DEFAULT_AIR_QUALITY_URL
+  ) {}
+
+  async findLocations(query: PlaceQuery, options: ProviderRequestOptions, limit: number): Promise<LocationCandidate[]> {
+    try {
+      const response = await axios.get<GeocodingResponse>(this.geocodingUrl, {
+        params: {
+          name: query.name,
+          count: limit,
+          language: options.lang,
+          countryCode: query.country,
+          format: "json"
+        },
+        timeout: this.timeoutMs
+      });
+      return (response.data.results ?? []).map((place) => ({
+        name: place.name,
+        country: place.country_code,
+        region: place.admin1,
+        lat: place.latitude,
+        lon: place.longitude,
+        population: place.population,
+      }));
+    } catch (error: any) {
+      throw this.mapError(error, query.name);
+    }
+  }
+
+  async getCurrent(point: GeoPoint, options: ProviderRequestOptions): Promise<CurrentWeather> {
+    const { location, data } = await this.fetch(point, options);
+    const current = data.current;
+    const weather = describeWeatherCode(current.weather_code, options.lang);
+
+    return {
+      location,
+      temp: fromCelsius(current.temperature_2m, options.units),
+      feelsLike: fromCelsius(current.apparent_temperature, options.units),
+      humidity: current.relative_humidity_2m,
+      pressure: current.pressure_msl,
+      windSpeed: fromMetersPerSecond(current.wind_speed_10m, options.units),
+      windDeg: current.wind_direction_10m,
+      clouds: current.cloud_cover,
+      description: weather.description,
+      condition: weather.main,
+      observedAt: current.time,
+      uvIndex: current.uv_index ?? undefined,
+      visibility: current.visibility ?? undefined,
+      // Первый день daily — сегодняшний в часовом поясе точки
+      sunrise: data.daily?.sunrise[0],
+      sunset: data.daily?.sunset[0],
+    };
+  }
+
+  async getAirQuality(point: GeoPoint): Promise<AirQuality> {
+    let current: OpenMeteoAirQualityResponse["current"];
+    try {
+      const response = await axios.get<OpenMeteoAirQualityResponse>(this.airQualityUrl, {
+        params: {
+          latitude: point.lat,
+          longitude: point.lon,
+          current: AIR_QUALITY_FIELDS.join(","),
+          timeformat: "unixtime"
+        },
+        timeout: this.timeoutMs
+      });
+      current = response.data.current;
+    } catch (error: any) {
+      throw this.mapError(error, point.name ?? coordinatesLabel(point));
+    }
+
+    if (current.us_aqi === null) {
+      throw noAirQualityDataError(point.lat, point.lon);
+    }
+    return {
+      aqi: current.us_aqi,
+      aqiScale: "us-epa",
+      pm2_5: current.pm2_5 ?? undefined,
+      pm10: current.pm10 ?? undefined,
+      o3: current.ozone ?? undefined,
+      no2: current.nitrogen_dioxide ?? undefined,
+      observedAt: current.time,
+    };
+  }
+
+  async getForecast(point: GeoPoint, options: ProviderRequestOptions): Promise<Forecast> {
+    const { location, data } = await this.fetch(point, options);
+    const hourly = data.hourly;
+    // Open-Meteo отдаёт почасовой прогноз с начала суток — отбрасываем прошедшие часы
+    // и часы за пределами общего горизонта прогноза
+    const fromTime = Date.now() / 1000 - 3600;
+    const toTime = Date.now() / 1000 + FORECAST_HORIZON_HOURS * 3600;
+
+    const entries = hourly.time
+      .map((dt, i) => {
+        const temp = fromCelsius(hourly.temperature_2m[i], options.units);
+        return {
+          dt,
+          temp,
+          tempMin: temp,
+          tempMax: temp,
+          humidity: hourly.relative_humidity_2m[i],
+          description: describeWeatherCode(hourly.weather_code[i], options.lang).description,
+          windSpeed: fromMetersPerSecond(hourly.wind_speed_10m[i], options.units),
+          windDeg: hourly.wind_direction_10m[i],
+          pop: (hourly.precipitation_probability[i] ?? 0) / 100,
+        };
+      })
+      .filter((entry) => entry.dt >= fromTime && entry.dt <= toTime);
+
+    return { location, entries };
+  }
+
+  private async fetch(point: GeoPoint, options: ProviderRequestOptions): Promise<{ location: WeatherLocation; data: OpenMeteoResponse }> {
+    try {
+      const response = await axios.get<OpenMeteoResponse>(this.forecastUrl, {
+        params: {
+          latitude: point.lat,
+          longitude: point.lon,
+          current: CURRENT_FIELDS.join(","),
+          hourly: HOURLY_FIELDS.join(","),
+          daily: DAILY_FIELDS.join(","),
+          forecast_days: FORECAST_DAYS,
+          timezone: "auto",
+          timeformat: "unixtime",
+          // Данные запрашиваются в метрической системе и пересчитываются так же, как у других провайдеров
+          temperature_unit: "celsius",
+          wind_speed_unit: "ms"
+        },
+        timeout: this.timeoutMs
+      });
+      return {
+        location: {
+          name: point.name ?? coordinatesLabel(point),
+          country: point.country,
+          region: point.region,
+          lat: point.lat,
+          lon: point.lon,
+          timezoneOffset: response.data.utc_offset_seconds,
+        },
+        data: response.data,
+      };
+    } catch (error: any) {
+      throw this.mapError(error, point.name ?? coordinatesLabel(point));
+    }
+  }
+
+  private mapError(error: any, city: string): Error {
+    return mapWeatherApiError(error, {
+      city,
+      timeoutMs: this.timeoutMs,
+      unauthorizedMessage: "Сервер Open-Meteo отклонил запрос (401). Проверьте OPEN_METEO_BASE_URL.",
+    });
+  }
+}
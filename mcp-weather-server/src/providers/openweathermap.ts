@@ -0,0 +1,315 @@
+import axios from "axios";
+import { chunk } from "../concurrency.js";
+import { mapWeatherApiError, noAirQualityDataError } from "./errors.js";
+import {
+  AirQuality,
+  CurrentWeather,
+  Forecast,
+  GeoPoint,
+  LocationCandidate,
+  PlaceQuery,
+  ProviderRequestOptions,
+  WeatherLocation,
+  WeatherProvider,
+  pointKey,
+} from "./types.js";
+
+const BASE_URL = "https://api.openweathermap.org/data/2.5";
+const GEO_URL = "https://api.openweathermap.org/geo/1.0/direct";
+// Пакетный эндпоинт /group принимает не более 20 идентификаторов городов
+const GROUP_MAX_IDS = 20;
+
+interface OwmWeatherData {
+  id: number;
+  name: string;
+  coord: {
+    lat: number;
+    lon: number;
+  };
+  sys?: {
+    country?: string;
+    sunrise?: number;
+    sunset?: number;
+  };
+  timezone: number;
+  visibility?: number;
+  main: {
+    temp: number;
+    feels_like: number;
+    humidity: number;
+    pressure: number;
+  };
+  weather: Array<{
+    description: string;
+    main: string;
+  }>;
+  wind: {
+    speed: number;
+    deg: number;
+  };
+  clouds: {
+    all: number;
+  };
+  dt: number;
+}
+
+interface OwmGeoResult {
+  name: string;
+  local_names?: Record<string, string>;
+  lat: number;
+  lon: number;
+  country: string;
+  state?: string;
+}
+
+interface OwmAirPollutionData {
+  list: Array<{
+    dt: number;
+    main: {
+      aqi: number;
+    };
+    components: Record<string, number>;
+  }>;
+}
+
+interface OwmGroupData {
+  cnt: number;
+  list: OwmWeatherData[];
+}
+
+interface OwmForecastEntry {
+  dt: number;
+  main: {
+    temp: number;
+    temp_min: number;
+    temp_max: number;
+    humidity: number;
+  };
+  weather: Array<{
+    description: string;
+    main: string;
+  }>;
+  wind: {
+    speed: number;
+    deg: number;
+  };
+  pop: number;
+}
+
+interface OwmForecastData {
+  list: OwmForecastEntry[];
+  city: {
+    name: string;
+    country?: string;
+    coord: {
+      lat: number;
+      lon: number;
+    };
+    timezone: number;
+  };
+}
+
+export class OpenWeatherMapProvider implements WeatherProvider {
+  readonly name = "openweathermap";
+  readonly label = "OpenWeatherMap";
+
+  // id городов по координатам, запомненные по предыдущим ответам, — нужны для пакетного запроса
+  private cityIds = new Map<string, number>();
+
+  constructor(
+    private apiKey: string,
+    private timeoutMs: number
+  ) {}
+
+  async findLocations(query: PlaceQuery, options: ProviderRequestOptions, limit: number): Promise<LocationCandidate[]> {
+    const q = [query.name, query.region, query.country].filter(Boolean).join(",");
+    try {
+      const response = await axios.get<OwmGeoResult[]>(GEO_URL, {
+        params: {
+          q,
+          limit,
+          appid: this.apiKey
+        },
+        timeout: this.timeoutMs
+      });
+      return response.data.map((place) => ({
+        name: place.local_names?.[options.lang] ?? place.name,
+        country: place.country,
+        region: place.state,
+        lat: place.lat,
+        lon: place.lon,
+      }));
+    } catch (error: any) {
+      throw this.mapError(error, q);
+    }
+  }
+
+  async getCurrent(point: GeoPoint, options: ProviderRequestOptions): Promise<CurrentWeather> {
+    try {
+      const response = await axios.get<OwmWeatherData>(`${BASE_URL}/weather`, {
+        params: {
+          lat: point.lat,
+          lon: point.lon,
+          appid: this.apiKey,
+          units: options.units,
+          lang: options.lang
+        },
+        timeout: this.timeoutMs
+      });
+      this.cityIds.set(pointKey(point), response.data.id);
+      return toCurrentWeather(response.data, point);
+    } catch (error: any) {
+      throw this.mapError(error, describePoint(point));
+    }
+  }
+
+  async getForecast(point: GeoPoint, options: ProviderRequestOptions): Promise<Forecast> {
+    try {
+      const response = await axios.get<OwmForecastData>(`${BASE_URL}/forecast`, {
+        params: {
+          lat: point.lat,
+          lon: point.lon,
+          appid: this.apiKey,
+          units: options.units,
+          lang: options.lang
+        },
+        timeout: this.timeoutMs
+      });
+      const data = response.data;
+      return {
+        location: {
+          name: point.name ?? data.city.name,
+          country: point.country ?? data.city.country,
+          region: point.region,
+          lat: data.city.coord.lat,
+          lon: data.city.coord.lon,
+          timezoneOffset: data.city.timezone,
+        },
+        entries: data.list.map((entry) => ({
+          dt: entry.dt,
+          temp: entry.main.temp,
+          tempMin: entry.main.temp_min,
+          tempMax: entry.main.temp_max,
+          humidity: entry.main.humidity,
+          description: entry.weather[0]?.description ?? "",
+          windSpeed: entry.wind.speed,
+          windDeg: entry.wind.deg,
+          pop: entry.pop ?? 0,
+        })),
+      };
+    } catch (error: any) {
+      throw this.mapError(error, describePoint(point));
+    }
+  }
+
+  async getAirQuality(point: GeoPoint): Promise<AirQuality> {
+    let data: OwmAirPollutionData;
+    try {
+      const response = await axios.get<OwmAirPollutionData>(`${BASE_URL}/air_pollution`, {
+        params: {
+          lat: point.lat,
+          lon: point.lon,
+          appid: this.apiKey
+        },
+        timeout: this.timeoutMs
+      });
+      data = response.data;
+    } catch (error: any) {
+      throw this.mapError(error, describePoint(point));
+    }
+
+    const entry = data.list[0];
+    if (!entry) {
+      throw noAirQualityDataError(point.lat, point.lon);
+    }
+    return {
+      aqi: entry.main.aqi,
+      aqiScale: "owm",
+      pm2_5: entry.components.pm2_5,
+      pm10: entry.components.pm10,
+      o3: entry.components.o3,
+      no2: entry.components.no2,
+      observedAt: entry.dt,
+    };
+  }
+
+  // Загружает текущую погоду для точек с известными id городов через /group.
+  // При ошибке возвращает пустой результат, чтобы вызывающий код перешёл к запросам по одной точке.
+  async getCurrentMany(points: GeoPoint[], options: ProviderRequestOptions): Promise<Map<string, CurrentWeather>> {
+    const found = new Map<string, CurrentWeather>();
+    const known = points.filter((point) => this.cityIds.has(pointKey(point)));
+
+    if (known.length < 2) {
+      return found;
+    }
+
+    for (const group of chunk(known, GROUP_MAX_IDS)) {
+      try {
+        const response = await axios.get<OwmGroupData>(`${BASE_URL}/group`, {
+          params: {
+            id: group.map((point) => this.cityIds.get(pointKey(point))).join(","),
+            appid: this.apiKey,
+            units: options.units,
+            lang: options.lang
+          },
+          timeout: this.timeoutMs
+        });
+        const byId = new Map(response.data.list.map((data) => [data.id, data]));
+        for (const point of group) {
+          const data = byId.get(this.cityIds.get(pointKey(point))!);
+          if (data) {
+            found.set(pointKey(point), toCurrentWeather(data, point));
+          }
+        }
+      } catch (error: any) {
+        console.error(`Group request failed, falling back to per-city requests: ${error.message}`);
+      }
+    }
+
+    return found;
+  }
+
+  private mapError(error: any, city: string): Error {
+    return mapWeatherApiError(error, {
+      city,
+      timeoutMs: this.timeoutMs,
+      unauthorizedMessage: "Неверный API ключ OpenWeatherMap. Проверьте OPENWEATHER_API_KEY.",
+    });
+  }
+}
+
+function describePoint(point: GeoPoint): string {
+  return point.name ?? `${point.lat}, ${point.lon}`;
+}
+
+// Название и страна из геокодирования точнее, чем имя метеостанции в ответе /weather
+function toLocation(data: OwmWeatherData, point: GeoPoint): WeatherLocation {
+  return {
+    name: point.name ?? data.name,
+    country: point.country ?? data.sys?.country,
+    region: point.region,
+    lat: data.coord.lat,
+    lon: data.coord.lon,
+    timezoneOffset: data.timezone,
+  };
+}
+
+function toCurrentWeather(data: OwmWeatherData, point: GeoPoint): CurrentWeather {
+  return {
+    location: toLocation(data, point),
+    temp: data.main.temp,
+    feelsLike: data.main.feels_like,
+    humidity: data.main.humidity,
+    pressure: data.main.pressure,
+    windSpeed: data.wind.speed,
+    windDeg: data.wind.deg,
+    clouds: data.clouds.all,
+    description: data.weather[0]?.description ?? "",
+    condition: data.weather[0]?.main ?? "",
+    observedAt: data.dt,
+    // /data/2.5/weather не сообщает УФ-индекс
+    visibility: data.visibility,
+    sunrise: data.sys?.sunrise,
+    sunset: data.sys?.sunset,
+  };
+}
@@ -0,0 +1,126 @@
+// Общий интерфейс погодных провайдеров и нормализованный формат данных.
+// Инструменты сервера работают только с этими типами и не знают, откуда пришли данные.
+
+export type Units = "metric" | "imperial" | "standard";
+
+export interface ProviderRequestOptions {
+  units: Units;
+  lang: string;
+}
+
+export interface WeatherLocation {
+  name: string;
+  country?: string;
+  region?: string;
+  lat: number;
+  lon: number;
+  // Смещение локального времени от UTC в секундах
+  timezoneOffset: number;
+}
+
+// Точка, для которой запрашивается погода. name/country/region подставляются в ответ,
+// если место уже определено геокодированием.
+export interface GeoPoint {
+  lat: number;
+  lon: number;
+  name?: string;
+  country?: string;
+  region?: string;
+}
+
+// Название места с необязательным уточнением: "Paris, FR" или "Paris, Texas, US"
+export interface PlaceQuery {
+  name: string;
+  region?: string;
+  country?: string;
+}
+
+export interface LocationCandidate {
+  name: string;
+  country?: string;
+  region?: string;
+  lat: number;
+  lon: number;
+  population?: number;
+}
+
+export interface CurrentWeather {
+  location: WeatherLocation;
+  temp: number;
+  feelsLike: number;
+  humidity: number;
+  pressure: number;
+  windSpeed: number;
+  windDeg: number;
+  clouds: number;
+  description: string;
+  condition: string;
+  // Время наблюдения, unix-время в секундах
+  observedAt: number;
+  // Необязательные показатели: undefined — провайдер их не сообщает
+  uvIndex?: number;
+  // Видимость в метрах
+  visibility?: number;
+  // Восход и закат сегодня, unix-время в секундах
+  sunrise?: number;
+  sunset?: number;
+}
+
+// Шкала индекса качества воздуха: OpenWeatherMap (1–5) или US EPA AQI (0–500)
+export type AqiScale = "owm" | "us-epa";
+
+export interface AirQuality {
+  aqi: number;
+  aqiScale: AqiScale;
+  // Концентрации, мкг/м³; undefined — провайдер их не сообщает
+  pm2_5?: number;
+  pm10?: number;
+  o3?: number;
+  no2?: number;
+  observedAt: number;
+}
+
+export interface ForecastPoint {
+  dt: number;
+  temp: number;
+  tempMin: number;
+  tempMax: number;
+  humidity: number;
+  description: string;
+  windSpeed: number;
+  windDeg: number;
+  // Вероятность осадков, 0..1
+  pop: number;
+}
+
+export interface Forecast {
+  location: WeatherLocation;
+  entries: ForecastPoint[];
+}
+
+// Горизонт прогноза от текущего момента — столько отдаёт OpenWeatherMap (5 дней по 3 часа).
+// Остальные провайдеры обрезают прогноз до него, чтобы число дней в ответе не зависело от провайдера
+export const FORECAST_HORIZON_HOURS = 120;
+
+export interface WeatherProvider {
+  readonly name: string;
+  readonly label: string;
+  // Кандидаты для названия места, наиболее вероятные первыми
+  findLocations(query: PlaceQuery, options: ProviderRequestOptions, limit: number): Promise<LocationCandidate[]>;
+  getCurrent(point: GeoPoint, options: ProviderRequestOptions): Promise<CurrentWeather>;
+  getForecast(point: GeoPoint, options: ProviderRequestOptions): Promise<Forecast>;
+  // Качество воздуха; провайдеры без этих данных метод не реализуют
+  getAirQuality?(point: GeoPoint): Promise<AirQuality>;
+  // Пакетная загрузка текущей погоды. Может вернуть данные только для части точек —
+  // остальные будут запрошены через getCurrent. Ключ результата — pointKey(point).
+  getCurrentMany?(points: GeoPoint[], options: ProviderRequestOptions): Promise<Map<string, CurrentWeather>>;
+}
+
+export function pointKey(point: { lat: number; lon: number }): string {
+  return `${point.lat.toFixed(4)},${point.lon.toFixed(4)}`;
+}
+
+// Название для ответа, если место задано только координатами
+export function coordinatesLabel(point: { lat: number; lon: number }): string {
+  return `${point.lat.toFixed(4)}, ${point.lon.toFixed(4)}`;
+}
@@ -0,0 +1,667 @@
+import { CacheLookup } from "./cache.js";
+import {
+  describeCacheSource,
+  formatLocalDateTime,
+  formatLocalTime,
+  getLocale,
+  getMessages,
+  getUnitLabels,
+  windDirection,
+} from "./i18n.js";
+import { formatCandidate, suggestQuery } from "./geocoding.js";
+import { ObservationRecord } from "./history.js";
+import {
+  AirQuality,
+  AqiScale,
+  CurrentWeather,
+  Forecast,
+  ForecastPoint,
+  GeoPoint,
+  LocationCandidate,
+  ProviderRequestOptions,
+  Units,
+  coordinatesLabel,
+  pointKey,
+} from "./providers/index.js";
+import { fromCelsius, fromMetersPerSecond } from "./units.js";
+
+// Структурированные ответы инструментов и их текстовое представление.
+// Текст всегда строится из той же структуры, что уходит в structuredContent.
+
+export interface ReadingLocation {
+  name: string;
+  country: string | null;
+  region: string | null;
+  lat: number;
+  lon: number;
+  timezone_offset: number;
+}
+
+export interface ReadingUnits {
+  system: Units;
+  temperature: string;
+  wind_speed: string;
+  pressure: string;
+}
+
+export interface ReadingSource {
+  provider: string;
+  from_cache: boolean;
+  age_seconds: number;
+}
+
+export interface WeatherReading {
+  location: ReadingLocation;
+  observed_at: string;
+  temperature: number;
+  feels_like: number;
+  humidity: number;
+  pressure: number;
+  wind: {
+    speed: number;
+    direction_deg: number;
+    direction: string;
+  };
+  clouds: number;
+  condition: string;
+  description: string;
+  uv_index: number | null;
+  // Видимость в метрах
+  visibility: number | null;
+  sunrise: string | null;
+  sunset: string | null;
+  daylight_seconds: number | null;
+  // Поля, которые провайдер не сообщает; их значение — null
+  unavailable: string[];
+  units: ReadingUnits;
+  source: ReadingSource;
+}
+
+export type AqiCategory =
+  | "good"
+  | "fair"
+  | "moderate"
+  | "poor"
+  | "very_poor"
+  | "unhealthy_for_sensitive"
+  | "unhealthy"
+  | "very_unhealthy"
+  | "hazardous";
+
+export interface AirQualityResult {
+  location: Omit<ReadingLocation, "timezone_offset">;
+  observed_at: string;
+  aqi: number;
+  aqi_scale: AqiScale;
+  category: AqiCategory;
+  // Категория на языке запроса
+  category_label: string;
+  // Концентрации, мкг/м³
+  components: {
+    pm2_5: number | null;
+    pm10: number | null;
+    o3: number | null;
+    no2: number | null;
+  };
+  unavailable: string[];
+  source: ReadingSource;
+}
+
+// Элемент ответа get_weather_multiple_cities: либо показания в том же формате,
+// что и у get_weather_summary, либо { city, error }. Для неоднозначного названия
+// в ошибке перечисляются подходящие места.
+export type CityWeatherResult =
+  | (WeatherReading & { city: string; elapsed_ms: number })
+  | { city: string; error: string; elapsed_ms: number; candidates?: FoundLocation[] };
+
+export interface MultipleCitiesResult {
+  units: ReadingUnits;
+  elapsed_ms: number;
+  results: CityWeatherResult[];
+}
+
+export interface FoundLocation {
+  name: string;
+  country: string | null;
+  region: string | null;
+  lat: number;
+  lon: number;
+  population: number | null;
+  // Уточнённый запрос, по которому инструменты погоды выберут именно это место
+  query: string;
+}
+
+export interface FindLocationResult {
+  query: string;
+  ambiguous: boolean;
+  // Место, которое выберут инструменты погоды по исходному запросу
+  resolved: FoundLocation | null;
+  candidates: FoundLocation[];
+}
+
+export interface HistorySample {
+  observed_at: string;
+  temperature: number;
+  feels_like: number;
+  humidity: number;
+  pressure: number;
+  wind_speed: number;
+  clouds: number;
+  condition: string;
+  description: string;
+  // Изменение относительно предыдущего наблюдения, null для первого
+  delta: HistoryDelta | null;
+}
+
+export interface HistoryDelta {
+  minutes: number;
+  temperature: number;
+  humidity: number;
+  pressure: number;
+  wind_speed: number;
+}
+
+export interface SeriesAggregate {
+  min: number;
+  max: number;
+  avg: number;
+}
+
+export interface HistoryResult {
+  location: ReadingLocation;
+  from: string;
+  to: string;
+  count: number;
+  samples: HistorySample[];
+  // null, если наблюдений за период нет
+  aggregates: {
+    temperature: SeriesAggregate;
+    feels_like: SeriesAggregate;
+    humidity: SeriesAggregate;
+    pressure: SeriesAggregate;
+    wind_speed: SeriesAggregate;
+  } | null;
+  // Изменение между первым и последним наблюдением периода
+  change: Omit<HistoryDelta, "minutes"> | null;
+  units: ReadingUnits;
+}
+
+export interface DailyForecast {
+  date: string;
+  temp_min: number;
+  temp_max: number;
+  weather: string;
+  precipitation_probability: number;
+  wind_speed: number;
+  // Наибольшая из средних скоростей ветра за интервалы прогноза, а не порывы
+  wind_speed_max: number;
+}
+
+export interface ForecastResult {
+  location: ReadingLocation;
+  window_hours: number;
+  days: DailyForecast[];
+  units: ReadingUnits;
+  source: ReadingSource;
+}
+
+// Единицы в структурированном ответе не переводятся, чтобы их было удобно разбирать
+export function readingUnits(units: Units): ReadingUnits {
+  const labels = getUnitLabels(units, "en");
+  return {
+    system: units,
+    temperature: labels.temperature,
+    wind_speed: labels.speed,
+    pressure: "hPa",
+  };
+}
+
+export function readingSource(lookup: CacheLookup<unknown>, provider: string): ReadingSource {
+  return {
+    provider,
+    from_cache: lookup.source !== "network",
+    age_seconds: lookup.ageSeconds,
+  };
+}
+
+function readingLocation(location: CurrentWeather["location"]): ReadingLocation {
+  return {
+    name: location.name,
+    country: location.country ?? null,
+    region: location.region ?? null,
+    lat: location.lat,
+    lon: location.lon,
+    timezone_offset: location.timezoneOffset,
+  };
+}
+
+export function toWeatherReading(
+  lookup: CacheLookup<CurrentWeather>,
+  options: ProviderRequestOptions,
+  provider: string
+): WeatherReading {
+  const data = lookup.value;
+  const optional = {
+    uv_index: data.uvIndex ?? null,
+    visibility: data.visibility ?? null,
+    sunrise: data.sunrise !== undefined ? new Date(data.sunrise * 1000).toISOString() : null,
+    sunset: data.sunset !== undefined ? new Date(data.sunset * 1000).toISOString() : null,
+    daylight_seconds: data.sunrise !== undefined && data.sunset !== undefined ? data.sunset - data.sunrise : null,
+  };
+  return {
+    location: readingLocation(data.location),
+    observed_at: new Date(data.observedAt * 1000).toISOString(),
+    temperature: data.temp,
+    feels_like: data.feelsLike,
+    humidity: data.humidity,
+    pressure: data.pressure,
+    wind: {
+      speed: data.windSpeed,
+      direction_deg: data.windDeg,
+      direction: windDirection(data.windDeg, "en"),
+    },
+    clouds: data.clouds,
+    condition: data.condition,
+    description: data.description,
+    ...optional,
+    unavailable: unavailableFields(optional),
+    units: readingUnits(options.units),
+    source: readingSource(lookup, provider),
+  };
+}
+
+function unavailableFields(fields: Record<string, unknown>): string[] {
+  return Object.entries(fields)
+    .filter(([, value]) => value === null)
+    .map(([key]) => key);
+}
+
+const OWM_AQI_CATEGORIES: AqiCategory[] = ["good", "fair", "moderate", "poor", "very_poor"];
+
+// Верхние границы диапазонов US EPA AQI
+const EPA_AQI_CATEGORIES: Array<[number, AqiCategory]> = [
+  [50, "good"],
+  [100, "moderate"],
+  [150, "unhealthy_for_sensitive"],
+  [200, "unhealthy"],
+  [300, "very_unhealthy"],
+];
+
+// Категория по шкале провайдера: OpenWeatherMap 1–5 или диапазоны US EPA AQI
+export function aqiCategory(aqi: number, scale: AqiScale): AqiCategory {
+  if (scale === "owm") {
+    return OWM_AQI_CATEGORIES[Math.min(Math.max(Math.round(aqi), 1), 5) - 1];
+  }
+  return EPA_AQI_CATEGORIES.find(([max]) => aqi <= max)?.[1] ?? "hazardous";
+}
+
+export function toAirQualityResult(
+  lookup: CacheLookup<AirQuality>,
+  point: GeoPoint,
+  lang: string,
+  provider: string
+): AirQualityResult {
+  const data = lookup.value;
+  const category = aqiCategory(data.aqi, data.aqiScale);
+  const components = {
+    pm2_5: data.pm2_5 ?? null,
+    pm10: data.pm10 ?? null,
+    o3: data.o3 ?? null,
+    no2: data.no2 ?? null,
+  };
+  return {
+    location: {
+      name: point.name ?? coordinatesLabel(point),
+      country: point.country ?? null,
+      region: point.region ?? null,
+      lat: point.lat,
+      lon: point.lon,
+    },
+    observed_at: new Date(data.observedAt * 1000).toISOString(),
+    aqi: data.aqi,
+    aqi_scale: data.aqiScale,
+    category,
+    category_label: getMessages(lang).aqiCategories[category],
+    components,
+    unavailable: unavailableFields(components),
+    source: readingSource(lookup, provider),
+  };
+}
+
+export function toFoundLocation(candidate: LocationCandidate, all: LocationCandidate[]): FoundLocation {
+  return {
+    name: candidate.name,
+    country: candidate.country ?? null,
+    region: candidate.region ?? null,
+    lat: candidate.lat,
+    lon: candidate.lon,
+    population: candidate.population ?? null,
+    query: suggestQuery(candidate, all),
+  };
+}
+
+export function toFindLocationResult(
+  query: string,
+  candidates: LocationCandidate[],
+  chosen: LocationCandidate | null
+): FindLocationResult {
+  return {
+    query,
+    ambiguous: candidates.length > 1 && chosen === null,
+    resolved: chosen ? toFoundLocation(chosen, candidates) : null,
+    candidates: candidates.map((candidate) => toFoundLocation(candidate, candidates)),
+  };
+}
+
+function round1(value: number): number {
+  return Math.round(value * 10) / 10;
+}
+
+// Группирует интервалы прогноза по локальной дате города
+export function aggregateDailyForecast(forecast: Forecast, noData: string): DailyForecast[] {
+  const byDate = new Map<string, ForecastPoint[]>();
+
+  for (const entry of forecast.entries) {
+    const localDate = new Date((entry.dt + forecast.location.timezoneOffset) * 1000)
+      .toISOString()
+      .slice(0, 10);
+    const entries = byDate.get(localDate) ?? [];
+    entries.push(entry);
+    byDate.set(localDate, entries);
+  }
+
+  const days: DailyForecast[] = [];
+
+  for (const [date, entries] of byDate) {
+    const conditions = new Map<string, number>();
+    for (const entry of entries) {
+      const description = entry.description || noData;
+      conditions.set(description, (conditions.get(description) ?? 0) + 1);
+    }
+    const dominant = [...conditions.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    const windSpeeds = entries.map((entry) => entry.windSpeed);
+
+    days.push({
+      date,
+      temp_min: round1(Math.min(...entries.map((entry) => entry.tempMin))),
+      temp_max: round1(Math.max(...entries.map((entry) => entry.tempMax))),
+      weather: dominant,
+      precipitation_probability: Math.round(Math.max(...entries.map((entry) => entry.pop)) * 100),
+      wind_speed: round1(windSpeeds.reduce((sum, speed) => sum + speed, 0) / windSpeeds.length),
+      wind_speed_max: round1(Math.max(...windSpeeds)),
+    });
+  }
+
+  return days;
+}
+
+function aggregate(values: number[]): SeriesAggregate {
+  return {
+    min: round1(Math.min(...values)),
+    max: round1(Math.max(...values)),
+    avg: round1(values.reduce((sum, value) => sum + value, 0) / values.length),
+  };
+}
+
+function historyDelta(previous: HistorySample, current: HistorySample): HistoryDelta {
+  return {
+    minutes: Math.round((Date.parse(current.observed_at) - Date.parse(previous.observed_at)) / 60000),
+    temperature: round1(current.temperature - previous.temperature),
+    humidity: current.humidity - previous.humidity,
+    pressure: current.pressure - previous.pressure,
+    wind_speed: round1(current.wind_speed - previous.wind_speed),
+  };
+}
+
+// Ряд наблюдений в единицах запроса с приростами между соседними наблюдениями
+export function toHistoryResult(
+  point: GeoPoint,
+  records: ObservationRecord[],
+  fromMs: number,
+  toMs: number,
+  units: Units
+): HistoryResult {
+  const samples: HistorySample[] = [];
+  for (const record of records) {
+    const sample: HistorySample = {
+      observed_at: record.observed_at,
+      temperature: fromCelsius(record.temperature, units),
+      feels_like: fromCelsius(record.feels_like, units),
+      humidity: record.humidity,
+      pressure: record.pressure,
+      wind_speed: fromMetersPerSecond(record.wind_speed, units),
+      clouds: record.clouds,
+      condition: record.condition,
+      description: record.description,
+      delta: null,
+    };
+    if (samples.length > 0) {
+      sample.delta = historyDelta(samples[samples.length - 1], sample);
+    }
+    samples.push(sample);
+  }
+
+  const latest = records[records.length - 1];
+  const total = samples.length > 0 ? historyDelta(samples[0], samples[samples.length - 1]) : null;
+
+  return {
+    location: {
+      name: point.name ?? latest?.name ?? coordinatesLabel(point),
+      country: point.country ?? latest?.country ?? null,
+      region: point.region ?? latest?.region ?? null,
+      lat: point.lat,
+      lon: point.lon,
+      timezone_offset: latest?.timezone_offset ?? 0,
+    },
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    count: samples.length,
+    samples,
+    aggregates: samples.length > 0
+      ? {
+        temperature: aggregate(samples.map((sample) => sample.temperature)),
+        feels_like: aggregate(samples.map((sample) => sample.feels_like)),
+        humidity: aggregate(samples.map((sample) => sample.humidity)),
+        pressure: aggregate(samples.map((sample) => sample.pressure)),
+        wind_speed: aggregate(samples.map((sample) => sample.wind_speed)),
+      }
+      : null,
+    change: total
+      ? { temperature: total.temperature, humidity: total.humidity, pressure: total.pressure, wind_speed: total.wind_speed }
+      : null,
+    units: readingUnits(units),
+  };
+}
+
+export function toForecastResult(
+  lookup: CacheLookup<Forecast>,
+  forecast: Forecast,
+  days: DailyForecast[],
+  windowHours: number,
+  options: ProviderRequestOptions,
+  provider: string
+): ForecastResult {
+  return {
+    location: readingLocation(forecast.location),
+    window_hours: windowHours,
+    days,
+    units: readingUnits(options.units),
+    source: readingSource(lookup, provider),
+  };
+}
+
+function describeSource(source: ReadingSource, lang: string): string {
+  // Данные фикстур не должны выглядеть как настоящие показания, даже если они из кэша
+  if (source.provider === "fixture") {
+    return getMessages(lang).sourceFixture;
+  }
+  return describeCacheSource(
+    {
+      source: source.from_cache ? "cache" : "network",
+      ageSeconds: source.age_seconds,
+    },
+    getMessages(lang)
+  );
+}
+
+export function renderWeatherReading(reading: WeatherReading, lang: string): string {
+  const messages = getMessages(lang);
+  const unitLabels = getUnitLabels(reading.units.system, lang);
+  const observedAt = Date.parse(reading.observed_at) / 1000;
+  const time = formatLocalTime(observedAt, reading.location.timezone_offset, lang);
+
+  return `${messages.weatherIn(reading.location.name)}
+• ${messages.temperature}: ${reading.temperature}${unitLabels.temperature} (${messages.feelsLike} ${reading.feels_like}${unitLabels.temperature})
+• ${messages.condition}: ${reading.description}
+• ${messages.wind}: ${reading.wind.speed} ${unitLabels.speed}, ${windDirection(reading.wind.direction_deg, lang)}
+• ${messages.humidity}: ${reading.humidity}%
+• ${messages.clouds}: ${reading.clouds}%
+• ${messages.pressure}: ${reading.pressure} ${messages.pressureUnit}
+${renderOptionalFields(reading, lang)}
+• ${messages.updatedAt}: ${time}
+${describeSource(reading.source, lang)}`;
+}
+
+// Градации УФ-индекса ВОЗ: верхние границы (не включительно)
+const UV_LEVELS: Array<[number, string]> = [
+  [3, "low"],
+  [6, "moderate"],
+  [8, "high"],
+  [11, "very_high"],
+];
+
+function uvLevel(uvIndex: number): string {
+  return UV_LEVELS.find(([limit]) => uvIndex < limit)?.[1] ?? "extreme";
+}
+
+function formatDuration(seconds: number, lang: string): string {
+  const messages = getMessages(lang);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return `${hours} ${messages.hours} ${minutes} ${messages.minutes}`;
+}
+
+// УФ-индекс, видимость, восход и закат; отсутствующие у провайдера показатели помечаются явно
+function renderOptionalFields(reading: WeatherReading, lang: string): string {
+  const messages = getMessages(lang);
+  const offset = reading.location.timezone_offset;
+  const localTime = (iso: string) => formatLocalTime(Date.parse(iso) / 1000, offset, lang);
+
+  const uv = reading.uv_index !== null
+    ? `${reading.uv_index} (${messages.uvLevels[uvLevel(reading.uv_index)]})`
+    : messages.unavailable;
+
+  let visibility = messages.unavailable;
+  if (reading.visibility !== null) {
+    visibility = reading.units.system === "imperial"
+      ? `${Math.round(reading.visibility / 1609.34 * 10) / 10} ${messages.miles}`
+      : `${Math.round(reading.visibility / 100) / 10} ${messages.kilometers}`;
+  }
+
+  let sun = `${messages.sunrise} / ${messages.sunset}: ${messages.unavailable}`;
+  if (reading.sunrise !== null && reading.sunset !== null && reading.daylight_seconds !== null) {
+    sun = `${messages.sunrise}: ${localTime(reading.sunrise)}, ${messages.sunset}: ${localTime(reading.sunset)}, ${messages.daylight}: ${formatDuration(reading.daylight_seconds, lang)}`;
+  }
+
+  return `• ${messages.uvIndex}: ${uv}
+• ${messages.visibility}: ${visibility}
+• ${sun}`;
+}
+
+export function renderAirQuality(result: AirQualityResult, lang: string): string {
+  const messages = getMessages(lang);
+  const component = (value: number | null) =>
+    value !== null ? `${value} ${messages.microgramsPerCubicMeter}` : messages.unavailable;
+
+  return `${messages.airQualityIn(result.location.name)}
+• ${messages.aqi}: ${result.aqi} (${messages.aqiScales[result.aqi_scale]}) — ${result.category_label}
+• PM2.5: ${component(result.components.pm2_5)}
+• PM10: ${component(result.components.pm10)}
+• O₃: ${component(result.components.o3)}
+• NO₂: ${component(result.components.no2)}
+${describeSource(result.source, lang)}`;
+}
+
+export function renderMultipleCities(result: MultipleCitiesResult, lang: string): string {
+  const messages = getMessages(lang);
+  const blocks = result.results.map((entry) =>
+    "error" in entry
+      ? `❌ ${entry.city}: ${entry.error}`
+      : renderWeatherReading(entry, lang)
+  );
+  return `${blocks.join("\n\n")}
+
+${messages.elapsedTotal(result.results.length, result.elapsed_ms)}`;
+}
+
+export function renderForecast(result: ForecastResult, lang: string): string {
+  const messages = getMessages(lang);
+  const unitLabels = getUnitLabels(result.units.system, lang);
+
+  const lines = result.days.map((day) =>
+    `📅 ${day.date}: ${day.temp_min}…${day.temp_max}${unitLabels.temperature}, ${day.weather}
+   • ${messages.precipitationProbability}: ${day.precipitation_probability}%
+   • ${messages.wind}: ${day.wind_speed} ${unitLabels.speed} (${messages.windMax} ${day.wind_speed_max} ${unitLabels.speed})`
+  );
+
+  return `${messages.forecastIn(result.location.name, result.window_hours)}
+${lines.join("\n")}
+${describeSource(result.source, lang)}`;
+}
+
+export function renderFoundLocations(result: FindLocationResult, lang: string): string {
+  const messages = getMessages(lang);
+  if (result.candidates.length === 0) {
+    return messages.noLocationsFound(result.query);
+  }
+
+  const lines = result.candidates.map((candidate) => {
+    const population = candidate.population !== null
+      ? `, ${messages.population} ${candidate.population.toLocaleString(getLocale(lang))}`
+      : "";
+    const marker = result.resolved && pointKey(result.resolved) === pointKey(candidate) ? "✅" : "•";
+    return `${marker} ${formatCandidate(candidate)}${population} → "${candidate.query}"`;
+  });
+
+  return `${messages.locationsFound(result.query)}
+${lines.join("\n")}${result.ambiguous ? `\n${messages.ambiguousLocation}` : ""}`;
+}
+
+// Число со знаком для приростов: +1.5, -0.3, 0
+function signed(value: number): string {
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+export function renderHistory(result: HistoryResult, lang: string, maxSamples: number): string {
+  const messages = getMessages(lang);
+  const unitLabels = getUnitLabels(result.units.system, lang);
+  const offset = result.location.timezone_offset;
+  const localTime = (iso: string) => formatLocalDateTime(Date.parse(iso) / 1000, offset, lang);
+
+  const header = `${messages.historyIn(result.location.name, result.count)}
+${messages.historyPeriod(localTime(result.from), localTime(result.to))}`;
+
+  if (!result.aggregates || !result.change) {
+    return `${header}
+${messages.noHistory}`;
+  }
+
+  const shown = result.samples.slice(-maxSamples);
+  const lines = shown.map((sample) => {
+    const temperatureDelta = sample.delta ? ` (${signed(sample.delta.temperature)})` : "";
+    return `• ${localTime(sample.observed_at)}: ${sample.temperature}${unitLabels.temperature}${temperatureDelta}, ${sample.description}, ${messages.humidity.toLowerCase()} ${sample.humidity}%, ${sample.pressure} ${messages.pressureUnit}, ${messages.wind.toLowerCase()} ${sample.wind_speed} ${unitLabels.speed}`;
+  });
+  if (result.samples.length > shown.length) {
+    lines.unshift(messages.earlierSamples(result.samples.length - shown.length));
+  }
+
+  const { aggregates, change } = result;
+  return `${header}
+${lines.join("\n")}
+
+${messages.temperature}: ${messages.aggregate(aggregates.temperature.min, aggregates.temperature.max, aggregates.temperature.avg)} ${unitLabels.temperature}
+${messages.humidity}: ${messages.aggregate(aggregates.humidity.min, aggregates.humidity.max, aggregates.humidity.avg)} %
+${messages.pressure}: ${messages.aggregate(aggregates.pressure.min, aggregates.pressure.max, aggregates.pressure.avg)} ${messages.pressureUnit}
+${messages.wind}: ${messages.aggregate(aggregates.wind_speed.min, aggregates.wind_speed.max, aggregates.wind_speed.avg)} ${unitLabels.speed}
+${messages.changeOverPeriod}: ${signed(change.temperature)}${unitLabels.temperature}, ${messages.humidity.toLowerCase()} ${signed(change.humidity)}%, ${messages.pressure.toLowerCase()} ${signed(change.pressure)} ${messages.pressureUnit}`;
+}
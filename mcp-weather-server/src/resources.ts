@@ -0,0 +1,134 @@
+// MCP-ресурсы с погодой: weather://current/{city} и weather://forecast/{city}.
+// Город кодируется как сегмент URI ("Saint%20Petersburg", "Paris%2C%20FR" или "55.75,37.62"),
+// units, lang и окно прогноза (days, hours) передаются параметрами запроса:
+// weather://forecast/Москва?hours=12&lang=ru
+
+export type WeatherResourceKind = "current" | "forecast";
+
+export const WEATHER_RESOURCE_MIME_TYPE = "application/json";
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "weather://current/{city}",
+    name: "Текущая погода",
+    description: "Текущие показания погоды в формате get_weather_summary. Параметры запроса: units, lang",
+    mimeType: WEATHER_RESOURCE_MIME_TYPE,
+  },
+  {
+    uriTemplate: "weather://forecast/{city}",
+    name: "Прогноз погоды",
+    description: "Прогноз по дням в формате get_weather_forecast. Параметры запроса: days, hours, units, lang",
+    mimeType: WEATHER_RESOURCE_MIME_TYPE,
+  },
+];
+
+export interface WeatherResourceRef {
+  kind: WeatherResourceKind;
+  city: string;
+  // Параметры запроса в том виде, в каком их принимают инструменты (числа уже разобраны)
+  params: Record<string, unknown>;
+}
+
+const NUMERIC_PARAMS = ["days", "hours"];
+
+export function parseWeatherUri(uri: string): WeatherResourceRef | null {
+  let url: URL;
+  try {
+    url = new URL(uri);
+  } catch {
+    return null;
+  }
+
+  // В weather://current/Москва хост — "current", путь — "/Москва"
+  const kind = url.host;
+  let city: string;
+  try {
+    city = decodeURIComponent(url.pathname.replace(/^\//, "")).trim();
+  } catch {
+    // Некорректная %-последовательность (например, "100%") — такого ресурса нет
+    return null;
+  }
+  if (url.protocol !== "weather:" || (kind !== "current" && kind !== "forecast") || !city) {
+    return null;
+  }
+
+  const params: Record<string, unknown> = {};
+  for (const [key, value] of url.searchParams) {
+    params[key] = NUMERIC_PARAMS.includes(key) ? Number(value) : value;
+  }
+  return { kind, city, params };
+}
+
+export function weatherUri(kind: WeatherResourceKind, city: string, params: Record<string, string | number> = {}): string {
+  const query = new URLSearchParams(
+    Object.entries(params).map(([key, value]) => [key, String(value)])
+  ).toString();
+  return `weather://${kind}/${encodeURIComponent(city)}${query ? `?${query}` : ""}`;
+}
+
+// Подписки на ресурсы. Подписанные URI периодически перечитываются; если данные изменились
+// (без учёта сведений о кэше), вызывается onUpdated и сервер отправляет notifications/resources/updated.
+export class ResourceSubscriptions {
+  private fingerprints = new Map<string, string | null>();
+  private timer: NodeJS.Timeout | null = null;
+  private polling = false;
+
+  constructor(
+    private read: (uri: string) => Promise<object>,
+    private onUpdated: (uri: string) => void,
+    private intervalMs: number
+  ) {}
+
+  async subscribe(uri: string): Promise<void> {
+    if (!this.fingerprints.has(uri)) {
+      this.fingerprints.set(uri, await this.fingerprint(uri));
+    }
+    if (!this.timer) {
+      this.timer = setInterval(() => void this.poll(), this.intervalMs);
+      this.timer.unref();
+    }
+  }
+
+  unsubscribe(uri: string): void {
+    this.fingerprints.delete(uri);
+    if (this.fingerprints.size === 0 && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  list(): string[] {
+    return [...this.fingerprints.keys()];
+  }
+
+  private async poll(): Promise<void> {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+    try {
+      for (const uri of this.list()) {
+        const fingerprint = await this.fingerprint(uri);
+        // Ошибка чтения не считается изменением — ресурс проверится в следующий раз
+        if (fingerprint === null || !this.fingerprints.has(uri)) {
+          continue;
+        }
+        if (fingerprint !== this.fingerprints.get(uri)) {
+          this.fingerprints.set(uri, fingerprint);
+          this.onUpdated(uri);
+        }
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  private async fingerprint(uri: string): Promise<string | null> {
+    try {
+      const { source, ...data } = (await this.read(uri)) as { source?: unknown };
+      return JSON.stringify(data);
+    } catch {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,326 @@
+// JSON Schema структурированных ответов (outputSchema инструментов).
+// Должны соответствовать типам из readings.ts.
+
+const LOCATION_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    country: { type: ["string", "null"], description: "Код страны ISO 3166-1 alpha-2" },
+    region: { type: ["string", "null"], description: "Регион, штат или область" },
+    lat: { type: "number" },
+    lon: { type: "number" },
+    timezone_offset: { type: "number", description: "Смещение местного времени от UTC в секундах" },
+  },
+  required: ["name", "country", "region", "lat", "lon", "timezone_offset"],
+};
+
+const FOUND_LOCATION_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    country: { type: ["string", "null"], description: "Код страны ISO 3166-1 alpha-2" },
+    region: { type: ["string", "null"], description: "Регион, штат или область" },
+    lat: { type: "number" },
+    lon: { type: "number" },
+    population: { type: ["number", "null"] },
+    query: { type: "string", description: "Уточнённый запрос, однозначно выбирающий это место" },
+  },
+  required: ["name", "country", "region", "lat", "lon", "population", "query"],
+};
+
+const UNITS_SCHEMA = {
+  type: "object",
+  properties: {
+    system: { type: "string", enum: ["metric", "imperial", "standard"] },
+    temperature: { type: "string", description: "°C, °F или K" },
+    wind_speed: { type: "string", description: "m/s или mph" },
+    pressure: { type: "string", description: "hPa" },
+  },
+  required: ["system", "temperature", "wind_speed", "pressure"],
+};
+
+const SOURCE_SCHEMA = {
+  type: "object",
+  properties: {
+    provider: { type: "string" },
+    from_cache: { type: "boolean" },
+    age_seconds: { type: "number" },
+  },
+  required: ["provider", "from_cache", "age_seconds"],
+};
+
+const READING_PROPERTIES = {
+  location: LOCATION_SCHEMA,
+  observed_at: { type: "string", format: "date-time", description: "Время наблюдения (UTC, ISO 8601)" },
+  temperature: { type: "number" },
+  feels_like: { type: "number" },
+  humidity: { type: "number", description: "Относительная влажность, %" },
+  pressure: { type: "number", description: "Давление, гПа" },
+  wind: {
+    type: "object",
+    properties: {
+      speed: { type: "number" },
+      direction_deg: { type: "number" },
+      direction: { type: "string", description: "Румб: N, NE, E, SE, S, SW, W, NW" },
+    },
+    required: ["speed", "direction_deg", "direction"],
+  },
+  clouds: { type: "number", description: "Облачность, %" },
+  condition: { type: "string", description: "Группа погодных условий (Clear, Clouds, Rain, ...)" },
+  description: { type: "string", description: "Описание погоды на языке запроса" },
+  uv_index: { type: ["number", "null"], description: "УФ-индекс; null — провайдер не сообщает" },
+  visibility: { type: ["number", "null"], description: "Видимость, м; null — провайдер не сообщает" },
+  sunrise: { type: ["string", "null"], format: "date-time", description: "Восход сегодня (UTC, ISO 8601)" },
+  sunset: { type: ["string", "null"], format: "date-time", description: "Закат сегодня (UTC, ISO 8601)" },
+  daylight_seconds: { type: ["number", "null"], description: "Продолжительность светового дня, с" },
+  unavailable: {
+    type: "array",
+    items: { type: "string" },
+    description: "Поля, которые провайдер не сообщает (их значение null)",
+  },
+  units: UNITS_SCHEMA,
+  source: SOURCE_SCHEMA,
+};
+
+const READING_REQUIRED = Object.keys(READING_PROPERTIES);
+
+export const WEATHER_READING_SCHEMA = {
+  type: "object",
+  properties: READING_PROPERTIES,
+  required: READING_REQUIRED,
+};
+
+export const MULTIPLE_CITIES_SCHEMA = {
+  type: "object",
+  properties: {
+    units: UNITS_SCHEMA,
+    elapsed_ms: { type: "number" },
+    results: {
+      type: "array",
+      items: {
+        anyOf: [
+          {
+            type: "object",
+            properties: {
+              city: { type: "string", description: "Город из запроса" },
+              elapsed_ms: { type: "number" },
+              ...READING_PROPERTIES,
+            },
+            required: ["city", "elapsed_ms", ...READING_REQUIRED],
+          },
+          {
+            type: "object",
+            properties: {
+              city: { type: "string" },
+              error: { type: "string" },
+              elapsed_ms: { type: "number" },
+              candidates: {
+                type: "array",
+                items: FOUND_LOCATION_SCHEMA,
+                description: "Подходящие места, если название неоднозначно",
+              },
+            },
+            required: ["city", "error", "elapsed_ms"],
+          },
+        ],
+      },
+    },
+  },
+  required: ["units", "elapsed_ms", "results"],
+};
+
+const CONCENTRATION_SCHEMA = { type: ["number", "null"], description: "мкг/м³; null — провайдер не сообщает" };
+
+export const AIR_QUALITY_SCHEMA = {
+  type: "object",
+  properties: {
+    location: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        country: { type: ["string", "null"] },
+        region: { type: ["string", "null"] },
+        lat: { type: "number" },
+        lon: { type: "number" },
+      },
+      required: ["name", "country", "region", "lat", "lon"],
+    },
+    observed_at: { type: "string", format: "date-time" },
+    aqi: { type: "number", description: "Индекс качества воздуха по шкале aqi_scale" },
+    aqi_scale: { type: "string", enum: ["owm", "us-epa"], description: "owm — 1 (хорошо) … 5 (очень плохо), us-epa — 0…500" },
+    category: {
+      type: "string",
+      enum: ["good", "fair", "moderate", "poor", "very_poor", "unhealthy_for_sensitive", "unhealthy", "very_unhealthy", "hazardous"],
+    },
+    category_label: { type: "string", description: "Категория на языке запроса" },
+    components: {
+      type: "object",
+      properties: {
+        pm2_5: CONCENTRATION_SCHEMA,
+        pm10: CONCENTRATION_SCHEMA,
+        o3: CONCENTRATION_SCHEMA,
+        no2: CONCENTRATION_SCHEMA,
+      },
+      required: ["pm2_5", "pm10", "o3", "no2"],
+    },
+    unavailable: { type: "array", items: { type: "string" } },
+    source: SOURCE_SCHEMA,
+  },
+  required: ["location", "observed_at", "aqi", "aqi_scale", "category", "category_label", "components", "unavailable", "source"],
+};
+
+export const FIND_LOCATION_SCHEMA = {
+  type: "object",
+  properties: {
+    query: { type: "string" },
+    ambiguous: { type: "boolean", description: "Инструменты погоды не смогут выбрать место по этому запросу" },
+    resolved: {
+      anyOf: [FOUND_LOCATION_SCHEMA, { type: "null" }],
+      description: "Место, которое инструменты погоды выберут по исходному запросу",
+    },
+    candidates: { type: "array", items: FOUND_LOCATION_SCHEMA },
+  },
+  required: ["query", "ambiguous", "resolved", "candidates"],
+};
+
+export const FORECAST_SCHEMA = {
+  type: "object",
+  properties: {
+    location: LOCATION_SCHEMA,
+    window_hours: { type: "number" },
+    days: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          date: { type: "string", format: "date", description: "Локальная дата города" },
+          temp_min: { type: "number" },
+          temp_max: { type: "number" },
+          weather: { type: "string", description: "Преобладающее состояние за день" },
+          precipitation_probability: { type: "number", description: "Максимальная вероятность осадков, %" },
+          wind_speed: { type: "number", description: "Средняя скорость ветра" },
+          wind_speed_max: { type: "number" },
+        },
+        required: ["date", "temp_min", "temp_max", "weather", "precipitation_probability", "wind_speed", "wind_speed_max"],
+      },
+    },
+    units: UNITS_SCHEMA,
+    source: SOURCE_SCHEMA,
+  },
+  required: ["location", "window_hours", "days", "units", "source"],
+};
+
+const SERIES_AGGREGATE_SCHEMA = {
+  type: "object",
+  properties: {
+    min: { type: "number" },
+    max: { type: "number" },
+    avg: { type: "number" },
+  },
+  required: ["min", "max", "avg"],
+};
+
+const HISTORY_CHANGE_PROPERTIES = {
+  temperature: { type: "number" },
+  humidity: { type: "number" },
+  pressure: { type: "number" },
+  wind_speed: { type: "number" },
+};
+
+export const HISTORY_SCHEMA = {
+  type: "object",
+  properties: {
+    location: LOCATION_SCHEMA,
+    from: { type: "string", format: "date-time" },
+    to: { type: "string", format: "date-time" },
+    count: { type: "number" },
+    samples: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          observed_at: { type: "string", format: "date-time" },
+          temperature: { type: "number" },
+          feels_like: { type: "number" },
+          humidity: { type: "number" },
+          pressure: { type: "number" },
+          wind_speed: { type: "number" },
+          clouds: { type: "number" },
+          condition: { type: "string" },
+          description: { type: "string" },
+          delta: {
+            anyOf: [
+              {
+                type: "object",
+                properties: {
+                  minutes: { type: "number", description: "Минут с предыдущего наблюдения" },
+                  ...HISTORY_CHANGE_PROPERTIES,
+                },
+                required: ["minutes", ...Object.keys(HISTORY_CHANGE_PROPERTIES)],
+              },
+              { type: "null" },
+            ],
+            description: "Изменение относительно предыдущего наблюдения",
+          },
+        },
+        required: ["observed_at", "temperature", "feels_like", "humidity", "pressure", "wind_speed", "clouds", "condition", "description", "delta"],
+      },
+    },
+    aggregates: {
+      anyOf: [
+        {
+          type: "object",
+          properties: {
+            temperature: SERIES_AGGREGATE_SCHEMA,
+            feels_like: SERIES_AGGREGATE_SCHEMA,
+            humidity: SERIES_AGGREGATE_SCHEMA,
+            pressure: SERIES_AGGREGATE_SCHEMA,
+            wind_speed: SERIES_AGGREGATE_SCHEMA,
+          },
+          required: ["temperature", "feels_like", "humidity", "pressure", "wind_speed"],
+        },
+        { type: "null" },
+      ],
+    },
+    change: {
+      anyOf: [
+        { type: "object", properties: HISTORY_CHANGE_PROPERTIES, required: Object.keys(HISTORY_CHANGE_PROPERTIES) },
+        { type: "null" },
+      ],
+      description: "Изменение между первым и последним наблюдением периода",
+    },
+    units: UNITS_SCHEMA,
+  },
+  required: ["location", "from", "to", "count", "samples", "aggregates", "change", "units"],
+};
+
+const WATCH_PROPERTIES = {
+  id: { type: "string" },
+  city: { type: "string", description: "Место из запроса" },
+  metric: { type: "string", enum: ["temperature", "feels_like", "humidity", "pressure", "wind_speed", "clouds"] },
+  operator: { type: "string", enum: ["<", "<=", ">", ">="] },
+  threshold: { type: "number" },
+  hysteresis: { type: "number", description: "Насколько значение должно отойти от порога, чтобы наблюдение снова сработало" },
+  interval_minutes: { type: "number" },
+  units: UNITS_SCHEMA,
+  state: { type: "string", enum: ["armed", "triggered"] },
+  created_at: { type: "string", format: "date-time" },
+  last_checked_at: { type: ["string", "null"], format: "date-time" },
+  last_value: { type: ["number", "null"] },
+  last_triggered_at: { type: ["string", "null"], format: "date-time" },
+  last_error: { type: ["string", "null"] },
+};
+
+export const WATCH_SCHEMA = {
+  type: "object",
+  properties: WATCH_PROPERTIES,
+  required: Object.keys(WATCH_PROPERTIES),
+};
+
+export const WATCH_LIST_SCHEMA = {
+  type: "object",
+  properties: {
+    watches: { type: "array", items: WATCH_SCHEMA },
+  },
+  required: ["watches"],
+};
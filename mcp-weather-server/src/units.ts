@@ -0,0 +1,40 @@
+import { Units } from "./providers/types.js";
+
+// Пересчёт между системами единиц. История наблюдений хранится в метрической системе
+// и пересчитывается в единицы запроса при чтении.
+
+const MPH_IN_MPS = 2.23694;
+
+function round2(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+export function toCelsius(value: number, units: Units): number {
+  switch (units) {
+    case "imperial":
+      return round2((value - 32) * 5 / 9);
+    case "standard":
+      return round2(value - 273.15);
+    default:
+      return value;
+  }
+}
+
+export function fromCelsius(celsius: number, units: Units): number {
+  switch (units) {
+    case "imperial":
+      return round2(celsius * 9 / 5 + 32);
+    case "standard":
+      return round2(celsius + 273.15);
+    default:
+      return celsius;
+  }
+}
+
+export function toMetersPerSecond(value: number, units: Units): number {
+  return units === "imperial" ? round2(value / MPH_IN_MPS) : value;
+}
+
+export function fromMetersPerSecond(metersPerSecond: number, units: Units): number {
+  return units === "imperial" ? round2(metersPerSecond * MPH_IN_MPS) : metersPerSecond;
+}
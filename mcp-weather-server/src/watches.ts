@@ -0,0 +1,245 @@
+import { LocationInput } from "./geocoding.js";
+import { getMessages, getUnitLabels } from "./i18n.js";
+import { ProviderRequestOptions } from "./providers/index.js";
+import { ReadingUnits, WeatherReading, readingUnits } from "./readings.js";
+
+// Наблюдения за порогами погоды. Каждое наблюдение проверяется по своему таймеру;
+// при пересечении порога вызывается onEvent (сервер отправляет MCP-уведомление).
+// Гистерезис: после срабатывания наблюдение снова взводится, только когда значение
+// отойдёт от порога в обратную сторону больше чем на hysteresis, поэтому колебания
+// около порога не порождают серию уведомлений.
+
+export const WATCH_METRICS = ["temperature", "feels_like", "humidity", "pressure", "wind_speed", "clouds"] as const;
+export const WATCH_OPERATORS = ["<", "<=", ">", ">="] as const;
+
+export type WatchMetric = typeof WATCH_METRICS[number];
+export type WatchOperator = typeof WATCH_OPERATORS[number];
+export type WatchState = "armed" | "triggered";
+
+// Гистерезис по умолчанию в единицах показателя
+const DEFAULT_HYSTERESIS: Record<WatchMetric, number> = {
+  temperature: 1,
+  feels_like: 1,
+  humidity: 5,
+  pressure: 2,
+  wind_speed: 1,
+  clouds: 10,
+};
+
+export interface WatchDefinition {
+  location: LocationInput;
+  metric: WatchMetric;
+  operator: WatchOperator;
+  threshold: number;
+  intervalMinutes: number;
+  hysteresis?: number;
+  options: ProviderRequestOptions;
+}
+
+export interface WatchInfo {
+  id: string;
+  city: string;
+  metric: WatchMetric;
+  operator: WatchOperator;
+  threshold: number;
+  hysteresis: number;
+  interval_minutes: number;
+  units: ReadingUnits;
+  state: WatchState;
+  created_at: string;
+  last_checked_at: string | null;
+  last_value: number | null;
+  last_triggered_at: string | null;
+  last_error: string | null;
+}
+
+export interface WatchEvent {
+  event: "triggered" | "cleared";
+  watch: WatchInfo;
+  value: number;
+  observed_at: string;
+  message: string;
+}
+
+interface Watch {
+  info: WatchInfo;
+  definition: WatchDefinition;
+  timer: NodeJS.Timeout;
+  checking: boolean;
+}
+
+export function metricValue(reading: WeatherReading, metric: WatchMetric): number {
+  return metric === "wind_speed" ? reading.wind.speed : reading[metric];
+}
+
+function compare(value: number, operator: WatchOperator, threshold: number): boolean {
+  switch (operator) {
+    case "<":
+      return value < threshold;
+    case "<=":
+      return value <= threshold;
+    case ">":
+      return value > threshold;
+    case ">=":
+      return value >= threshold;
+  }
+}
+
+// Значение вернулось по другую сторону порога с запасом hysteresis
+function isCleared(value: number, info: WatchInfo): boolean {
+  return info.operator === "<" || info.operator === "<="
+    ? value >= info.threshold + info.hysteresis
+    : value <= info.threshold - info.hysteresis;
+}
+
+export function metricUnit(metric: WatchMetric, units: ReadingUnits, lang: string): string {
+  const labels = getUnitLabels(units.system, lang);
+  switch (metric) {
+    case "temperature":
+    case "feels_like":
+      return labels.temperature;
+    case "wind_speed":
+      return ` ${labels.speed}`;
+    case "pressure":
+      return ` ${getMessages(lang).pressureUnit}`;
+    default:
+      return "%";
+  }
+}
+
+export function describeCondition(info: WatchInfo, lang: string): string {
+  const messages = getMessages(lang);
+  return `${messages.watchMetrics[info.metric]} ${info.operator} ${info.threshold}${metricUnit(info.metric, info.units, lang)}`;
+}
+
+export class WatchManager {
+  private watches = new Map<string, Watch>();
+  private nextId = 1;
+
+  constructor(
+    private fetchReading: (location: LocationInput, options: ProviderRequestOptions) => Promise<WeatherReading>,
+    private onEvent: (event: WatchEvent) => void,
+    private maxWatches: number
+  ) {}
+
+  // Создаёт наблюдение и сразу выполняет первую проверку: если условие уже выполнено,
+  // уведомление отправляется немедленно
+  async create(definition: WatchDefinition, label: string): Promise<WatchInfo> {
+    if (this.watches.size >= this.maxWatches) {
+      throw new Error(`Достигнут предел наблюдений (${this.maxWatches}). Удалите ненужные через delete_weather_watch`);
+    }
+
+    const id = `watch-${this.nextId++}`;
+    const info: WatchInfo = {
+      id,
+      city: label,
+      metric: definition.metric,
+      operator: definition.operator,
+      threshold: definition.threshold,
+      hysteresis: definition.hysteresis ?? DEFAULT_HYSTERESIS[definition.metric],
+      interval_minutes: definition.intervalMinutes,
+      units: readingUnits(definition.options.units),
+      state: "armed",
+      created_at: new Date().toISOString(),
+      last_checked_at: null,
+      last_value: null,
+      last_triggered_at: null,
+      last_error: null,
+    };
+
+    const timer = setInterval(() => void this.check(id), definition.intervalMinutes * 60 * 1000);
+    // Таймеры наблюдений не должны удерживать процесс после закрытия транспорта
+    timer.unref();
+
+    this.watches.set(id, { info, definition, timer, checking: false });
+    await this.check(id);
+    return { ...info };
+  }
+
+  list(): WatchInfo[] {
+    return [...this.watches.values()].map((watch) => ({ ...watch.info }));
+  }
+
+  delete(id: string): WatchInfo | null {
+    const watch = this.watches.get(id);
+    if (!watch) {
+      return null;
+    }
+    clearInterval(watch.timer);
+    this.watches.delete(id);
+    return { ...watch.info };
+  }
+
+  private async check(id: string): Promise<void> {
+    const watch = this.watches.get(id);
+    // Пропускаем проверку, если предыдущая ещё не завершилась (медленный API)
+    if (!watch || watch.checking) {
+      return;
+    }
+
+    watch.checking = true;
+    const { info, definition } = watch;
+    try {
+      const reading = await this.fetchReading(definition.location, definition.options);
+      const value = metricValue(reading, info.metric);
+      info.last_checked_at = new Date().toISOString();
+      info.last_value = value;
+      info.last_error = null;
+
+      if (info.state === "armed" && compare(value, info.operator, info.threshold)) {
+        info.state = "triggered";
+        info.last_triggered_at = info.last_checked_at;
+        this.emit("triggered", watch, value, reading.observed_at);
+      } else if (info.state === "triggered" && isCleared(value, info)) {
+        info.state = "armed";
+        this.emit("cleared", watch, value, reading.observed_at);
+      }
+    } catch (error: any) {
+      info.last_checked_at = new Date().toISOString();
+      info.last_error = error.message;
+    } finally {
+      watch.checking = false;
+    }
+  }
+
+  private emit(event: WatchEvent["event"], watch: Watch, value: number, observedAt: string): void {
+    // Наблюдение могли удалить, пока шла проверка
+    if (!this.watches.has(watch.info.id)) {
+      return;
+    }
+    const lang = watch.definition.options.lang;
+    const messages = getMessages(lang);
+    const current = `${value}${metricUnit(watch.info.metric, watch.info.units, lang)}`;
+    const message = event === "triggered"
+      ? messages.watchTriggered(watch.info.city, describeCondition(watch.info, lang), current)
+      : messages.watchCleared(watch.info.city, describeCondition(watch.info, lang), current);
+
+    this.onEvent({ event, watch: { ...watch.info }, value, observed_at: observedAt, message });
+  }
+}
+
+export function renderWatch(info: WatchInfo, lang: string): string {
+  const messages = getMessages(lang);
+  const state = info.state === "triggered" ? messages.watchStateTriggered : messages.watchStateArmed;
+  const lines = [
+    `🔔 ${info.id}: ${info.city} — ${describeCondition(info, lang)}`,
+    `   • ${messages.watchInterval(info.interval_minutes)}, ${messages.watchHysteresis} ${info.hysteresis}${metricUnit(info.metric, info.units, lang)}`,
+    `   • ${messages.watchState}: ${state}`,
+  ];
+  if (info.last_value !== null) {
+    lines.push(`   • ${messages.watchLastValue}: ${info.last_value}${metricUnit(info.metric, info.units, lang)}`);
+  }
+  if (info.last_error) {
+    lines.push(`   • ❌ ${info.last_error}`);
+  }
+  return lines.join("\n");
+}
+
+export function renderWatchList(watches: WatchInfo[], lang: string): string {
+  const messages = getMessages(lang);
+  if (watches.length === 0) {
+    return messages.noWatches;
+  }
+  return `${messages.watchesHeader(watches.length)}
+${watches.map((info) => renderWatch(info, lang)).join("\n")}`;
+}
@@ -0,0 +1,220 @@
+import { Issue } from "./types.js";
+
+// Массовые изменения через bulkchange API. Сначала всегда строится план (dry run): для каждой
+// задачи — что именно изменится, и список пропущенных задач с причиной. Выполняется только
+// сохранённый план по его токену, поэтому изменяются ровно те задачи, что были показаны
+
+export type BulkKind = "update" | "move" | "transition";
+
+export interface BulkChanges {
+  type?: string;
+  priority?: string;
+  assignee?: string | null;
+  deadline?: string | null;
+  addTags?: string[];
+  removeTags?: string[];
+  addFollowers?: string[];
+  removeFollowers?: string[];
+}
+
+export interface BulkTarget {
+  key: string;
+  changes: string[];
+  // Для перехода: id перехода этой задачи и ожидаемый статус после него
+  transitionId?: string;
+  expectedStatus?: { key: string; display: string };
+}
+
+export interface BulkPlan {
+  token: string;
+  profile: string;
+  createdAt: number;
+  kind: BulkKind;
+  queue?: string;
+  transition?: string;
+  resolution?: string;
+  changes: BulkChanges;
+  targets: BulkTarget[];
+  skipped: Array<{ key: string; reason: string }>;
+}
+
+export interface BulkOperation {
+  id: string;
+  status: string;
+  statusText?: string;
+  executionIssuePercent?: number;
+}
+
+export interface BulkFailure {
+  key: string;
+  reason: string;
+}
+
+export const BULK_FINAL_STATUSES = ["COMPLETE", "FAILED"];
+
+export function hasBulkChanges(changes: BulkChanges): boolean {
+  return Object.values(changes).some((value) => value !== undefined);
+}
+
+// Тело values для bulkchange: теги и наблюдатели добавляются и удаляются, а не заменяются
+export function toBulkValues(changes: BulkChanges): Record<string, unknown> {
+  const values: Record<string, unknown> = {};
+  for (const field of ["type", "priority", "assignee", "deadline"] as const) {
+    if (changes[field] !== undefined) {
+      values[field] = changes[field];
+    }
+  }
+  const listChange = (add?: string[], remove?: string[]) =>
+    add?.length || remove?.length
+      ? { ...(add?.length ? { add } : {}), ...(remove?.length ? { remove } : {}) }
+      : undefined;
+  const tags = listChange(changes.addTags, changes.removeTags);
+  const followers = listChange(changes.addFollowers, changes.removeFollowers);
+  if (tags) {
+    values.tags = tags;
+  }
+  if (followers) {
+    values.followers = followers;
+  }
+  return values;
+}
+
+// Изменения полей одной задачи относительно её текущих значений. Поля, которые уже
+// имеют нужное значение, не попадают в список
+export function describeFieldChanges(issue: Issue, changes: BulkChanges): string[] {
+  const result: string[] = [];
+  const set = (name: string, from: string | null | undefined, to: string | null) => {
+    if ((from ?? null) !== to) {
+      result.push(`${name}: ${from ?? "—"} → ${to ?? "—"}`);
+    }
+  };
+
+  if (changes.type !== undefined) {
+    set("type", issue.type?.key, changes.type);
+  }
+  if (changes.priority !== undefined) {
+    set("priority", issue.priority?.key, changes.priority);
+  }
+  // В ответе API исполнитель представлен отображаемым именем, а не логином, поэтому
+  // сравнить их нельзя — назначение показывается всегда, кроме снятия отсутствующего исполнителя
+  if (changes.assignee !== undefined && (changes.assignee !== null || issue.assignee)) {
+    result.push(`assignee: ${issue.assignee?.display ?? "—"} → ${changes.assignee ?? "—"}`);
+  }
+  if (changes.deadline !== undefined) {
+    set("deadline", issue.deadline, changes.deadline);
+  }
+
+  const tags = new Set(issue.tags ?? []);
+  const addedTags = (changes.addTags ?? []).filter((tag) => !tags.has(tag));
+  const removedTags = (changes.removeTags ?? []).filter((tag) => tags.has(tag));
+  if (addedTags.length > 0 || removedTags.length > 0) {
+    result.push(`tags: ${[...addedTags.map((tag) => `+${tag}`), ...removedTags.map((tag) => `-${tag}`)].join(" ")}`);
+  }
+  if (changes.addFollowers?.length || changes.removeFollowers?.length) {
+    const followers = [
+      ...(changes.addFollowers ?? []).map((login) => `+${login}`),
+      ...(changes.removeFollowers ?? []).map((login) => `-${login}`),
+    ];
+    result.push(`followers: ${followers.join(" ")}`);
+  }
+  return result;
+}
+
+// Проверка задачи после завершения операции: bulkchange сообщает только общий статус,
+// поэтому применение изменений сверяется с текущим состоянием каждой задачи
+export function verifyTarget(plan: BulkPlan, target: BulkTarget, issue: Issue): string | null {
+  const problems: string[] = [];
+  if (target.expectedStatus && issue.status.key !== target.expectedStatus.key) {
+    problems.push(`status is ${issue.status.display}, expected ${target.expectedStatus.display}`);
+  }
+  if (plan.queue && issue.queue?.key !== plan.queue) {
+    problems.push(`queue is ${issue.queue?.key ?? "unknown"}, expected ${plan.queue}`);
+  }
+  const { changes } = plan;
+  if (changes.type !== undefined && issue.type?.key !== changes.type) {
+    problems.push(`type is ${issue.type?.key ?? "—"}, expected ${changes.type}`);
+  }
+  if (changes.priority !== undefined && issue.priority?.key !== changes.priority) {
+    problems.push(`priority is ${issue.priority?.key ?? "—"}, expected ${changes.priority}`);
+  }
+  if (changes.assignee === null && issue.assignee) {
+    problems.push(`assignee is still ${issue.assignee.display}`);
+  }
+  if (changes.deadline !== undefined && (issue.deadline ?? null) !== changes.deadline) {
+    problems.push(`deadline is ${issue.deadline ?? "—"}, expected ${changes.deadline ?? "—"}`);
+  }
+  const tags = new Set(issue.tags ?? []);
+  const missingTags = (changes.addTags ?? []).filter((tag) => !tags.has(tag));
+  const extraTags = (changes.removeTags ?? []).filter((tag) => tags.has(tag));
+  if (missingTags.length > 0) {
+    problems.push(`tags not added: ${missingTags.join(", ")}`);
+  }
+  if (extraTags.length > 0) {
+    problems.push(`tags not removed: ${extraTags.join(", ")}`);
+  }
+  return problems.length > 0 ? problems.join("; ") : null;
+}
+
+export function describeOperation(plan: BulkPlan): string {
+  const changes = hasBulkChanges(plan.changes) ? " with field changes" : "";
+  if (plan.kind === "transition") {
+    const resolution = plan.resolution ? ` (resolution: ${plan.resolution})` : "";
+    return `transition '${plan.transition}'${resolution}${changes}`;
+  }
+  if (plan.kind === "move") {
+    return `move to queue ${plan.queue}${changes}`;
+  }
+  return "field update";
+}
+
+export function renderBulkPreview(plan: BulkPlan, ttlMinutes: number): string {
+  const total = plan.targets.length + plan.skipped.length;
+  const sections = [
+    `🔍 Dry run: ${describeOperation(plan)} would change ${plan.targets.length} of ${total} issues`,
+  ];
+  if (plan.targets.length > 0) {
+    sections.push(plan.targets.map((target) => `• ${target.key}: ${target.changes.join("; ")}`).join("\n"));
+  }
+  if (plan.skipped.length > 0) {
+    sections.push(
+      `Skipped (${plan.skipped.length}):\n${plan.skipped.map((item) => `• ${item.key}: ${item.reason}`).join("\n")}`
+    );
+  }
+  sections.push(
+    plan.targets.length > 0
+      ? `Nothing has been changed yet. To apply exactly these changes, call bulk_update with dry_run: false and confirm: "${plan.token}" (valid for ${ttlMinutes} minutes).`
+      : "Nothing to change."
+  );
+  return sections.join("\n\n");
+}
+
+export function renderBulkResult(
+  plan: BulkPlan,
+  operations: BulkOperation[],
+  failures: BulkFailure[],
+  running: boolean
+): string {
+  const operationLines = operations.map(
+    (operation) => `• ${operation.id}: ${operation.status}${operation.statusText ? ` — ${operation.statusText}` : ""}`
+  );
+  const failureSection = failures.length > 0
+    ? [`❌ Failed (${failures.length}):\n${failures.map((failure) => `• ${failure.key}: ${failure.reason}`).join("\n")}`]
+    : [];
+
+  // Пока операции идут, в failures только задачи, операцию для которых запустить не удалось
+  if (running) {
+    return [
+      `⏳ Bulk ${describeOperation(plan)} for ${plan.targets.length - failures.length} issues is still running`,
+      `Operations:\n${operationLines.join("\n")}`,
+      ...failureSection,
+      `Call bulk_update with operationId: "${operations[0].id}" to check it again.`,
+    ].join("\n\n");
+  }
+
+  const succeeded = plan.targets.length - failures.length;
+  return [
+    `${failures.length === 0 ? "✅" : "⚠️"} Bulk ${describeOperation(plan)}: ${succeeded} of ${plan.targets.length} issues changed`,
+    `Operations:\n${operationLines.join("\n")}`,
+    ...failureSection,
+  ].join("\n\n");
+}
@@ -0,0 +1,162 @@
+import { constants } from "fs";
+import { access, mkdir, realpath } from "fs/promises";
+import os from "os";
+import path from "path";
+import { simplifyValue } from "./issue-details.js";
+import { Issue } from "./types.js";
+
+// Выгрузка задач в файл для export_issues. Файлы пишутся только внутри каталога выгрузки
+// (YANDEX_TRACKER_EXPORT_DIR, по умолчанию ~/tracker-exports): модель выбирает лишь имя файла
+
+export type ExportFormat = "csv" | "markdown" | "jsonl";
+
+export const EXPORT_FORMATS: ExportFormat[] = ["csv", "markdown", "jsonl"];
+
+const EXTENSIONS: Record<ExportFormat, string> = {
+  csv: ".csv",
+  markdown: ".md",
+  jsonl: ".jsonl",
+};
+
+export const DEFAULT_EXPORT_COLUMNS = ["key", "summary", "status", "assignee", "priority", "type", "created", "updated"];
+
+// Встроенные столбцы; любое другое имя считается полем задачи, в том числе пользовательским
+const COLUMN_VALUES: Record<string, (issue: Issue, url: string) => unknown> = {
+  key: (issue) => issue.key,
+  summary: (issue) => issue.summary,
+  description: (issue) => issue.description,
+  status: (issue) => issue.status.display,
+  statusKey: (issue) => issue.status.key,
+  assignee: (issue) => issue.assignee?.display,
+  author: (issue) => issue.createdBy?.display,
+  priority: (issue) => issue.priority?.display,
+  type: (issue) => issue.type?.display,
+  queue: (issue) => issue.queue?.key,
+  tags: (issue) => issue.tags,
+  components: (issue) => issue.components?.map((component) => component.display),
+  followers: (issue) => issue.followers?.map((follower) => follower.display),
+  deadline: (issue) => issue.deadline,
+  resolution: (issue) => issue.resolution?.display,
+  created: (issue) => issue.createdAt,
+  updated: (issue) => issue.updatedAt,
+  resolved: (issue) => issue.resolvedAt,
+  url: (_issue, url) => url,
+};
+
+export const BUILTIN_EXPORT_COLUMNS = Object.keys(COLUMN_VALUES);
+
+export interface ExportFormatter {
+  // Заголовок файла (для JSON lines его нет)
+  header: string | null;
+  row(issue: Issue, url: string): string;
+}
+
+export function loadExportDir(env: NodeJS.ProcessEnv = process.env): string {
+  return path.resolve(env.YANDEX_TRACKER_EXPORT_DIR || path.join(os.homedir(), "tracker-exports"));
+}
+
+export function parseColumns(value: unknown): string[] {
+  if (value === undefined || value === null) {
+    return DEFAULT_EXPORT_COLUMNS;
+  }
+  if (
+    !Array.isArray(value) ||
+    value.length === 0 ||
+    value.some((column) => typeof column !== "string" || !/^[A-Za-z0-9_.-]+$/.test(column))
+  ) {
+    throw new Error("columns must be a non-empty array of field names (letters, digits, '_', '.', '-')");
+  }
+  return [...new Set(value as string[])];
+}
+
+// Путь файла внутри каталога выгрузки. Каталог и родительские каталоги сверяются после
+// разрешения символических ссылок, чтобы ссылка не вывела запись за его пределы
+export async function resolveExportPath(
+  exportDir: string,
+  fileName: string | undefined,
+  format: ExportFormat,
+  overwrite: boolean
+): Promise<string> {
+  const name = fileName?.trim() || `issues-${new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19)}`;
+  const withExtension = path.extname(name) ? name : `${name}${EXTENSIONS[format]}`;
+  if (path.isAbsolute(withExtension)) {
+    throw new Error(`fileName must be relative to the export directory ${exportDir}`);
+  }
+
+  await mkdir(exportDir, { recursive: true });
+  const root = await realpath(exportDir);
+  const inside = (target: string) => {
+    const relative = path.relative(root, target);
+    return relative !== "" && !relative.startsWith("..") && !path.isAbsolute(relative);
+  };
+
+  const target = path.resolve(root, withExtension);
+  if (!inside(target)) {
+    throw new Error(`Refusing to write outside the export directory ${root}: ${fileName}`);
+  }
+  await mkdir(path.dirname(target), { recursive: true });
+  const parent = await realpath(path.dirname(target));
+  if (parent !== root && !inside(parent)) {
+    throw new Error(`Refusing to write outside the export directory ${root}: ${fileName}`);
+  }
+
+  const file = path.join(parent, path.basename(target));
+  if (!overwrite) {
+    const exists = await access(file, constants.F_OK).then(() => true, () => false);
+    if (exists) {
+      throw new Error(`File ${file} already exists. Choose another fileName or pass overwrite: true`);
+    }
+  }
+  return file;
+}
+
+function columnValue(issue: Issue, column: string, url: string): unknown {
+  const builtin = COLUMN_VALUES[column];
+  const value = builtin ? builtin(issue, url) : simplifyValue(issue[column]);
+  return value === undefined ? null : value;
+}
+
+function cellText(value: unknown): string {
+  if (value === null) {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return value.map(cellText).join(", ");
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+// Значение, начинающееся с =, +, - или @, табличный редактор примет за формулу
+function csvCell(value: unknown): string {
+  let text = cellText(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+([.,]\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownCell(value: unknown): string {
+  return cellText(value).replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+}
+
+export function createExportFormatter(format: ExportFormat, columns: string[]): ExportFormatter {
+  switch (format) {
+    case "csv":
+      // BOM нужен Excel, чтобы прочитать кириллицу в UTF-8
+      return {
+        header: `\uFEFF${columns.map(csvCell).join(",")}`,
+        row: (issue, url) => columns.map((column) => csvCell(columnValue(issue, column, url))).join(","),
+      };
+    case "markdown":
+      return {
+        header: `| ${columns.map(markdownCell).join(" | ")} |\n|${columns.map(() => "---").join("|")}|`,
+        row: (issue, url) => `| ${columns.map((column) => markdownCell(columnValue(issue, column, url))).join(" | ")} |`,
+      };
+    case "jsonl":
+      return {
+        header: null,
+        row: (issue, url) =>
+          JSON.stringify(Object.fromEntries(columns.map((column) => [column, columnValue(issue, column, url)]))),
+      };
+  }
+}
@@ -0,0 +1,272 @@
+// Структурированный фильтр задач и его компиляция в язык запросов Трекера.
+// Модель часто ошибается в синтаксисе запросов, а API на ошибку отвечает
+// непрозрачным 400, поэтому фильтр проверяется локально и ошибка указывает на поле
+
+const FILTER_FIELDS = [
+  "queue",
+  "status",
+  "assignee",
+  "author",
+  "tags",
+  "priority",
+  "type",
+  "created",
+  "updated",
+  "text",
+] as const;
+
+const QUEUE_KEY = /^[A-Za-z][A-Za-z0-9]*$/;
+const LOGIN = /^[\w.@-]+$/;
+const ENTITY_KEY = /^[\w-]+$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+export class FilterError extends Error {
+  constructor(field: string, message: string) {
+    super(`Invalid filter${field ? `.${field}` : ""}: ${message}`);
+    this.name = "FilterError";
+  }
+}
+
+// JSON Schema структурированного фильтра для inputSchema инструментов
+export const ISSUE_FILTER_SCHEMA = {
+  type: "object",
+  properties: {
+    queue: {
+      type: ["string", "array"],
+      items: { type: "string" },
+      description: "Queue key or list of keys (e.g., 'PROJECT')",
+    },
+    status: {
+      type: ["string", "array"],
+      items: { type: "string" },
+      description: "Status key or name, or a list of them (any of)",
+    },
+    assignee: {
+      type: ["string", "null"],
+      description: "Assignee login, 'me' for the current user, or null for unassigned issues",
+    },
+    author: {
+      type: "string",
+      description: "Author login or 'me'",
+    },
+    tags: {
+      type: ["string", "array"],
+      items: { type: "string" },
+      description: "Tag or list of tags (issues with any of them)",
+    },
+    priority: {
+      type: ["string", "array"],
+      items: { type: "string" },
+      description: "Priority key or list of keys (e.g., 'critical')",
+    },
+    type: {
+      type: ["string", "array"],
+      items: { type: "string" },
+      description: "Issue type key or list of keys (e.g., 'bug')",
+    },
+    created: {
+      type: "object",
+      properties: {
+        from: { type: "string", description: "YYYY-MM-DD or ISO 8601 date-time, inclusive" },
+        to: { type: "string", description: "YYYY-MM-DD or ISO 8601 date-time, inclusive" },
+      },
+      description: "Creation date range",
+    },
+    updated: {
+      type: "object",
+      properties: {
+        from: { type: "string", description: "YYYY-MM-DD or ISO 8601 date-time, inclusive" },
+        to: { type: "string", description: "YYYY-MM-DD or ISO 8601 date-time, inclusive" },
+      },
+      description: "Last update date range",
+    },
+    text: {
+      type: "string",
+      description: "Free text searched in summary and description",
+    },
+  },
+  additionalProperties: false,
+};
+
+function quote(field: string, value: string): string {
+  // Экранирование кавычек язык запросов не документирует — такие значения не принимаем
+  if (value.includes('"')) {
+    throw new FilterError(field, `double quotes are not allowed in values, got '${value}'`);
+  }
+  return `"${value}"`;
+}
+
+function toList(field: string, value: unknown): string[] {
+  const items = Array.isArray(value) ? value : [value];
+  if (items.length === 0) {
+    throw new FilterError(field, "must not be an empty list");
+  }
+  return items.map((item, index) => {
+    const path = Array.isArray(value) ? `${field}[${index}]` : field;
+    if (typeof item !== "string" || !item.trim()) {
+      throw new FilterError(path, `expected a non-empty string, got ${JSON.stringify(item)}`);
+    }
+    return item.trim();
+  });
+}
+
+function checkPattern(field: string, values: string[], pattern: RegExp, hint: string): void {
+  values.forEach((value, index) => {
+    if (!pattern.test(value)) {
+      throw new FilterError(values.length > 1 ? `${field}[${index}]` : field, `'${value}' is not ${hint}`);
+    }
+  });
+}
+
+function compileUser(field: string, value: unknown, allowEmpty: boolean): string {
+  if (value === null && allowEmpty) {
+    return "empty()";
+  }
+  if (typeof value !== "string" || !value.trim()) {
+    const expected = allowEmpty ? "a login, 'me' or null" : "a login or 'me'";
+    throw new FilterError(field, `expected ${expected}, got ${JSON.stringify(value)}`);
+  }
+  const login = value.trim();
+  if (login.toLowerCase() === "me" || login === "me()") {
+    return "me()";
+  }
+  checkPattern(field, [login], LOGIN, "a valid login (letters, digits, '.', '-', '_', '@')");
+  return login;
+}
+
+function checkDate(field: string, value: unknown): number {
+  if (typeof value !== "string" || !(DATE.test(value) || DATE_TIME.test(value))) {
+    throw new FilterError(field, `expected YYYY-MM-DD or ISO 8601 date-time, got ${JSON.stringify(value)}`);
+  }
+  const isDate = DATE.test(value);
+  const time = Date.parse(isDate ? `${value}T00:00:00Z` : value);
+  // Date.parse переносит 2024-02-30 на 1 марта — такие даты отсекаем по совпадению дня
+  if (Number.isNaN(time) || (isDate && new Date(time).toISOString().slice(0, 10) !== value)) {
+    throw new FilterError(field, `'${value}' is not a valid date`);
+  }
+  return time;
+}
+
+function compileRange(field: string, key: string, value: unknown): string {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    throw new FilterError(field, "expected an object with 'from' and/or 'to'");
+  }
+  const range = value as Record<string, unknown>;
+  const unknown = Object.keys(range).filter((name) => name !== "from" && name !== "to");
+  if (unknown.length > 0) {
+    throw new FilterError(`${field}.${unknown[0]}`, "unknown field, expected 'from' or 'to'");
+  }
+  if (range.from === undefined && range.to === undefined) {
+    throw new FilterError(field, "at least one of 'from' and 'to' is required");
+  }
+
+  const from = range.from !== undefined ? checkDate(`${field}.from`, range.from) : null;
+  const to = range.to !== undefined ? checkDate(`${field}.to`, range.to) : null;
+  if (from !== null && to !== null && from > to) {
+    throw new FilterError(field, `'from' (${range.from}) is after 'to' (${range.to})`);
+  }
+
+  if (from !== null && to !== null) {
+    return `${key}: "${range.from}".."${range.to}"`;
+  }
+  return from !== null ? `${key}: >= "${range.from}"` : `${key}: <= "${range.to}"`;
+}
+
+// Компилирует фильтр в запрос; условия объединяются через AND, значения списка — через запятую (OR)
+export function compileFilter(filter: unknown): string {
+  if (typeof filter !== "object" || filter === null || Array.isArray(filter)) {
+    throw new FilterError("", "expected an object");
+  }
+  const fields = filter as Record<string, unknown>;
+
+  const unknown = Object.keys(fields).filter((name) => !(FILTER_FIELDS as readonly string[]).includes(name));
+  if (unknown.length > 0) {
+    throw new FilterError(unknown[0], `unknown field. Allowed fields: ${FILTER_FIELDS.join(", ")}`);
+  }
+
+  const conditions: string[] = [];
+
+  if (fields.queue !== undefined) {
+    const queues = toList("queue", fields.queue);
+    checkPattern("queue", queues, QUEUE_KEY, "a valid queue key (Latin letters and digits, e.g. 'PROJECT')");
+    conditions.push(`Queue: ${queues.map((queue) => queue.toUpperCase()).join(", ")}`);
+  }
+  if (fields.status !== undefined) {
+    conditions.push(`Status: ${toList("status", fields.status).map((status) => quote("status", status)).join(", ")}`);
+  }
+  if (fields.assignee !== undefined) {
+    conditions.push(`Assignee: ${compileUser("assignee", fields.assignee, true)}`);
+  }
+  if (fields.author !== undefined) {
+    conditions.push(`Author: ${compileUser("author", fields.author, false)}`);
+  }
+  if (fields.tags !== undefined) {
+    conditions.push(`Tags: ${toList("tags", fields.tags).map((tag) => quote("tags", tag)).join(", ")}`);
+  }
+  for (const [name, key] of [["priority", "Priority"], ["type", "Type"]] as const) {
+    if (fields[name] !== undefined) {
+      const values = toList(name, fields[name]);
+      checkPattern(name, values, ENTITY_KEY, `a valid ${name} key (e.g., ${name === "priority" ? "'critical'" : "'bug'"})`);
+      conditions.push(`${key}: ${values.join(", ")}`);
+    }
+  }
+  if (fields.created !== undefined) {
+    conditions.push(compileRange("created", "Created", fields.created));
+  }
+  if (fields.updated !== undefined) {
+    conditions.push(compileRange("updated", "Updated", fields.updated));
+  }
+  if (fields.text !== undefined) {
+    if (typeof fields.text !== "string" || !fields.text.trim()) {
+      throw new FilterError("text", "expected a non-empty string");
+    }
+    const text = quote("text", fields.text.trim());
+    conditions.push(`(Summary: ${text} OR Description: ${text})`);
+  }
+
+  if (conditions.length === 0) {
+    throw new FilterError("", "at least one condition is required");
+  }
+
+  const query = conditions.join(" AND ");
+  checkQuery(query);
+  return query;
+}
+
+// Базовая проверка синтаксиса запроса: парные кавычки и скобки
+export function checkQuery(query: string): void {
+  let depth = 0;
+  let inQuotes = false;
+  for (let index = 0; index < query.length; index++) {
+    const char = query[index];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char === "(") {
+      depth++;
+    } else if (!inQuotes && char === ")") {
+      depth--;
+      if (depth < 0) {
+        throw new Error(`Invalid filter query: unexpected ')' at position ${index + 1}`);
+      }
+    }
+  }
+  if (inQuotes) {
+    throw new Error("Invalid filter query: unclosed double quote");
+  }
+  if (depth > 0) {
+    throw new Error("Invalid filter query: unclosed '('");
+  }
+}
+
+// Фильтр инструмента — строка на языке запросов или структурированный объект
+export function resolveFilter(filter: unknown): string | undefined {
+  if (filter === undefined || filter === null || filter === "") {
+    return undefined;
+  }
+  if (typeof filter === "string") {
+    checkQuery(filter);
+    return filter;
+  }
+  return compileFilter(filter);
+}
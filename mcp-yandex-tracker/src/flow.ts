@@ -0,0 +1,250 @@
+// Метрики потока по истории статусов задач: lead time (создание → готово),
+// cycle time (первый вход в активный статус → готово), время в статусах и пропускная способность по неделям
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export interface StatusRef {
+  key: string;
+  display: string;
+}
+
+export interface StatusChange {
+  at: number;
+  from: StatusRef | null;
+  to: StatusRef;
+}
+
+export interface FlowIssue {
+  key: string;
+  createdAt: string;
+  status: StatusRef;
+}
+
+export interface FlowOptions {
+  activeStatuses: string[];
+  doneStatuses: string[];
+  now?: number;
+}
+
+export interface IssueFlow {
+  key: string;
+  doneAt: number | null;
+  leadTimeMs: number | null;
+  cycleTimeMs: number | null;
+  // Суммарное время в каждом статусе (повторные входы складываются)
+  timeInStatus: Map<string, { display: string; ms: number }>;
+}
+
+export interface Distribution {
+  count: number;
+  median: number;
+  p85: number;
+}
+
+export interface FlowMetrics {
+  issues: number;
+  completed: number;
+  leadTime: Distribution | null;
+  cycleTime: Distribution | null;
+  timeInStatus: Array<{ status: string; display: string } & Distribution>;
+  throughput: Array<{ week: string; count: number }>;
+}
+
+const DEFAULT_ACTIVE_STATUSES = ["inProgress", "inReview", "testing"];
+const DEFAULT_DONE_STATUSES = ["closed", "resolved", "done"];
+
+// Наборы статусов по умолчанию: YANDEX_TRACKER_ACTIVE_STATUSES и YANDEX_TRACKER_DONE_STATUSES
+// (ключи через запятую) или стандартные статусы Трекера
+export function loadFlowOptions(env: NodeJS.ProcessEnv = process.env): FlowOptions {
+  const list = (value: string | undefined, fallback: string[]) => {
+    const items = (value ?? "").split(",").map((item) => item.trim()).filter(Boolean);
+    return items.length > 0 ? items : fallback;
+  };
+  return {
+    activeStatuses: list(env.YANDEX_TRACKER_ACTIVE_STATUSES, DEFAULT_ACTIVE_STATUSES),
+    doneStatuses: list(env.YANDEX_TRACKER_DONE_STATUSES, DEFAULT_DONE_STATUSES),
+  };
+}
+
+const normalize = (status: string) => status.toLowerCase();
+
+// История статусов задачи: последовательные интервалы и момент готовности.
+// Если задачу переоткрывали, готовностью считается последний вход в финальный статус
+export function computeIssueFlow(issue: FlowIssue, changes: StatusChange[], options: FlowOptions): IssueFlow {
+  const now = options.now ?? Date.now();
+  const active = new Set(options.activeStatuses.map(normalize));
+  const done = new Set(options.doneStatuses.map(normalize));
+  const createdAt = Date.parse(issue.createdAt);
+  const sorted = [...changes].sort((a, b) => a.at - b.at);
+
+  const timeInStatus = new Map<string, { display: string; ms: number }>();
+  let current: StatusRef = sorted[0]?.from ?? issue.status;
+  let since = createdAt;
+  let firstActiveAt: number | null = active.has(normalize(current.key)) ? createdAt : null;
+  let doneAt: number | null = null;
+
+  const spend = (status: StatusRef, from: number, to: number) => {
+    const entry = timeInStatus.get(status.key) ?? { display: status.display, ms: 0 };
+    entry.ms += Math.max(0, to - from);
+    timeInStatus.set(status.key, entry);
+  };
+
+  for (const change of sorted) {
+    spend(current, since, change.at);
+    current = change.to;
+    since = change.at;
+    const key = normalize(current.key);
+    if (firstActiveAt === null && active.has(key)) {
+      firstActiveAt = change.at;
+    }
+    doneAt = done.has(key) ? change.at : null;
+  }
+
+  // Время в финальном статусе не накапливается — задача уже завершена
+  if (!done.has(normalize(current.key))) {
+    spend(current, since, now);
+  }
+
+  return {
+    key: issue.key,
+    doneAt,
+    leadTimeMs: doneAt !== null ? doneAt - createdAt : null,
+    cycleTimeMs: doneAt !== null && firstActiveAt !== null && firstActiveAt <= doneAt ? doneAt - firstActiveAt : null,
+    timeInStatus,
+  };
+}
+
+// Перцентиль с линейной интерполяцией между соседними значениями
+export function percentile(values: number[], p: number): number {
+  const sorted = [...values].sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return 0;
+  }
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function distribution(values: number[]): Distribution | null {
+  return values.length > 0
+    ? { count: values.length, median: percentile(values, 0.5), p85: percentile(values, 0.85) }
+    : null;
+}
+
+// ISO-неделя в виде 2024-W07
+export function isoWeek(time: number): string {
+  const date = new Date(time);
+  const day = (date.getUTCDay() + 6) % 7;
+  // Четверг той же недели определяет год недели
+  const thursday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - day + 3);
+  const year = new Date(thursday).getUTCFullYear();
+  const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * DAY_MS)) + 1;
+  return `${year}-W${String(week).padStart(2, "0")}`;
+}
+
+function weekStart(time: number): number {
+  const date = new Date(time);
+  const day = (date.getUTCDay() + 6) % 7;
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - day);
+}
+
+export function summarizeFlow(flows: IssueFlow[]): FlowMetrics {
+  const completed = flows.filter((flow) => flow.doneAt !== null);
+
+  const statuses = new Map<string, { display: string; values: number[] }>();
+  for (const flow of flows) {
+    for (const [status, { display, ms }] of flow.timeInStatus) {
+      const entry = statuses.get(status) ?? { display, values: [] };
+      entry.values.push(ms);
+      statuses.set(status, entry);
+    }
+  }
+
+  // Недели без завершённых задач тоже показываем — иначе провалы в пропускной способности не видны
+  const throughput: FlowMetrics["throughput"] = [];
+  if (completed.length > 0) {
+    const counts = new Map<string, number>();
+    for (const flow of completed) {
+      const week = isoWeek(flow.doneAt!);
+      counts.set(week, (counts.get(week) ?? 0) + 1);
+    }
+    const doneTimes = completed.map((flow) => flow.doneAt!);
+    const last = weekStart(Math.max(...doneTimes));
+    for (let week = weekStart(Math.min(...doneTimes)); week <= last; week += 7 * DAY_MS) {
+      throughput.push({ week: isoWeek(week), count: counts.get(isoWeek(week)) ?? 0 });
+    }
+  }
+
+  return {
+    issues: flows.length,
+    completed: completed.length,
+    leadTime: distribution(completed.map((flow) => flow.leadTimeMs!)),
+    cycleTime: distribution(
+      completed.filter((flow) => flow.cycleTimeMs !== null).map((flow) => flow.cycleTimeMs!)
+    ),
+    timeInStatus: [...statuses.entries()]
+      .map(([status, { display, values }]) => ({ status, display, ...distribution(values)! }))
+      .sort((a, b) => b.median - a.median),
+    throughput,
+  };
+}
+
+export function formatDuration(ms: number): string {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  if (minutes < 24 * 60) {
+    const rest = minutes % 60;
+    return rest > 0 ? `${Math.floor(minutes / 60)}h ${rest}m` : `${minutes / 60}h`;
+  }
+  const hours = Math.round(ms / HOUR_MS);
+  const rest = hours % 24;
+  return rest > 0 ? `${Math.floor(hours / 24)}d ${rest}h` : `${hours / 24}d`;
+}
+
+export function renderFlowMetrics(metrics: FlowMetrics): string {
+  const sections: string[] = [
+    `📈 Flow metrics for ${metrics.issues} issues (${metrics.completed} completed)`,
+  ];
+
+  const row = (name: string, value: Distribution | null) =>
+    value
+      ? `| ${name} | ${value.count} | ${formatDuration(value.median)} | ${formatDuration(value.p85)} |`
+      : `| ${name} | 0 | — | — |`;
+
+  sections.push(
+    [
+      "| Metric | Issues | Median | P85 |",
+      "|---|---|---|---|",
+      row("Lead time", metrics.leadTime),
+      row("Cycle time", metrics.cycleTime),
+    ].join("\n")
+  );
+
+  if (metrics.timeInStatus.length > 0) {
+    sections.push(
+      [
+        "Time in status:",
+        "| Status | Issues | Median | P85 |",
+        "|---|---|---|---|",
+        ...metrics.timeInStatus.map((status) => row(status.display, status)),
+      ].join("\n")
+    );
+  }
+
+  if (metrics.throughput.length > 0) {
+    sections.push(
+      [
+        "Throughput per week:",
+        "| Week | Completed |",
+        "|---|---|",
+        ...metrics.throughput.map((week) => `| ${week.week} | ${week.count} |`),
+      ].join("\n")
+    );
+  }
+
+  return sections.join("\n\n");
+}
@@ -0,0 +1,345 @@
+import { StatusRef } from "./flow.js";
+import { IssueLink } from "./types.js";
+
+// Граф связей задач для get_dependency_graph: узлы — задачи, рёбра — связи Трекера.
+// Ребро направлено как связь «outward»: from —relation→ to. Для связи depends это
+// «from зависит от to», то есть to блокирует from; циклы и незакрытые блокеры ищутся только по ним
+
+export const DEPENDENCY_LINK_TYPE = "depends";
+
+export type GraphFormat = "mermaid" | "dot";
+
+export const GRAPH_FORMATS: GraphFormat[] = ["mermaid", "dot"];
+
+export interface GraphNode {
+  key: string;
+  summary: string | null;
+  status: StatusRef | null;
+  // Расстояние от ближайшей стартовой задачи
+  depth: number;
+  // Загружены ли связи задачи; задачи на границе глубины остаются нераскрытыми
+  expanded: boolean;
+}
+
+export interface GraphEdge {
+  from: string;
+  to: string;
+  type: string;
+  relation: string;
+}
+
+export interface DependencyGraph {
+  roots: string[];
+  nodes: Map<string, GraphNode>;
+  edges: Map<string, GraphEdge>;
+  // Обход остановлен пределом числа задач
+  truncated: boolean;
+}
+
+export interface UnresolvedBlocker {
+  issue: string;
+  blocker: string;
+  blockerStatus: StatusRef | null;
+}
+
+export interface GraphAnalysis {
+  // По одному циклу на каждую сильно связную компоненту графа зависимостей
+  cycles: string[][];
+  unresolvedBlockers: UnresolvedBlocker[];
+}
+
+export function createGraph(roots: Array<{ key: string; summary: string; status: StatusRef }>): DependencyGraph {
+  return {
+    roots: roots.map((root) => root.key),
+    nodes: new Map(
+      roots.map((root) => [
+        root.key,
+        { key: root.key, summary: root.summary, status: root.status, depth: 0, expanded: false },
+      ])
+    ),
+    edges: new Map(),
+    truncated: false,
+  };
+}
+
+// Добавляет связи раскрытой задачи и возвращает ключи впервые найденных задач.
+// Одна и та же связь приходит с обеих сторон, поэтому рёбра сводятся к направлению outward
+export function addLinks(
+  graph: DependencyGraph,
+  key: string,
+  links: IssueLink[],
+  options: { linkTypes: Set<string> | null; maxNodes: number }
+): string[] {
+  const node = graph.nodes.get(key)!;
+  node.expanded = true;
+  const discovered: string[] = [];
+
+  for (const link of links) {
+    if (options.linkTypes && !options.linkTypes.has(link.type.id)) {
+      continue;
+    }
+    const other = link.object.key;
+    if (!graph.nodes.has(other)) {
+      if (graph.nodes.size >= options.maxNodes) {
+        graph.truncated = true;
+        continue;
+      }
+      graph.nodes.set(other, {
+        key: other,
+        summary: link.object.display ?? null,
+        status: link.status?.key ? { key: link.status.key, display: link.status.display } : null,
+        depth: node.depth + 1,
+        expanded: false,
+      });
+      discovered.push(other);
+    }
+
+    const [from, to] = link.direction === "outward" ? [key, other] : [other, key];
+    const id = `${from}|${link.type.id}|${to}`;
+    if (!graph.edges.has(id)) {
+      graph.edges.set(id, { from, to, type: link.type.id, relation: link.type.outward });
+    }
+  }
+
+  return discovered;
+}
+
+function dependencyEdges(graph: DependencyGraph): GraphEdge[] {
+  return [...graph.edges.values()].filter((edge) => edge.type === DEPENDENCY_LINK_TYPE);
+}
+
+// Сильно связные компоненты (алгоритм Тарьяна); компонента из нескольких задач
+// или задача, зависящая от себя, означает цикл зависимостей
+function stronglyConnected(keys: string[], next: Map<string, string[]>): string[][] {
+  const index = new Map<string, number>();
+  const lowlink = new Map<string, number>();
+  const stack: string[] = [];
+  const onStack = new Set<string>();
+  const components: string[][] = [];
+
+  const visit = (key: string) => {
+    index.set(key, index.size);
+    lowlink.set(key, index.get(key)!);
+    stack.push(key);
+    onStack.add(key);
+
+    for (const target of next.get(key) ?? []) {
+      if (!index.has(target)) {
+        visit(target);
+        lowlink.set(key, Math.min(lowlink.get(key)!, lowlink.get(target)!));
+      } else if (onStack.has(target)) {
+        lowlink.set(key, Math.min(lowlink.get(key)!, index.get(target)!));
+      }
+    }
+
+    if (lowlink.get(key) === index.get(key)) {
+      const component: string[] = [];
+      let member: string;
+      do {
+        member = stack.pop()!;
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== key);
+      components.push(component);
+    }
+  };
+
+  for (const key of keys) {
+    if (!index.has(key)) {
+      visit(key);
+    }
+  }
+  return components;
+}
+
+// Путь по компоненте от start обратно к start — в компоненте он всегда существует
+function cycleThrough(start: string, members: Set<string>, next: Map<string, string[]>): string[] {
+  const path = [start];
+  const visited = new Set([start]);
+  const search = (key: string): boolean => {
+    for (const target of next.get(key) ?? []) {
+      if (target === start) {
+        return true;
+      }
+      if (members.has(target) && !visited.has(target)) {
+        visited.add(target);
+        path.push(target);
+        if (search(target)) {
+          return true;
+        }
+        path.pop();
+      }
+    }
+    return false;
+  };
+  search(start);
+  return path;
+}
+
+export function analyzeGraph(graph: DependencyGraph, doneStatuses: string[]): GraphAnalysis {
+  const edges = dependencyEdges(graph);
+  const next = new Map<string, string[]>();
+  for (const edge of edges) {
+    next.set(edge.from, [...(next.get(edge.from) ?? []), edge.to]);
+  }
+
+  const cycles = stronglyConnected([...graph.nodes.keys()], next)
+    .filter((component) => component.length > 1 || next.get(component[0])?.includes(component[0]))
+    .map((component) => {
+      const start = [...component].sort()[0];
+      return cycleThrough(start, new Set(component), next);
+    });
+
+  // Блокер не закрыт, а зависящая от него задача ещё не завершена
+  const done = new Set(doneStatuses.map((status) => status.toLowerCase()));
+  const isDone = (key: string) => {
+    const status = graph.nodes.get(key)?.status;
+    return status ? done.has(status.key.toLowerCase()) : false;
+  };
+  const unresolvedBlockers = edges
+    .filter((edge) => !isDone(edge.from) && !isDone(edge.to))
+    .map((edge) => ({ issue: edge.from, blocker: edge.to, blockerStatus: graph.nodes.get(edge.to)?.status ?? null }));
+
+  return { cycles, unresolvedBlockers };
+}
+
+function cycleEdgeIds(analysis: GraphAnalysis): Set<string> {
+  const ids = new Set<string>();
+  for (const cycle of analysis.cycles) {
+    cycle.forEach((key, i) => ids.add(`${key}|${DEPENDENCY_LINK_TYPE}|${cycle[(i + 1) % cycle.length]}`));
+  }
+  return ids;
+}
+
+function plural(count: number, word: string): string {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+function shorten(text: string, length: number = 40): string {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function renderMermaid(graph: DependencyGraph, analysis: GraphAnalysis, doneStatuses: Set<string>): string {
+  const id = (key: string) => key.replace(/[^A-Za-z0-9_]/g, "_");
+  const escape = (text: string) => text.replace(/"/g, "#quot;");
+  const blocked = new Set(analysis.unresolvedBlockers.map((blocker) => blocker.issue));
+  const inCycle = cycleEdgeIds(analysis);
+
+  const lines = ["graph LR"];
+  for (const node of graph.nodes.values()) {
+    const label = [`${node.key}: ${shorten(node.summary ?? "")}`, node.status?.display].filter(Boolean).join("<br/>");
+    lines.push(`  ${id(node.key)}["${escape(label)}"]`);
+  }
+
+  const cycleLinks: number[] = [];
+  [...graph.edges.entries()].forEach(([edgeId, edge], i) => {
+    const arrow = edge.type === DEPENDENCY_LINK_TYPE ? "-->" : "-.->";
+    lines.push(`  ${id(edge.from)} ${arrow}|"${escape(edge.relation)}"| ${id(edge.to)}`);
+    if (inCycle.has(edgeId)) {
+      cycleLinks.push(i);
+    }
+  });
+
+  const done = [...graph.nodes.values()].filter((node) => node.status && doneStatuses.has(node.status.key.toLowerCase()));
+  lines.push("  classDef done fill:#e6f4ea,stroke:#34a853");
+  lines.push("  classDef blocked fill:#fde7e9,stroke:#d93025");
+  if (done.length > 0) {
+    lines.push(`  class ${done.map((node) => id(node.key)).join(",")} done`);
+  }
+  if (blocked.size > 0) {
+    lines.push(`  class ${[...blocked].map(id).join(",")} blocked`);
+  }
+  if (cycleLinks.length > 0) {
+    lines.push(`  linkStyle ${cycleLinks.join(",")} stroke:#d93025,stroke-width:2px`);
+  }
+  return lines.join("\n");
+}
+
+function renderDot(graph: DependencyGraph, analysis: GraphAnalysis, doneStatuses: Set<string>): string {
+  const escape = (text: string) => text.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+  const quote = (text: string) => `"${escape(text)}"`;
+  const blocked = new Set(analysis.unresolvedBlockers.map((blocker) => blocker.issue));
+  const inCycle = cycleEdgeIds(analysis);
+
+  const lines = ["digraph dependencies {", "  rankdir=LR;", "  node [shape=box];"];
+  for (const node of graph.nodes.values()) {
+    // Строки подписи разделяются escape-последовательностью \n языка DOT
+    const label = [node.key, shorten(node.summary ?? ""), node.status && `(${node.status.display})`]
+      .filter((part): part is string => Boolean(part))
+      .map(escape)
+      .join("\\n");
+    const attributes = [`label="${label}"`];
+    if (node.status && doneStatuses.has(node.status.key.toLowerCase())) {
+      attributes.push('style=filled, fillcolor="#e6f4ea"');
+    } else if (blocked.has(node.key)) {
+      attributes.push('style=filled, fillcolor="#fde7e9"');
+    }
+    lines.push(`  ${quote(node.key)} [${attributes.join(", ")}];`);
+  }
+  for (const [edgeId, edge] of graph.edges) {
+    const attributes = [`label=${quote(edge.relation)}`];
+    if (edge.type !== DEPENDENCY_LINK_TYPE) {
+      attributes.push("style=dashed");
+    }
+    if (inCycle.has(edgeId)) {
+      attributes.push("color=red, penwidth=2");
+    }
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [${attributes.join(", ")}];`);
+  }
+  lines.push("}");
+  return lines.join("\n");
+}
+
+export function renderDiagram(
+  graph: DependencyGraph,
+  analysis: GraphAnalysis,
+  format: GraphFormat,
+  doneStatuses: string[]
+): string {
+  const done = new Set(doneStatuses.map((status) => status.toLowerCase()));
+  return format === "dot" ? renderDot(graph, analysis, done) : renderMermaid(graph, analysis, done);
+}
+
+export function renderGraphReport(
+  graph: DependencyGraph,
+  analysis: GraphAnalysis,
+  depth: number,
+  format: GraphFormat,
+  diagram: string
+): string {
+  const roots = graph.roots.length <= 5 ? graph.roots.join(", ") : `${graph.roots.length} issues`;
+  const sections = [
+    `🕸️ Dependency graph from ${roots} (depth ${depth}): ${plural(graph.nodes.size, "issue")}, ${plural(graph.edges.size, "link")}`,
+  ];
+
+  const notes: string[] = [];
+  if (graph.truncated) {
+    notes.push(`⚠️ Stopped at ${graph.nodes.size} issues, some links were not followed. Reduce depth or restrict linkTypes.`);
+  }
+  const unexpanded = [...graph.nodes.values()].filter((node) => !node.expanded).length;
+  if (unexpanded > 0) {
+    notes.push(`${plural(unexpanded, "issue")} at the depth limit ${unexpanded === 1 ? "was" : "were"} not expanded`);
+  }
+  if (notes.length > 0) {
+    sections.push(notes.join("\n"));
+  }
+
+  sections.push(
+    analysis.cycles.length > 0
+      ? `🔁 Dependency cycles (${analysis.cycles.length}):\n${analysis.cycles
+          .map((cycle) => `• ${[...cycle, cycle[0]].join(" → ")}`)
+          .join("\n")}`
+      : "✅ No dependency cycles"
+  );
+
+  sections.push(
+    analysis.unresolvedBlockers.length > 0
+      ? `⛔ Unresolved blockers (${analysis.unresolvedBlockers.length}):\n${analysis.unresolvedBlockers
+          .map((item) => `• ${item.issue} is blocked by ${item.blocker}${item.blockerStatus ? ` [${item.blockerStatus.display}]` : ""}`)
+          .join("\n")}`
+      : "✅ No unresolved blockers"
+  );
+
+  sections.push(`\`\`\`${format}\n${diagram}\n\`\`\``);
+  return sections.join("\n\n");
+}
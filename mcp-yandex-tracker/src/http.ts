@@ -0,0 +1,189 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Общая обработка HTTP-ошибок клиента Трекера: повторы временных сбоев с экспоненциальной
+// задержкой и случайным разбросом, учёт Retry-After и перевод ошибок API в понятные сообщения
+
+export interface RetryPolicy {
+  maxRetries: number;
+  timeoutMs: number;
+  baseDelayMs: number;
+  maxDelayMs: number;
+}
+
+export interface RetryEvent {
+  request: string;
+  reason: string;
+  attempt: number;
+  delayMs: number;
+}
+
+export type AccessKind = "read" | "write";
+
+const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  maxRetries: 3,
+  timeoutMs: 15000,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+};
+
+const TRANSIENT_STATUSES = [429, 500, 502, 503, 504];
+const NETWORK_ERROR_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ECONNABORTED", "EAI_AGAIN", "EPIPE", "ENOTFOUND"];
+
+// Повторы, сделанные в рамках текущего вызова инструмента. Сервер запускает обработчик
+// внутри retryLog.run(), поэтому клиенту не нужно передавать журнал через все методы
+export const retryLog = new AsyncLocalStorage<RetryEvent[]>();
+
+export function loadRetryPolicy(env: NodeJS.ProcessEnv = process.env): RetryPolicy {
+  const number = (value: string | undefined, fallback: number) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== "" && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    maxRetries: number(env.YANDEX_TRACKER_MAX_RETRIES, DEFAULT_RETRY_POLICY.maxRetries),
+    timeoutMs: number(env.YANDEX_TRACKER_TIMEOUT_MS, DEFAULT_RETRY_POLICY.timeoutMs),
+  };
+}
+
+export class TrackerApiError extends Error {
+  constructor(
+    message: string,
+    public readonly status?: number,
+    public readonly attempts: number = 1
+  ) {
+    super(message);
+    this.name = "TrackerApiError";
+  }
+}
+
+function isTimeout(error: any): boolean {
+  return error.code === "ECONNABORTED" || error.code === "ETIMEDOUT";
+}
+
+// 429 означает, что запрос отклонён до выполнения, поэтому его можно повторить для любого метода.
+// Сетевые сбои и 5xx повторяются только для идемпотентных запросов: неизвестно, успел ли сервер
+// выполнить, например, создание задачи
+export function isRetryable(error: any, idempotent: boolean): boolean {
+  const status = error.response?.status;
+  if (status === 429) {
+    return true;
+  }
+  if (!idempotent) {
+    return false;
+  }
+  if (status !== undefined) {
+    return TRANSIENT_STATUSES.includes(status);
+  }
+  return isTimeout(error) || NETWORK_ERROR_CODES.includes(error.code);
+}
+
+// Retry-After в секундах или HTTP-дата
+function retryAfterMs(error: any): number | null {
+  const header = error.response?.headers?.["retry-after"];
+  if (header === undefined || header === null || header === "") {
+    return null;
+  }
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(String(header));
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Задержка перед повтором attempt (с 1): Retry-After, если сервер его прислал,
+// иначе экспоненциальная задержка со случайным разбросом («full jitter»)
+export function retryDelay(error: any, attempt: number, policy: RetryPolicy): number {
+  const retryAfter = retryAfterMs(error);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, policy.maxDelayMs);
+  }
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+export function describeFailure(error: any): string {
+  const status = error.response?.status;
+  if (status) {
+    return `${status}`;
+  }
+  return isTimeout(error) ? "timeout" : error.code || error.message;
+}
+
+export function recordRetry(event: RetryEvent): void {
+  retryLog.getStore()?.push(event);
+}
+
+// Единый перевод ошибок API в сообщения для модели и пользователя
+export function describeApiError(
+  action: string,
+  error: any,
+  access: AccessKind,
+  attempts: number,
+  timeoutMs: number
+): string {
+  const status = error.response?.status;
+  const statusText = error.response?.statusText;
+  const errorData = error.response?.data;
+  const afterAttempts = attempts > 1 ? ` after ${attempts} attempts` : "";
+
+  // На 400/409/422 Трекер возвращает errors — словарь «поле → сообщение» и errorMessages —
+  // общие сообщения; их показываем как есть, чтобы модель могла исправить запрос
+  if (status === 400 || status === 409 || status === 422) {
+    const problems = [
+      ...Object.entries(errorData?.errors ?? {}).map(([field, message]) => `${field}: ${message}`),
+      ...(errorData?.errorMessages ?? []),
+    ];
+    const reason = status === 409
+      ? "the issue was changed by someone else (409), fetch it again and retry"
+      : status === 400
+        ? "bad request (400)"
+        : `validation failed (${status})`;
+    return problems.length > 0
+      ? `${action}: ${reason}. ${problems.join("; ")}`
+      : `${action}: ${reason}.`;
+  }
+
+  if (status === 403) {
+    // Проверяем конкретный код ошибки Yandex Tracker
+    if (errorData?.errorCode === 620345) {
+      return `${action}: Organization not found (error code 620345). Your Organization ID is incorrect or you don't have access to this organization. Organization ID should be a numeric ID (like '12345678'), not organization name. Check https://tracker.yandex.ru → Settings → About to find the correct ID.`;
+    }
+    return `${action}: Access forbidden (403). Check that your OAuth token has 'tracker:${access}' permission and Organization ID is correct.`;
+  }
+  if (status === 401) {
+    return `${action}: Unauthorized (401). Check your OAuth token.`;
+  }
+  if (status === 404) {
+    const details = errorData?.errorMessages?.join("; ");
+    return `${action}: Not found (404). ${details || "Check the issue key and Organization ID."}`;
+  }
+  if (status === 429) {
+    return `${action}: Rate limit exceeded (429)${afterAttempts}. Try again later.`;
+  }
+  if (status >= 500) {
+    return `${action}: Tracker API is unavailable (${[status, statusText].filter(Boolean).join(" ")})${afterAttempts}. Try again later.`;
+  }
+  if (status) {
+    const details = errorData ? ` Details: ${JSON.stringify(errorData)}` : "";
+    return `${action}: Status ${status} - ${statusText}.${details}`;
+  }
+  if (isTimeout(error)) {
+    return `${action}: request timed out after ${timeoutMs} ms${attempts > 1 ? ` (${attempts} attempts)` : ""}.`;
+  }
+  return `${action}: ${error.message}${afterAttempts}`;
+}
+
+export function formatRetryReport(events: RetryEvent[]): string | null {
+  if (events.length === 0) {
+    return null;
+  }
+  const lines = events.map(
+    (event) => `• ${event.request}: ${event.reason}, retry ${event.attempt} in ${(event.delayMs / 1000).toFixed(1)}s`
+  );
+  return `🔁 Retried ${events.length} time${events.length === 1 ? "" : "s"}:\n${lines.join("\n")}`;
+}
+
+export function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -5,165 +5,878 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  LoggingLevel,
+  LoggingLevelSchema,
+  SetLevelRequestSchema,
   Tool,
 } from "@modelcontextprotocol/sdk/types.js";
-import axios, { AxiosInstance } from "axios";
+import axios, { AxiosInstance, AxiosRequestConfig, AxiosResponse } from "axios";
+import { randomBytes } from "crypto";
+import { open, rename, unlink } from "fs/promises";
+import {
+  BULK_FINAL_STATUSES,
+  BulkChanges,
+  BulkFailure,
+  BulkKind,
+  BulkOperation,
+  BulkPlan,
+  BulkTarget,
+  describeFieldChanges,
+  hasBulkChanges,
+  renderBulkPreview,
+  renderBulkResult,
+  toBulkValues,
+  verifyTarget,
+} from "./bulk.js";
+import {
+  BUILTIN_EXPORT_COLUMNS,
+  createExportFormatter,
+  DEFAULT_EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  ExportFormat,
+  loadExportDir,
+  parseColumns,
+  resolveExportPath,
+} from "./export.js";
+import { ISSUE_FILTER_SCHEMA, resolveFilter } from "./filters.js";
+import {
+  computeIssueFlow,
+  FlowOptions,
+  loadFlowOptions,
+  renderFlowMetrics,
+  StatusChange,
+  StatusRef,
+  summarizeFlow,
+} from "./flow.js";
+import {
+  AccessKind,
+  describeApiError,
+  describeFailure,
+  formatRetryReport,
+  isRetryable,
+  loadRetryPolicy,
+  recordRetry,
+  retryDelay,
+  retryLog,
+  RetryEvent,
+  RetryPolicy,
+  sleep,
+  TrackerApiError,
+} from "./http.js";
+import {
+  createProfile,
+  describeOrganization,
+  loadProfiles,
+  TrackerProfile,
+  YandexTrackerConfig,
+} from "./profiles.js";
+import {
+  addLinks,
+  analyzeGraph,
+  createGraph,
+  GRAPH_FORMATS,
+  GraphFormat,
+  renderDiagram,
+  renderGraphReport,
+} from "./graph.js";
+import {
+  buildIssueDetails,
+  CommentPage,
+  ISSUE_SECTIONS,
+  IssueDetailParts,
+  parseSections,
+  renderIssueDetails,
+} from "./issue-details.js";
+import {
+  addIssueToStats,
+  createIssueStats,
+  IssueStats,
+  parseGroupBy,
+  renderIssueStats,
+  STATS_DIMENSIONS,
+  StatsDimension,
+  statusCategory,
+  toStructuredStats,
+} from "./stats.js";
+import { Attachment, ChecklistItem, Comment, Issue, IssueLink, Transition, Worklog } from "./types.js";
+import {
+  compareEstimates,
+  formatWorkTime,
+  parseDuration,
+  renderTimeReport,
+  summarizeWorklogs,
+  toIsoDuration,
+} from "./worklog.js";
+import {
+  DEFAULT_WATCH_INTERVAL_SECONDS,
+  diffWatch,
+  loadWatchStatePath,
+  MAX_WATCH_INTERVAL_SECONDS,
+  MAX_WATCH_ISSUES,
+  MIN_WATCH_INTERVAL_SECONDS,
+  parseWatchInterval,
+  readWatches,
+  renderChange,
+  renderWatch,
+  takeNewComments,
+  Watch,
+  WatchChange,
+  writeWatches,
+} from "./watch.js";
 
-// Интерфейсы для Яндекс Трекера
-interface YandexTrackerConfig {
-  orgId: string;
-  token: string;
+// Поля задачи, которые можно передать при создании или изменении.
+// null в assignee и deadline означает «очистить поле»
+interface IssueFields {
+  queue?: string;
+  summary?: string;
+  description?: string;
+  type?: string;
+  priority?: string;
+  assignee?: string | null;
+  followers?: string[];
+  tags?: string[];
+  deadline?: string | null;
 }
 
-interface Issue {
-  key: string;
-  summary: string;
-  status: {
-    key: string;
-    display: string;
-  };
-  assignee?: {
-    display: string;
-  };
-  createdAt: string;
+interface ChangelogEntry {
+  id: string;
   updatedAt: string;
+  fields?: Array<{
+    field: { id: string };
+    from?: StatusRef | null;
+    to?: StatusRef | null;
+  }>;
+}
+
+interface IssuePage {
+  issues: Issue[];
+  // Общее количество найденных задач; null, если API его не сообщил
+  total: number | null;
+}
+
+interface IssueSearchResult {
+  issues: Issue[];
+  total: number | null;
+  truncated: boolean;
 }
 
-interface IssueStats {
-  total: number;
-  open: number;
-  inProgress: number;
-  closed: number;
-  byStatus: Record<string, number>;
+const TRACKER_WEB_URL = "https://tracker.yandex.ru";
+
+// Поиск задач: размер страницы, размер страницы scroll и жёсткий предел выборки
+const PAGE_SIZE = 100;
+const SCROLL_PAGE_SIZE = 1000;
+const SCROLL_THRESHOLD = 1000;
+const SCROLL_TTL_MS = 60000;
+const MAX_SEARCH_RESULTS = 50000;
+
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+
+// История изменений: размер страницы, размер кэша, предел задач и параллельных запросов для get_flow_metrics
+const CHANGELOG_PAGE_SIZE = 100;
+const CHANGELOG_CACHE_SIZE = 5000;
+const MAX_FLOW_ISSUES = 1000;
+const CHANGELOG_CONCURRENCY = 5;
+
+const STATUS_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Комментарии в get_issue: размер страницы по умолчанию и максимальный
+const DEFAULT_COMMENTS_LIMIT = 20;
+const MAX_COMMENTS_LIMIT = 100;
+
+// Граф зависимостей: глубина обхода по умолчанию и максимальная, предел задач в графе,
+// стартовых задач из фильтра и параллельных запросов связей
+const DEFAULT_GRAPH_DEPTH = 2;
+const MAX_GRAPH_DEPTH = 5;
+const MAX_GRAPH_NODES = 500;
+const MAX_GRAPH_ROOTS = 100;
+const LINKS_CONCURRENCY = 5;
+
+// Массовые изменения: предел задач, срок действия плана, опрос операции и параллельные запросы задач
+const MAX_BULK_ISSUES = 500;
+const BULK_PLAN_TTL_MS = 15 * 60 * 1000;
+const BULK_POLL_INTERVAL_MS = 1000;
+const BULK_WAIT_MS = 60000;
+const BULK_CONCURRENCY = 5;
+
+// Учёт времени: размер страницы и предел поиска записей, предел задач отчёта и параллельных запросов
+const WORKLOG_PAGE_SIZE = 500;
+const MAX_WORKLOGS = 20000;
+const MAX_REPORT_ISSUES = 1000;
+const WORKLOG_CONCURRENCY = 5;
+
+// Сколько строк выгрузки показывать в ответе export_issues
+const EXPORT_PREVIEW_ROWS = 5;
+
+// Наблюдения: параллельные запросы комментариев, предел страниц комментариев одной задачи
+// и уведомлений за один опрос (об остальных изменениях приходит одно итоговое)
+const WATCH_COMMENTS_CONCURRENCY = 5;
+const MAX_WATCH_COMMENT_PAGES = 5;
+const MAX_WATCH_NOTIFICATIONS = 50;
+const WATCH_LOGGER = "yandex-tracker-watch";
+
+function issueUrl(key: string): string {
+  return `${TRACKER_WEB_URL}/${key}`;
+}
+
+// Поля запроса в формате API: исполнитель и наблюдатели — логины, тип и приоритет — ключи
+function toIssueBody(fields: IssueFields): Record<string, unknown> {
+  const body: Record<string, unknown> = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (value !== undefined && field !== "queue") {
+      body[field] = value;
+    }
+  }
+  return body;
 }
 
 // Класс для работы с Яндекс Трекером
 class YandexTrackerClient {
   private client: AxiosInstance;
   private config: YandexTrackerConfig;
+  private retryPolicy: RetryPolicy;
+  // История статусов по ключу задачи вместе с updatedAt задачи, при котором она получена
+  private changelogCache = new Map<string, { updatedAt: string; changes: StatusChange[] }>();
+  private statusTypes: { types: Map<string, string>; loadedAt: number } | null = null;
 
-  constructor(config: YandexTrackerConfig) {
+  constructor(config: YandexTrackerConfig, retryPolicy: RetryPolicy) {
     this.config = config;
+    this.retryPolicy = retryPolicy;
     this.client = axios.create({
       baseURL: "https://api.tracker.yandex.net/v2",
+      timeout: retryPolicy.timeoutMs,
       headers: {
         "Authorization": `OAuth ${config.token}`,
-        "X-Org-ID": config.orgId,
+        ...(config.orgId ? { "X-Org-ID": config.orgId } : { "X-Cloud-Org-ID": config.cloudOrgId }),
         "Content-Type": "application/json",
       },
     });
   }
 
-  // Получить список задач по фильтру
-  async getIssues(filter?: string, limit: number = 50): Promise<Issue[]> {
-    try {
-      // Используем GET метод вместо POST для _search
-      const params: any = {
-        perPage: limit,
-      };
+  // Запрос к API с повторами временных сбоев. После 429 повторяется любой запрос,
+  // после 5xx и сетевых сбоев — только идемпотентный (по умолчанию — GET, PUT и DELETE)
+  private async request<T = any>(
+    action: string,
+    config: AxiosRequestConfig,
+    options: { access?: AccessKind; idempotent?: boolean } = {}
+  ): Promise<AxiosResponse<T>> {
+    const method = (config.method ?? "get").toUpperCase();
+    const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+    const access = options.access ?? (method === "GET" ? "read" : "write");
 
-      if (filter) {
-        params.filter = filter;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.client.request<T>(config);
+      } catch (error: any) {
+        if (attempt > this.retryPolicy.maxRetries || !isRetryable(error, idempotent)) {
+          throw new TrackerApiError(
+            describeApiError(action, error, access, attempt, this.retryPolicy.timeoutMs),
+            error.response?.status,
+            attempt
+          );
+        }
+        const delayMs = retryDelay(error, attempt, this.retryPolicy);
+        recordRetry({ request: `${method} ${config.url}`, reason: describeFailure(error), attempt, delayMs });
+        await sleep(delayMs);
       }
+    }
+  }
 
-      const response = await this.client.get("/issues", { params });
-      return response.data;
-    } catch (error: any) {
-      // Детальная информация об ошибке
-      const status = error.response?.status;
-      const statusText = error.response?.statusText;
-      const errorData = error.response?.data;
+  // Одна страница поиска. Трекер принимает запрос на языке запросов в поле query,
+  // общее количество найденных задач возвращает в заголовке X-Total-Count
+  private async searchPage(
+    query: string | undefined,
+    params: Record<string, string | number>,
+    headers: Record<string, string> = {}
+  ): Promise<{ issues: Issue[]; total: number | null; scrollId?: string; scrollToken?: string }> {
+    // Поиск только читает данные, но продолжение scroll сдвигает курсор:
+    // повтор после сбоя мог бы пропустить страницу
+    const response = await this.request<Issue[]>(
+      "Failed to fetch issues",
+      { method: "post", url: "/issues/_search", data: query ? { query } : {}, params, headers },
+      { access: "read", idempotent: params.scrollId === undefined }
+    );
+    const totalHeader = response.headers["x-total-count"];
+    return {
+      issues: response.data,
+      total: totalHeader !== undefined ? Number(totalHeader) : null,
+      scrollId: response.headers["x-scroll-id"],
+      scrollToken: response.headers["x-scroll-token"],
+    };
+  }
 
-      let detailedMessage = `Failed to fetch issues`;
+  // Постраничный обход результатов поиска. До SCROLL_THRESHOLD задач используются обычные
+  // страницы, для больших выборок — scroll: страницы по номеру Трекер отдаёт только
+  // для первых 10 000 результатов. Обход останавливается на maxIssues задачах
+  async *searchPages(
+    query?: string,
+    maxIssues: number = MAX_SEARCH_RESULTS
+  ): AsyncGenerator<IssuePage> {
+    const limit = Math.min(maxIssues, MAX_SEARCH_RESULTS);
+    let fetched = 0;
 
-      if (status === 403) {
-        // Проверяем конкретный код ошибки Yandex Tracker
-        if (errorData?.errorCode === 620345) {
-          detailedMessage += `: Organization not found (error code 620345). Your Organization ID is incorrect or you don't have access to this organization. Organization ID should be a numeric ID (like '12345678'), not organization name. Check https://tracker.yandex.ru → Settings → About to find the correct ID.`;
-        } else {
-          detailedMessage += `: Access forbidden (403). Check that your OAuth token has 'tracker:read' permission and Organization ID is correct.`;
+    if (limit <= SCROLL_THRESHOLD) {
+      const perPage = Math.min(limit, PAGE_SIZE);
+      for (let page = 1; fetched < limit; page++) {
+        const result = await this.searchPage(query, { perPage, page });
+        const issues = result.issues.slice(0, limit - fetched);
+        fetched += issues.length;
+        yield { issues, total: result.total };
+        if (result.issues.length < perPage || (result.total !== null && page * perPage >= result.total)) {
+          return;
         }
-      } else if (status === 401) {
-        detailedMessage += `: Unauthorized (401). Check your OAuth token.`;
-      } else if (status === 404) {
-        detailedMessage += `: Not found (404). Check Organization ID.`;
-      } else if (status) {
-        detailedMessage += `: Status ${status} - ${statusText}`;
-      } else {
-        detailedMessage += `: ${error.message}`;
       }
+      return;
+    }
 
-      if (errorData) {
-        detailedMessage += ` Details: ${JSON.stringify(errorData)}`;
+    let result = await this.searchPage(query, {
+      scrollType: "sorted",
+      perScroll: SCROLL_PAGE_SIZE,
+      scrollTTLMillis: SCROLL_TTL_MS,
+    });
+    const total = result.total;
+    while (true) {
+      const issues = result.issues.slice(0, limit - fetched);
+      fetched += issues.length;
+      yield { issues, total };
+      if (fetched >= limit || result.issues.length === 0 || !result.scrollId || (total !== null && fetched >= total)) {
+        return;
       }
-
-      throw new Error(detailedMessage);
+      result = await this.searchPage(
+        query,
+        { scrollId: result.scrollId, scrollTTLMillis: SCROLL_TTL_MS },
+        result.scrollToken ? { "X-Scroll-Token": result.scrollToken } : {}
+      );
     }
   }
 
-  // Получить статистику по задачам
-  async getIssueStats(filter?: string): Promise<IssueStats> {
-    const issues = await this.getIssues(filter, 1000);
+  // Потоковый обход найденных задач по одной
+  async *iterateIssues(query?: string, maxIssues: number = MAX_SEARCH_RESULTS): AsyncGenerator<Issue> {
+    for await (const page of this.searchPages(query, maxIssues)) {
+      yield* page.issues;
+    }
+  }
 
-    const stats: IssueStats = {
-      total: issues.length,
-      open: 0,
-      inProgress: 0,
-      closed: 0,
-      byStatus: {},
+  // Найти задачи по запросу: первые limit задач и общее количество найденных
+  async searchIssues(query?: string, limit: number = 50): Promise<IssueSearchResult> {
+    const issues: Issue[] = [];
+    let total: number | null = null;
+    for await (const page of this.searchPages(query, limit)) {
+      issues.push(...page.issues);
+      total = page.total ?? total;
+    }
+    // Без заголовка X-Total-Count общее количество известно, только если выборка не обрезана
+    if (total === null && issues.length < limit) {
+      total = issues.length;
+    }
+    return {
+      issues,
+      total,
+      truncated: total === null || issues.length < total,
     };
+  }
 
-    issues.forEach((issue) => {
-      const statusKey = issue.status.key.toLowerCase();
-      const statusDisplay = issue.status.display;
-
-      // Подсчет по категориям
-      if (statusKey === "open" || statusKey === "new") {
-        stats.open++;
-      } else if (
-        statusKey === "inprogress" ||
-        statusKey === "in_progress" ||
-        statusKey === "reviewing"
-      ) {
-        stats.inProgress++;
-      } else if (
-        statusKey === "closed" ||
-        statusKey === "resolved" ||
-        statusKey === "done"
-      ) {
-        stats.closed++;
-      }
+  // Тип каждого статуса (new, inProgress, paused, done, cancelled) по ключу статуса.
+  // Статусы меняются редко, поэтому список кэшируется на STATUS_CACHE_TTL_MS
+  async getStatusTypes(): Promise<Map<string, string>> {
+    if (this.statusTypes && Date.now() - this.statusTypes.loadedAt < STATUS_CACHE_TTL_MS) {
+      return this.statusTypes.types;
+    }
+    const response = await this.request<Array<{ key: string; type?: string }>>("Failed to fetch statuses", {
+      url: "/statuses",
+    });
+    const types = new Map(
+      response.data.filter((status) => status.type).map((status) => [status.key, status.type!])
+    );
+    this.statusTypes = { types, loadedAt: Date.now() };
+    return types;
+  }
 
-      // Подсчет по статусам
-      if (!stats.byStatus[statusDisplay]) {
-        stats.byStatus[statusDisplay] = 0;
+  // Статистика по всем найденным задачам (в пределах MAX_SEARCH_RESULTS) с группировкой по одному или двум измерениям
+  async getIssueStats(filter: string | undefined, groupBy: StatsDimension[] = []): Promise<IssueStats> {
+    const statusTypes = await this.getStatusTypes();
+    const stats = createIssueStats(groupBy);
+
+    for await (const page of this.searchPages(filter)) {
+      stats.matched = page.total ?? stats.matched;
+      for (const issue of page.issues) {
+        addIssueToStats(stats, issue, statusCategory(issue.status.key, statusTypes));
       }
-      stats.byStatus[statusDisplay]++;
-    });
+    }
 
     return stats;
   }
 
   // Получить конкретную задачу
   async getIssue(issueKey: string): Promise<Issue> {
-    try {
-      const response = await this.client.get(`/issues/${issueKey}`);
-      return response.data;
-    } catch (error: any) {
-      throw new Error(`Failed to fetch issue ${issueKey}: ${error.message}`);
-    }
+    const response = await this.request<Issue>(`Failed to fetch issue ${issueKey}`, {
+      url: `/issues/${issueKey}`,
+    });
+    return response.data;
   }
 
   // Получить мои задачи
-  async getMyIssues(): Promise<Issue[]> {
-    return this.getIssues("assignee: me()");
+  async getMyIssues(limit: number = 50): Promise<IssueSearchResult> {
+    return this.searchIssues("assignee: me()", limit);
+  }
+
+  // Создать задачу
+  async createIssue(fields: IssueFields): Promise<Issue> {
+    const response = await this.request<Issue>(`Failed to create issue in queue ${fields.queue}`, {
+      method: "post",
+      url: "/issues/",
+      data: { queue: fields.queue, ...toIssueBody(fields) },
+    });
+    return response.data;
+  }
+
+  // Изменить поля задачи
+  async updateIssue(issueKey: string, fields: IssueFields): Promise<Issue> {
+    const response = await this.request<Issue>(`Failed to update issue ${issueKey}`, {
+      method: "patch",
+      url: `/issues/${issueKey}`,
+      data: toIssueBody(fields),
+    });
+    return response.data;
+  }
+
+  // История смен статуса задачи. Пока задача не менялась (тот же updatedAt), не меняется
+  // и её история, поэтому повторные запросы метрик берут её из кэша
+  async getStatusChanges(
+    issueKey: string,
+    updatedAt?: string
+  ): Promise<{ changes: StatusChange[]; fromCache: boolean }> {
+    const cached = this.changelogCache.get(issueKey);
+    if (cached && updatedAt && cached.updatedAt === updatedAt) {
+      return { changes: cached.changes, fromCache: true };
+    }
+
+    const changes: StatusChange[] = [];
+    let after: string | undefined;
+    while (true) {
+      const response = await this.request<ChangelogEntry[]>(`Failed to fetch changelog of ${issueKey}`, {
+        url: `/issues/${issueKey}/changelog`,
+        params: { field: "status", perPage: CHANGELOG_PAGE_SIZE, ...(after ? { id: after } : {}) },
+      });
+      for (const entry of response.data) {
+        for (const change of entry.fields ?? []) {
+          if (change.field.id === "status" && change.to) {
+            changes.push({ at: Date.parse(entry.updatedAt), from: change.from ?? null, to: change.to });
+          }
+        }
+      }
+      // Следующая страница запрашивается от id последней записи
+      if (response.data.length < CHANGELOG_PAGE_SIZE) {
+        break;
+      }
+      after = response.data[response.data.length - 1].id;
+    }
+
+    if (updatedAt) {
+      this.changelogCache.delete(issueKey);
+      this.changelogCache.set(issueKey, { updatedAt, changes });
+      if (this.changelogCache.size > CHANGELOG_CACHE_SIZE) {
+        this.changelogCache.delete(this.changelogCache.keys().next().value!);
+      }
+    }
+    return { changes, fromCache: false };
+  }
+
+  // Получить переходы, доступные из текущего статуса задачи
+  async getTransitions(issueKey: string): Promise<Transition[]> {
+    const response = await this.request<Transition[]>(`Failed to fetch transitions for ${issueKey}`, {
+      url: `/issues/${issueKey}/transitions`,
+    });
+    return response.data;
+  }
+
+  // Выполнить переход. Статус в Трекере нельзя задать напрямую — только переходом
+  async executeTransition(
+    issueKey: string,
+    transitionId: string,
+    options: { comment?: string; resolution?: string } = {}
+  ): Promise<Transition[]> {
+    const response = await this.request<Transition[]>(
+      `Failed to execute transition '${transitionId}' for ${issueKey}`,
+      {
+        method: "post",
+        url: `/issues/${issueKey}/transitions/${transitionId}/_execute`,
+        data: {
+          ...(options.comment ? { comment: options.comment } : {}),
+          ...(options.resolution ? { resolution: options.resolution } : {}),
+        },
+      }
+    );
+    return response.data;
+  }
+
+  // Добавить комментарий; summonees — логины пользователей, которых нужно призвать
+  async addComment(issueKey: string, text: string, summonees?: string[]): Promise<Comment> {
+    const response = await this.request<Comment>(`Failed to add comment to ${issueKey}`, {
+      method: "post",
+      url: `/issues/${issueKey}/comments`,
+      data: { text, ...(summonees?.length ? { summonees } : {}) },
+    });
+    return response.data;
+  }
+
+  // Страница комментариев. Трекер отдаёт комментарии после указанного id, поэтому курсором
+  // следующей страницы служит id последнего полученного комментария
+  async getComments(issueKey: string, options: { limit: number; after?: string }): Promise<CommentPage> {
+    const response = await this.request<Comment[]>(`Failed to fetch comments of ${issueKey}`, {
+      url: `/issues/${issueKey}/comments`,
+      params: { perPage: options.limit, ...(options.after ? { id: options.after } : {}) },
+    });
+    const comments = response.data;
+    return {
+      comments,
+      nextCursor: comments.length >= options.limit ? String(comments[comments.length - 1].id) : null,
+    };
+  }
+
+  // Связи задачи с другими задачами
+  async getLinks(issueKey: string): Promise<IssueLink[]> {
+    const response = await this.request<IssueLink[]>(`Failed to fetch links of ${issueKey}`, {
+      url: `/issues/${issueKey}/links`,
+    });
+    return response.data;
+  }
+
+  // Вложенные файлы задачи (только метаданные и ссылки на скачивание)
+  async getAttachments(issueKey: string): Promise<Attachment[]> {
+    const response = await this.request<Attachment[]>(`Failed to fetch attachments of ${issueKey}`, {
+      url: `/issues/${issueKey}/attachments`,
+    });
+    return response.data;
+  }
+
+  // Пункты чеклиста задачи
+  async getChecklist(issueKey: string): Promise<ChecklistItem[]> {
+    const response = await this.request<ChecklistItem[]>(`Failed to fetch checklist of ${issueKey}`, {
+      url: `/issues/${issueKey}/checklistItems`,
+    });
+    return response.data;
+  }
+
+  // Запустить массовую операцию: _update, _move или _transition. Операция выполняется асинхронно
+  async startBulkChange(kind: BulkKind, body: Record<string, unknown>): Promise<BulkOperation> {
+    const response = await this.request<BulkOperation>(`Failed to start bulk ${kind}`, {
+      method: "post",
+      url: `/bulkchange/_${kind}`,
+      data: body,
+    });
+    return response.data;
+  }
+
+  async getBulkChange(operationId: string): Promise<BulkOperation> {
+    const response = await this.request<BulkOperation>(`Failed to fetch bulk operation ${operationId}`, {
+      url: `/bulkchange/${operationId}`,
+    });
+    return response.data;
+  }
+
+  // Записать затраченное время; start и duration — в формате API (ISO 8601)
+  async addWorklog(issueKey: string, worklog: { start: string; duration: string; comment?: string }): Promise<Worklog> {
+    const response = await this.request<Worklog>(`Failed to log work on ${issueKey}`, {
+      method: "post",
+      url: `/issues/${issueKey}/worklog`,
+      data: { start: worklog.start, duration: worklog.duration, ...(worklog.comment ? { comment: worklog.comment } : {}) },
+    });
+    return response.data;
+  }
+
+  // Все записи о затраченном времени по задаче
+  async getIssueWorklogs(issueKey: string): Promise<Worklog[]> {
+    const response = await this.request<Worklog[]>(`Failed to fetch worklogs of ${issueKey}`, {
+      url: `/issues/${issueKey}/worklog`,
+    });
+    return response.data;
+  }
+
+  // Поиск записей по автору и дате создания, постранично до предела maxWorklogs
+  async searchWorklogs(
+    criteria: { createdBy?: string; createdFrom: string },
+    maxWorklogs: number
+  ): Promise<{ worklogs: Worklog[]; truncated: boolean }> {
+    const worklogs: Worklog[] = [];
+    for (let page = 1; ; page++) {
+      const response = await this.request<Worklog[]>(
+        "Failed to search worklogs",
+        {
+          method: "post",
+          url: "/worklog/_search",
+          params: { perPage: WORKLOG_PAGE_SIZE, page },
+          data: {
+            ...(criteria.createdBy ? { createdBy: criteria.createdBy } : {}),
+            createdAt: { from: criteria.createdFrom },
+          },
+        },
+        { access: "read", idempotent: true }
+      );
+      worklogs.push(...response.data);
+      if (worklogs.length >= maxWorklogs) {
+        return { worklogs: worklogs.slice(0, maxWorklogs), truncated: true };
+      }
+      if (response.data.length < WORKLOG_PAGE_SIZE) {
+        return { worklogs, truncated: false };
+      }
+    }
+  }
+
+  // Опрашивать операцию, пока она не завершится, но не дольше timeoutMs
+  async waitForBulkChange(operationId: string, timeoutMs: number): Promise<BulkOperation> {
+    const deadline = Date.now() + timeoutMs;
+    while (true) {
+      const operation = await this.getBulkChange(operationId);
+      if (BULK_FINAL_STATUSES.includes(operation.status) || Date.now() + BULK_POLL_INTERVAL_MS > deadline) {
+        return operation;
+      }
+      await sleep(BULK_POLL_INTERVAL_MS);
+    }
+  }
+}
+
+// Сведения о повторах добавляются отдельным блоком, чтобы не менять основной текст результата
+function withRetryReport<T extends { content: object[] }>(result: T, retries: RetryEvent[]): T {
+  const report = formatRetryReport(retries);
+  return report ? { ...result, content: [...result.content, { type: "text", text: report }] } : result;
+}
+
+// Имя профиля, создаваемого configure с учётными данными в аргументах
+const CONFIGURE_PROFILE = "configured";
+
+const PROFILE_INDEPENDENT_TOOLS = ["configure", "list_profiles"];
+
+const PROFILE_PROPERTY = {
+  type: "string",
+  description: "Credential profile to use for this call instead of the active one",
+};
+
+// Фильтр задач: строка запроса или структурированный объект (см. filters.ts)
+const FILTER_PROPERTY = {
+  type: ["string", "object"],
+  properties: ISSUE_FILTER_SCHEMA.properties,
+  additionalProperties: false,
+};
+
+// Поля задачи, общие для create_issue и update_issue
+const ISSUE_FIELD_PROPERTIES = {
+  summary: {
+    type: "string",
+    description: "Issue title",
+  },
+  description: {
+    type: "string",
+    description: "Issue description (Yandex Flavored Markdown)",
+  },
+  type: {
+    type: "string",
+    description: "Issue type key (e.g., 'task', 'bug', 'epic')",
+  },
+  priority: {
+    type: "string",
+    description: "Priority key (e.g., 'blocker', 'critical', 'normal', 'minor', 'trivial')",
+  },
+  assignee: {
+    type: ["string", "null"],
+    description: "Assignee login. In update_issue, null or empty string removes the assignee",
+  },
+  followers: {
+    type: "array",
+    items: { type: "string" },
+    description: "Follower logins. In update_issue, replaces the current list",
+  },
+  tags: {
+    type: "array",
+    items: { type: "string" },
+    description: "Tags. In update_issue, replaces the current list",
+  },
+  deadline: {
+    type: ["string", "null"],
+    description: "Deadline date in YYYY-MM-DD format. In update_issue, null or empty string removes the deadline",
+  },
+};
+
+// Разбор и проверка полей задачи до обращения к API
+function parseIssueFields(args: any): IssueFields {
+  const fields: IssueFields = {};
+
+  for (const name of ["queue", "summary", "description", "type", "priority"] as const) {
+    const value = args[name];
+    if (value === undefined) {
+      continue;
+    }
+    if (typeof value !== "string") {
+      throw new Error(`${name} must be a string`);
+    }
+    if (name !== "description" && !value.trim()) {
+      throw new Error(`${name} must not be empty`);
+    }
+    fields[name] = name === "description" ? value : value.trim();
+  }
+
+  for (const name of ["followers", "tags"] as const) {
+    const value = args[name];
+    if (value === undefined) {
+      continue;
+    }
+    if (!Array.isArray(value) || value.some((item) => typeof item !== "string" || !item.trim())) {
+      throw new Error(`${name} must be an array of non-empty strings`);
+    }
+    fields[name] = value.map((item: string) => item.trim());
+  }
+
+  if (args.assignee !== undefined) {
+    if (args.assignee !== null && typeof args.assignee !== "string") {
+      throw new Error("assignee must be a login string or null");
+    }
+    fields.assignee = args.assignee?.trim() || null;
+  }
+
+  if (args.deadline !== undefined) {
+    const deadline = args.deadline === null ? "" : String(args.deadline).trim();
+    if (deadline && !isValidDate(deadline)) {
+      throw new Error(`deadline must be a date in YYYY-MM-DD format, got '${args.deadline}'`);
+    }
+    fields.deadline = deadline || null;
+  }
+
+  return fields;
+}
+
+// name — имя аргумента в сообщении об ошибке, если он называется не limit
+function parseLimit(
+  value: unknown,
+  defaultLimit: number = 50,
+  maxLimit: number = MAX_SEARCH_RESULTS,
+  name: string = "limit"
+): number {
+  if (value === undefined || value === null) {
+    return defaultLimit;
+  }
+  if (typeof value !== "number" || !Number.isInteger(value) || value < 1 || value > maxLimit) {
+    throw new Error(`${name} must be an integer from 1 to ${maxLimit}`);
+  }
+  return value;
+}
+
+function parseStatusList(name: string, value: unknown, fallback: string[]): string[] {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (!Array.isArray(value) || value.length === 0 || value.some((status) => typeof status !== "string" || !status.trim())) {
+    throw new Error(`${name} must be a non-empty array of status keys`);
+  }
+  return value.map((status: string) => status.trim());
+}
+
+// Изменения полей для bulk_update: тип, приоритет, исполнитель и дедлайн проверяются так же,
+// как в update_issue, а теги и наблюдатели только добавляются или удаляются
+function parseBulkChanges(args: any): BulkChanges {
+  const { type, priority, assignee, deadline } = parseIssueFields({
+    type: args.type,
+    priority: args.priority,
+    assignee: args.assignee,
+    deadline: args.deadline,
+  });
+  const changes: BulkChanges = { type, priority, assignee, deadline };
+
+  for (const name of ["addTags", "removeTags", "addFollowers", "removeFollowers"] as const) {
+    const value = args[name];
+    if (value === undefined) {
+      continue;
+    }
+    if (!Array.isArray(value) || value.some((item) => typeof item !== "string" || !item.trim())) {
+      throw new Error(`${name} must be an array of non-empty strings`);
+    }
+    changes[name] = value.map((item: string) => item.trim());
+  }
+
+  return changes;
+}
+
+// Выполняет fn для элементов не более чем по concurrency одновременно, сохраняя порядок результатов
+async function mapConcurrent<T, R>(items: T[], concurrency: number, fn: (item: T) => Promise<R>): Promise<R[]> {
+  const results: R[] = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+// «Showing N of M» — чтобы было видно, что список обрезан
+function describeSearchCount(result: IssueSearchResult, what: string): string {
+  const shown = result.issues.length;
+  if (!result.truncated) {
+    return `Found ${shown} ${what}`;
+  }
+  return result.total !== null
+    ? `Showing ${shown} of ${result.total} ${what} (increase limit to see more)`
+    : `Showing the first ${shown} ${what}, more are available (increase limit to see more)`;
+}
+
+function describeTransition(transition: Transition): string {
+  return `${transition.id} ("${transition.display}" → ${transition.to.display})`;
+}
+
+// Ищем переход по id, затем по названию, затем по целевому статусу — модель часто
+// называет переход тем статусом, в который хочет перевести задачу
+function findTransition(transitions: Transition[], query: string): Transition | null {
+  const normalized = query.trim().toLowerCase();
+  const byId = transitions.find((transition) => transition.id.toLowerCase() === normalized);
+  if (byId) {
+    return byId;
+  }
+
+  const byName = transitions.filter((transition) => transition.display.toLowerCase() === normalized);
+  if (byName.length === 1) {
+    return byName[0];
+  }
+
+  const byStatus = transitions.filter(
+    (transition) =>
+      transition.to.key.toLowerCase() === normalized ||
+      transition.to.display.toLowerCase() === normalized
+  );
+  return byStatus.length === 1 ? byStatus[0] : null;
+}
+
+function isValidDate(value: string): boolean {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
   }
+  // Отсекаем несуществующие даты вроде 2024-02-30
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
 }
 
 // MCP Сервер
 class YandexTrackerMCPServer {
   private server: Server;
-  private trackerClient: YandexTrackerClient | null = null;
+  private profiles = new Map<string, TrackerProfile>();
+  private activeProfile: string | null = null;
+  private configPath = "";
+  // Ошибки загрузки профилей при запуске; показываются в list_profiles и ошибках выбора профиля
+  private profileErrors: string[] = [];
+  private retryPolicy: RetryPolicy = loadRetryPolicy();
+  private flowOptions: FlowOptions = loadFlowOptions();
+  private exportDir = loadExportDir();
+  // Клиенты создаются при первом обращении к профилю
+  private clients = new Map<string, YandexTrackerClient>();
+  // Планы bulk_update по токену подтверждения и незавершённые операции по их id
+  private bulkPlans = new Map<string, BulkPlan>();
+  private bulkOperations = new Map<string, { plan: BulkPlan; operationIds: string[]; startFailures: BulkFailure[] }>();
+  // Наблюдения за фильтрами, их таймеры и очередь записи файла состояния
+  private watchStatePath = loadWatchStatePath();
+  private watches = new Map<string, Watch>();
+  private watchTimers = new Map<string, NodeJS.Timeout>();
+  private watchSave: Promise<void> = Promise.resolve();
+  // Минимальный уровень уведомлений, заданный клиентом через logging/setLevel
+  private logLevel: LoggingLevel = "info";
 
   constructor() {
     this.server = new Server(
@@ -174,6 +887,7 @@ class YandexTrackerMCPServer {
       {
         capabilities: {
           tools: {},
+          logging: {},
         },
       }
     );
@@ -189,58 +903,116 @@ class YandexTrackerMCPServer {
       };
     });
 
+    this.server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      this.logLevel = request.params.level;
+      return {};
+    });
+
     // Обработка вызова инструментов
     this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
+      // Повторы запросов к API за время вызова попадают в результат инструмента
+      const retries: RetryEvent[] = [];
 
       try {
-        switch (name) {
-          case "configure":
-            return await this.handleConfigure(args);
-          case "get_issues":
-            return await this.handleGetIssues(args);
-          case "get_issue_stats":
-            return await this.handleGetIssueStats(args);
-          case "get_issue":
-            return await this.handleGetIssue(args);
-          case "get_my_issues":
-            return await this.handleGetMyIssues(args);
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
+        const result = await retryLog.run(retries, () => this.callTool(name, args ?? {}));
+        return withRetryReport(result, retries);
       } catch (error: any) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error: ${error.message}`,
-            },
-          ],
-          isError: true,
-        };
+        return withRetryReport(
+          {
+            content: [
+              {
+                type: "text",
+                text: `Error: ${error.message}`,
+              },
+            ],
+            isError: true,
+          },
+          retries
+        );
       }
     });
   }
 
+  private async callTool(name: string, args: any) {
+    switch (name) {
+      case "configure":
+        return await this.handleConfigure(args);
+      case "list_profiles":
+        return await this.handleListProfiles();
+      case "get_issues":
+        return await this.handleGetIssues(args);
+      case "get_issue_stats":
+        return await this.handleGetIssueStats(args);
+      case "get_issue":
+        return await this.handleGetIssue(args);
+      case "get_my_issues":
+        return await this.handleGetMyIssues(args);
+      case "create_issue":
+        return await this.handleCreateIssue(args);
+      case "update_issue":
+        return await this.handleUpdateIssue(args);
+      case "add_comment":
+        return await this.handleAddComment(args);
+      case "list_transitions":
+        return await this.handleListTransitions(args);
+      case "execute_transition":
+        return await this.handleExecuteTransition(args);
+      case "get_flow_metrics":
+        return await this.handleGetFlowMetrics(args);
+      case "get_dependency_graph":
+        return await this.handleGetDependencyGraph(args);
+      case "bulk_update":
+        return await this.handleBulkUpdate(args);
+      case "log_work":
+        return await this.handleLogWork(args);
+      case "get_time_report":
+        return await this.handleGetTimeReport(args);
+      case "export_issues":
+        return await this.handleExportIssues(args);
+      case "watch_filter":
+        return await this.handleWatchFilter(args);
+      case "unwatch_filter":
+        return await this.handleUnwatchFilter(args);
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
   private getTools(): Tool[] {
-    return [
+    const tools: Tool[] = [
       {
         name: "configure",
         description:
-          "Configure Yandex Tracker credentials (orgId and OAuth token)",
+          "Select the active Yandex Tracker credential profile. Passing orgId/cloudOrgId and an OAuth token directly is still supported but exposes the token in the chat",
         inputSchema: {
           type: "object",
           properties: {
+            profile: {
+              type: "string",
+              description: "Profile name from the environment or profiles file (see list_profiles)",
+            },
             orgId: {
               type: "string",
-              description: "Your Yandex Tracker organization ID",
+              description: "Yandex 360 organization ID (sent as X-Org-ID)",
+            },
+            cloudOrgId: {
+              type: "string",
+              description: "Yandex Cloud organization ID (sent as X-Cloud-Org-ID)",
             },
             token: {
               type: "string",
-              description: "Your OAuth token for Yandex Tracker API",
+              description: "OAuth token for Yandex Tracker API",
             },
           },
-          required: ["orgId", "token"],
+        },
+      },
+      {
+        name: "list_profiles",
+        description: "List available credential profiles and the active one. Tokens are never shown",
+        inputSchema: {
+          type: "object",
+          properties: {},
         },
       },
       {
@@ -250,33 +1022,40 @@ class YandexTrackerMCPServer {
           type: "object",
           properties: {
             filter: {
-              type: "string",
+              ...FILTER_PROPERTY,
               description:
-                "Filter query (e.g., 'status: open', 'assignee: me()')",
+                "Filter: a Tracker query string (e.g., 'Status: open AND Assignee: me()') or a structured object that is validated and compiled to a query. Prefer the object form",
             },
             limit: {
               type: "number",
-              description: "Maximum number of issues to return (default: 50)",
+              description: `Maximum number of issues to return (default: 50, max: ${MAX_SEARCH_RESULTS}). The result says how many issues matched in total`,
             },
           },
         },
       },
       {
         name: "get_issue_stats",
-        description: "Get statistics about issues (count by status)",
+        description:
+          "Get statistics about issues: counts by status category (from the status types of the Tracker workflow) and by status, optionally grouped by one or two dimensions as a pivot table",
         inputSchema: {
           type: "object",
           properties: {
             filter: {
-              type: "string",
-              description: "Optional filter query",
+              ...FILTER_PROPERTY,
+              description: "Optional filter: a Tracker query string or a structured filter object",
+            },
+            groupBy: {
+              type: "array",
+              items: { type: "string", enum: STATS_DIMENSIONS },
+              description: "One or two dimensions to group by; two give a pivot table (e.g., ['assignee', 'priority'])",
             },
           },
         },
       },
       {
         name: "get_issue",
-        description: "Get detailed information about a specific issue",
+        description:
+          "Get detailed information about a specific issue. Optional sections (description, comments, links, attachments, checklist, custom fields) are fetched on request via include",
         inputSchema: {
           type: "object",
           properties: {
@@ -284,6 +1063,19 @@ class YandexTrackerMCPServer {
               type: "string",
               description: "Issue key (e.g., 'PROJECT-123')",
             },
+            include: {
+              type: "array",
+              items: { type: "string", enum: [...ISSUE_SECTIONS, "all"] },
+              description: "Sections to include in addition to the main fields (default: ['description'])",
+            },
+            commentsLimit: {
+              type: "number",
+              description: `Comments per page when 'comments' is included (default: ${DEFAULT_COMMENTS_LIMIT}, max: ${MAX_COMMENTS_LIMIT})`,
+            },
+            commentsAfter: {
+              type: "string",
+              description: "Comment cursor from a previous response to fetch the next page of comments",
+            },
           },
           required: ["issueKey"],
         },
@@ -293,146 +1085,1521 @@ class YandexTrackerMCPServer {
         description: "Get issues assigned to me",
         inputSchema: {
           type: "object",
-          properties: {},
+          properties: {
+            limit: {
+              type: "number",
+              description: `Maximum number of issues to return (default: 50, max: ${MAX_SEARCH_RESULTS})`,
+            },
+          },
         },
       },
-    ];
-  }
-
-  // Обработчики инструментов
-
-  private async handleConfigure(args: any) {
-    const { orgId, token } = args;
-
-    if (!orgId || !token) {
-      throw new Error("orgId and token are required");
-    }
-
-    this.trackerClient = new YandexTrackerClient({ orgId, token });
-
-    return {
-      content: [
-        {
-          type: "text",
-          text: "✅ Yandex Tracker configured successfully!",
+      {
+        name: "create_issue",
+        description: "Create a new issue. Returns the issue key and URL",
+        inputSchema: {
+          type: "object",
+          properties: {
+            queue: {
+              type: "string",
+              description: "Queue key (e.g., 'PROJECT')",
+            },
+            ...ISSUE_FIELD_PROPERTIES,
+          },
+          required: ["queue", "summary"],
         },
-      ],
-    };
-  }
-
-  private ensureConfigured() {
-    if (!this.trackerClient) {
-      throw new Error(
-        "Yandex Tracker is not configured. Please call 'configure' first."
-      );
-    }
-  }
-
+      },
+      {
+        name: "update_issue",
+        description:
+          "Update fields of an existing issue. Only the passed fields are changed. Status can't be set here: use workflow transitions",
+        inputSchema: {
+          type: "object",
+          properties: {
+            issueKey: {
+              type: "string",
+              description: "Issue key (e.g., 'PROJECT-123')",
+            },
+            ...ISSUE_FIELD_PROPERTIES,
+          },
+          required: ["issueKey"],
+        },
+      },
+      {
+        name: "add_comment",
+        description: "Add a comment to an issue",
+        inputSchema: {
+          type: "object",
+          properties: {
+            issueKey: {
+              type: "string",
+              description: "Issue key (e.g., 'PROJECT-123')",
+            },
+            text: {
+              type: "string",
+              description: "Comment text (Yandex Flavored Markdown)",
+            },
+            summonees: {
+              type: "array",
+              items: { type: "string" },
+              description: "Logins of users to summon in the comment",
+            },
+          },
+          required: ["issueKey", "text"],
+        },
+      },
+      {
+        name: "list_transitions",
+        description:
+          "List workflow transitions available for an issue from its current status, with target statuses",
+        inputSchema: {
+          type: "object",
+          properties: {
+            issueKey: {
+              type: "string",
+              description: "Issue key (e.g., 'PROJECT-123')",
+            },
+          },
+          required: ["issueKey"],
+        },
+      },
+      {
+        name: "execute_transition",
+        description:
+          "Move an issue through the workflow by executing a transition. This is the only way to change issue status",
+        inputSchema: {
+          type: "object",
+          properties: {
+            issueKey: {
+              type: "string",
+              description: "Issue key (e.g., 'PROJECT-123')",
+            },
+            transition: {
+              type: "string",
+              description:
+                "Transition id or name from list_transitions (e.g., 'close', 'Start progress'). A target status name is accepted too if only one transition leads to it",
+            },
+            comment: {
+              type: "string",
+              description: "Optional comment added with the transition",
+            },
+            resolution: {
+              type: "string",
+              description: "Resolution key for closing transitions (e.g., 'fixed', 'wontFix', 'duplicate')",
+            },
+          },
+          required: ["issueKey", "transition"],
+        },
+      },
+      {
+        name: "get_flow_metrics",
+        description:
+          "Compute flow metrics from issue status history: lead time (created → done), cycle time (first active status → done), time in each status (median, p85) and weekly throughput. Changelogs are cached between calls",
+        inputSchema: {
+          type: "object",
+          properties: {
+            filter: {
+              ...FILTER_PROPERTY,
+              description:
+                "Issues to analyze: a Tracker query string or a structured filter object (e.g., { queue: 'PROJ', updated: { from: '2025-01-01' } })",
+            },
+            limit: {
+              type: "number",
+              description: `Maximum number of issues to analyze (default: 200, max: ${MAX_FLOW_ISSUES})`,
+            },
+            activeStatuses: {
+              type: "array",
+              items: { type: "string" },
+              description: `Status keys where work is in progress; cycle time starts at the first of them (default: ${this.flowOptions.activeStatuses.join(", ")})`,
+            },
+            doneStatuses: {
+              type: "array",
+              items: { type: "string" },
+              description: `Status keys that mean the issue is done (default: ${this.flowOptions.doneStatuses.join(", ")})`,
+            },
+          },
+          required: ["filter"],
+        },
+      },
+      {
+        name: "get_dependency_graph",
+        description:
+          "Build the graph of issue links starting from an issue or a filter, following links to the given depth. Reports dependency cycles and unresolved blockers and renders the graph as Mermaid or DOT",
+        inputSchema: {
+          type: "object",
+          properties: {
+            issueKey: {
+              type: "string",
+              description: "Start issue key (e.g., 'PROJECT-123'); use either issueKey or filter",
+            },
+            filter: {
+              ...FILTER_PROPERTY,
+              description: "Start issues: a Tracker query string or a structured filter object",
+            },
+            limit: {
+              type: "number",
+              description: `Maximum number of start issues found by filter (default: 20, max: ${MAX_GRAPH_ROOTS})`,
+            },
+            depth: {
+              type: "number",
+              description: `How many links away from the start issues to follow (default: ${DEFAULT_GRAPH_DEPTH}, max: ${MAX_GRAPH_DEPTH})`,
+            },
+            linkTypes: {
+              type: "array",
+              items: { type: "string" },
+              description: "Link type ids to follow (e.g., ['depends', 'subtask']); all types by default",
+            },
+            format: {
+              type: "string",
+              enum: GRAPH_FORMATS,
+              description: "Diagram format (default: mermaid)",
+            },
+            doneStatuses: {
+              type: "array",
+              items: { type: "string" },
+              description: `Status keys that mean a blocker is resolved (default: ${this.flowOptions.doneStatuses.join(", ")})`,
+            },
+          },
+        },
+      },
+      {
+        name: "bulk_update",
+        description:
+          "Change many issues at once via the bulkchange API: update fields, move to another queue or execute a transition. The first call is always a dry run that lists exactly which issues would change and how; only that previewed plan can then be applied with dry_run: false and its confirm token. Waits for the operation and reports per-issue failures",
+        inputSchema: {
+          type: "object",
+          properties: {
+            issueKeys: {
+              type: "array",
+              items: { type: "string" },
+              description: `Issue keys to change (max ${MAX_BULK_ISSUES}); use either issueKeys or filter`,
+            },
+            filter: {
+              ...FILTER_PROPERTY,
+              description: "Issues to change: a Tracker query string or a structured filter object",
+            },
+            limit: {
+              type: "number",
+              description: `Maximum number of issues the filter may match (default: 100, max: ${MAX_BULK_ISSUES}). A larger match is rejected rather than cut`,
+            },
+            type: ISSUE_FIELD_PROPERTIES.type,
+            priority: ISSUE_FIELD_PROPERTIES.priority,
+            assignee: {
+              type: ["string", "null"],
+              description: "New assignee login; null removes the assignee",
+            },
+            deadline: {
+              type: ["string", "null"],
+              description: "New deadline in YYYY-MM-DD format; null removes the deadline",
+            },
+            addTags: {
+              type: "array",
+              items: { type: "string" },
+              description: "Tags to add",
+            },
+            removeTags: {
+              type: "array",
+              items: { type: "string" },
+              description: "Tags to remove",
+            },
+            addFollowers: {
+              type: "array",
+              items: { type: "string" },
+              description: "Follower logins to add",
+            },
+            removeFollowers: {
+              type: "array",
+              items: { type: "string" },
+              description: "Follower logins to remove",
+            },
+            queue: {
+              type: "string",
+              description: "Move the issues to this queue (issue keys change)",
+            },
+            transition: {
+              type: "string",
+              description: "Transition id, name or target status (e.g., 'close' or 'Closed'); issues without such a transition are skipped",
+            },
+            resolution: {
+              type: "string",
+              description: "Resolution key for closing transitions (e.g., 'fixed', 'wontFix')",
+            },
+            dry_run: {
+              type: "boolean",
+              description: "Preview the changes without applying them (default: true)",
+            },
+            confirm: {
+              type: "string",
+              description: "Confirm token from a dry run; required with dry_run: false",
+            },
+            operationId: {
+              type: "string",
+              description: "Check a bulk operation that was still running when bulk_update returned",
+            },
+          },
+        },
+      },
+      {
+        name: "log_work",
+        description: "Log time spent on an issue",
+        inputSchema: {
+          type: "object",
+          properties: {
+            issueKey: {
+              type: "string",
+              description: "Issue key (e.g., 'PROJECT-123')",
+            },
+            duration: {
+              type: "string",
+              description: "Time spent: ISO 8601 (e.g., 'PT1H30M') or a short form (e.g., '1h30m', '1d 4h', '45m'). A day is 8 hours, a week is 5 days",
+            },
+            comment: {
+              type: "string",
+              description: "Optional worklog comment",
+            },
+            start: {
+              type: "string",
+              description: "When the work started: YYYY-MM-DD or an ISO 8601 date-time (default: now)",
+            },
+          },
+          required: ["issueKey", "duration"],
+        },
+      },
+      {
+        name: "get_time_report",
+        description:
+          "Aggregate logged time over a date range by user, issue and ISO week, with totals. Optionally compares time spent with issue estimates",
+        inputSchema: {
+          type: "object",
+          properties: {
+            from: {
+              type: "string",
+              description: "First day of the period (YYYY-MM-DD); worklogs are selected by their start date",
+            },
+            to: {
+              type: "string",
+              description: "Last day of the period (YYYY-MM-DD, default: today)",
+            },
+            filter: {
+              ...FILTER_PROPERTY,
+              description: "Only worklogs of issues matching this filter: a Tracker query string or a structured filter object",
+            },
+            limit: {
+              type: "number",
+              description: `Maximum number of issues matched by filter (default: 200, max: ${MAX_REPORT_ISSUES})`,
+            },
+            users: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only worklogs of these users (logins); cannot be combined with filter",
+            },
+            compareEstimates: {
+              type: "boolean",
+              description: "Compare time spent with the estimate of each issue that has one: the original estimate, or the current one if no original was set (default: false)",
+            },
+          },
+          required: ["from"],
+        },
+      },
+      {
+        name: "export_issues",
+        description: `Export all issues matching a filter to a CSV, Markdown table or JSON lines file in the export directory (${this.exportDir}). Returns the file path, row count and a preview`,
+        inputSchema: {
+          type: "object",
+          properties: {
+            filter: {
+              ...FILTER_PROPERTY,
+              description: "Issues to export: a Tracker query string or a structured filter object",
+            },
+            format: {
+              type: "string",
+              enum: EXPORT_FORMATS,
+              description: "File format (default: csv)",
+            },
+            columns: {
+              type: "array",
+              items: { type: "string" },
+              description: `Columns in order (default: ${DEFAULT_EXPORT_COLUMNS.join(", ")}). Built-in: ${BUILTIN_EXPORT_COLUMNS.join(", ")}; any other name is read as an issue field, including custom fields`,
+            },
+            fileName: {
+              type: "string",
+              description: "File name relative to the export directory; the extension is added from format if missing (default: issues-<timestamp>)",
+            },
+            limit: {
+              type: "number",
+              description: `Maximum number of issues to export (default and max: ${MAX_SEARCH_RESULTS})`,
+            },
+            overwrite: {
+              type: "boolean",
+              description: "Replace an existing file with the same name (default: false)",
+            },
+          },
+          required: ["filter"],
+        },
+      },
+      {
+        name: "watch_filter",
+        description: `Watch a filter for changes: the server polls it on an interval and sends a notification (notifications/message, logger '${WATCH_LOGGER}') for each new issue, status change, reassignment, new comment and issue leaving the filter. Watches and their snapshots persist across restarts`,
+        inputSchema: {
+          type: "object",
+          properties: {
+            filter: {
+              ...FILTER_PROPERTY,
+              description: "Issues to watch: a Tracker query string or a structured filter object",
+            },
+            name: {
+              type: "string",
+              description: "Name shown in notifications (default: the query)",
+            },
+            intervalSeconds: {
+              type: "number",
+              description: `Polling interval in seconds (default: ${DEFAULT_WATCH_INTERVAL_SECONDS}, min: ${MIN_WATCH_INTERVAL_SECONDS}, max: ${MAX_WATCH_INTERVAL_SECONDS})`,
+            },
+          },
+          required: ["filter"],
+        },
+      },
+      {
+        name: "unwatch_filter",
+        description: "Stop a watch created by watch_filter and delete its snapshot",
+        inputSchema: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Watch ID returned by watch_filter",
+            },
+          },
+          required: ["id"],
+        },
+      },
+    ];
+
+    // Любой инструмент работы с Трекером можно вызвать от имени другого профиля
+    return tools.map((tool) =>
+      PROFILE_INDEPENDENT_TOOLS.includes(tool.name)
+        ? tool
+        : {
+            ...tool,
+            inputSchema: {
+              ...tool.inputSchema,
+              properties: { ...tool.inputSchema.properties, profile: PROFILE_PROPERTY },
+            },
+          }
+    );
+  }
+
+  // Обработчики инструментов
+
+  private async handleConfigure(args: any) {
+    const { profile, orgId, cloudOrgId, token } = args;
+
+    // Учётные данные в аргументах оставлены для совместимости; они попадают в историю чата,
+    // поэтому предпочтительны профили из окружения или файла
+    if (token || orgId || cloudOrgId) {
+      const created = createProfile(profile || CONFIGURE_PROFILE, "configure", { token, orgId, cloudOrgId });
+      this.profiles.set(created.name, created);
+      this.clients.delete(created.name);
+      this.activeProfile = created.name;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Yandex Tracker configured successfully!\n\nActive profile: ${created.name} (${describeOrganization(created)})\nTip: keep the token in YANDEX_TRACKER_TOKEN or a profiles file and call configure with a profile name instead`,
+          },
+        ],
+      };
+    }
+
+    if (!profile) {
+      throw new Error("Pass a profile name, or orgId/cloudOrgId and token");
+    }
+
+    const selected = this.getProfile(profile);
+    this.activeProfile = selected.name;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Yandex Tracker configured successfully!\n\nActive profile: ${selected.name} (${describeOrganization(selected)})`,
+        },
+      ],
+    };
+  }
+
+  private async handleListProfiles() {
+    const profiles = [...this.profiles.values()];
+
+    const profileList = profiles
+      .map(
+        (profile) =>
+          `• ${profile.name}${profile.name === this.activeProfile ? " (active)" : ""}: ${describeOrganization(profile)}, from ${profile.source}`
+      )
+      .join("\n");
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: (profiles.length > 0
+            ? `🔑 Tracker profiles:\n\n${profileList}`
+            : `🔑 No Tracker profiles. Set YANDEX_TRACKER_TOKEN and YANDEX_TRACKER_ORG_ID (or YANDEX_TRACKER_CLOUD_ORG_ID), or create ${this.configPath}`) +
+            this.describeProfileErrors(),
+        },
+      ],
+    };
+  }
+
+  private getProfile(name: string): TrackerProfile {
+    const profile = this.profiles.get(name);
+    if (!profile) {
+      const available = [...this.profiles.keys()];
+      throw new Error(
+        `Unknown profile '${name}'. ${available.length > 0 ? `Available profiles: ${available.join(", ")}` : "No profiles are configured"}${this.describeProfileErrors()}`
+      );
+    }
+    return profile;
+  }
+
+  private describeProfileErrors(): string {
+    return this.profileErrors.length > 0
+      ? `\n\n⚠️ Skipped at startup:\n${this.profileErrors.map((error) => `• ${error}`).join("\n")}`
+      : "";
+  }
+
+  // Клиент профиля из аргумента profile или активного профиля
+  private getClient(args: any): YandexTrackerClient {
+    const name = args?.profile || this.activeProfile;
+    if (!name) {
+      throw new Error(
+        "Yandex Tracker is not configured. Set YANDEX_TRACKER_TOKEN and YANDEX_TRACKER_ORG_ID (or YANDEX_TRACKER_CLOUD_ORG_ID), add a profiles file, or call 'configure' first." +
+          this.describeProfileErrors()
+      );
+    }
+
+    let client = this.clients.get(name);
+    if (!client) {
+      client = new YandexTrackerClient(this.getProfile(name), this.retryPolicy);
+      this.clients.set(name, client);
+    }
+    return client;
+  }
+
   private async handleGetIssues(args: any) {
-    this.ensureConfigured();
+    const client = this.getClient(args);
+
+    const filter = resolveFilter(args.filter);
+    const limit = parseLimit(args.limit);
+    const result = await client.searchIssues(filter, limit);
+    // Для структурированного фильтра показываем итоговый запрос — его можно проверить и переиспользовать
+    const queryLine = typeof args.filter === "object" && filter ? `Query: ${filter}\n` : "";
+
+    const issueList = result.issues
+      .map(
+        (issue) =>
+          `• ${issue.key}: ${issue.summary}\n  Status: ${issue.status.display}\n  Assignee: ${issue.assignee?.display || "Unassigned"}`
+      )
+      .join("\n\n");
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${queryLine}${describeSearchCount(result, "issues")}:\n\n${issueList}`,
+        },
+      ],
+    };
+  }
+
+  private async handleGetIssueStats(args: any) {
+    const client = this.getClient(args);
+
+    const filter = resolveFilter(args.filter);
+    const groupBy = parseGroupBy(args.groupBy);
+    const stats = await client.getIssueStats(filter, groupBy);
+
+    // Статистика по части выборки должна быть заметна, иначе её примут за полную
+    const coverage = stats.matched !== null && stats.total < stats.matched
+      ? `\n⚠️ Only the first ${stats.total} of ${stats.matched} matching issues were counted (limit: ${MAX_SEARCH_RESULTS})\n`
+      : "";
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: renderIssueStats(stats, coverage),
+        },
+      ],
+      structuredContent: toStructuredStats(stats),
+    };
+  }
+
+  private async handleGetIssue(args: any) {
+    const client = this.getClient(args);
+
+    const { issueKey } = args;
+
+    if (!issueKey) {
+      throw new Error("issueKey is required");
+    }
+
+    const sections = parseSections(args.include);
+    const commentsLimit = parseLimit(args.commentsLimit, DEFAULT_COMMENTS_LIMIT, MAX_COMMENTS_LIMIT, "commentsLimit");
+    const commentsAfter = args.commentsAfter !== undefined ? String(args.commentsAfter) : undefined;
+
+    // Разделы запрашиваются параллельно и только те, что перечислены в include
+    const parts: IssueDetailParts = {};
+    const [issue] = await Promise.all([
+      client.getIssue(issueKey),
+      sections.has("comments") &&
+        client.getComments(issueKey, { limit: commentsLimit, after: commentsAfter }).then((page) => {
+          parts.comments = page;
+        }),
+      sections.has("links") && client.getLinks(issueKey).then((links) => (parts.links = links)),
+      sections.has("attachments") &&
+        client.getAttachments(issueKey).then((attachments) => (parts.attachments = attachments)),
+      sections.has("checklist") && client.getChecklist(issueKey).then((items) => (parts.checklist = items)),
+    ]);
+
+    const details = buildIssueDetails(issue, issueUrl(issue.key), sections, parts);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: renderIssueDetails(details),
+        },
+      ],
+      structuredContent: details,
+    };
+  }
+
+  private async handleGetMyIssues(args: any) {
+    const client = this.getClient(args);
+
+    const result = await client.getMyIssues(parseLimit(args.limit));
+
+    const issueList = result.issues
+      .map(
+        (issue) =>
+          `• ${issue.key}: ${issue.summary}\n  Status: ${issue.status.display}`
+      )
+      .join("\n\n");
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${describeSearchCount(result, "issues assigned to you")}:\n\n${issueList}`,
+        },
+      ],
+    };
+  }
+
+  private async handleCreateIssue(args: any) {
+    const client = this.getClient(args);
+
+    const fields = parseIssueFields(args);
+    if (!fields.queue || !fields.summary) {
+      throw new Error("queue and summary are required");
+    }
+
+    const issue = await client.createIssue(fields);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Issue created: ${issue.key}\n\nSummary: ${issue.summary}\nURL: ${issueUrl(issue.key)}`,
+        },
+      ],
+    };
+  }
+
+  private async handleUpdateIssue(args: any) {
+    const client = this.getClient(args);
+
+    const { issueKey } = args;
+
+    if (!issueKey) {
+      throw new Error("issueKey is required");
+    }
+
+    // Перенос в другую очередь меняет ключ задачи, поэтому он делается только явно через bulk_update
+    if (args.queue !== undefined) {
+      throw new Error("update_issue does not move issues between queues. Use bulk_update with queue to move the issue");
+    }
+
+    const fields = parseIssueFields(args);
+    const changed = Object.keys(fields);
+    if (changed.length === 0) {
+      throw new Error(
+        "Nothing to update: pass at least one of summary, description, type, priority, assignee, followers, tags, deadline"
+      );
+    }
+
+    await client.updateIssue(issueKey, fields);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ Issue ${issueKey} updated\n\nUpdated fields: ${changed.join(", ")}\nURL: ${issueUrl(issueKey)}`,
+        },
+      ],
+    };
+  }
+
+  private async handleAddComment(args: any) {
+    const client = this.getClient(args);
+
+    const { issueKey, text, summonees } = args;
+
+    if (!issueKey || typeof text !== "string" || !text.trim()) {
+      throw new Error("issueKey and non-empty text are required");
+    }
+    if (summonees !== undefined && (!Array.isArray(summonees) || summonees.some((login) => typeof login !== "string"))) {
+      throw new Error("summonees must be an array of logins");
+    }
+
+    const comment = await client.addComment(issueKey, text, summonees);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `💬 Comment ${comment.id} added to ${issueKey}\nURL: ${issueUrl(issueKey)}`,
+        },
+      ],
+    };
+  }
 
-    const { filter, limit = 50 } = args;
-    const issues = await this.trackerClient!.getIssues(filter, limit);
+  private async handleListTransitions(args: any) {
+    const client = this.getClient(args);
 
-    const issueList = issues
-      .map(
-        (issue) =>
-          `• ${issue.key}: ${issue.summary}\n  Status: ${issue.status.display}\n  Assignee: ${issue.assignee?.display || "Unassigned"}`
-      )
-      .join("\n\n");
+    const { issueKey } = args;
+
+    if (!issueKey) {
+      throw new Error("issueKey is required");
+    }
+
+    const [issue, transitions] = await Promise.all([
+      client.getIssue(issueKey),
+      client.getTransitions(issueKey),
+    ]);
+
+    const transitionList = transitions
+      .map((transition) => `• ${describeTransition(transition)}`)
+      .join("\n");
+
+    const text = transitions.length > 0
+      ? `🔀 Transitions for ${issueKey} (current status: ${issue.status.display}):\n\n${transitionList}`
+      : `🔀 No transitions available for ${issueKey} from status ${issue.status.display}`;
 
     return {
       content: [
         {
           type: "text",
-          text: `Found ${issues.length} issues:\n\n${issueList}`,
+          text,
         },
       ],
     };
   }
 
-  private async handleGetIssueStats(args: any) {
-    this.ensureConfigured();
+  private async handleExecuteTransition(args: any) {
+    const client = this.getClient(args);
 
-    const { filter } = args;
-    const stats = await this.trackerClient!.getIssueStats(filter);
+    const { issueKey, transition: query, comment, resolution } = args;
 
-    const statusBreakdown = Object.entries(stats.byStatus)
-      .map(([status, count]) => `  • ${status}: ${count}`)
-      .join("\n");
+    if (!issueKey || typeof query !== "string" || !query.trim()) {
+      throw new Error("issueKey and transition are required");
+    }
+
+    const [issue, transitions] = await Promise.all([
+      client.getIssue(issueKey),
+      client.getTransitions(issueKey),
+    ]);
 
-    const text = `📊 Issue Statistics:
+    const transition = findTransition(transitions, query);
+    if (!transition) {
+      const allowed = transitions.length > 0
+        ? `Allowed transitions: ${transitions.map(describeTransition).join(", ")}`
+        : "No transitions are available from this status";
+      throw new Error(
+        `Transition '${query}' is not available for ${issueKey} (current status: ${issue.status.display}). ${allowed}`
+      );
+    }
 
-Total: ${stats.total}
-Open: ${stats.open}
-In Progress: ${stats.inProgress}
-Closed: ${stats.closed}
+    await client.executeTransition(issueKey, transition.id, { comment, resolution });
 
-By Status:
-${statusBreakdown}`;
+    const details = [
+      `Transition: ${transition.display}`,
+      ...(resolution ? [`Resolution: ${resolution}`] : []),
+      ...(comment ? ["Comment added"] : []),
+      `URL: ${issueUrl(issueKey)}`,
+    ];
 
     return {
       content: [
         {
           type: "text",
-          text,
+          text: `✅ ${issueKey}: ${issue.status.display} → ${transition.to.display}\n\n${details.join("\n")}`,
         },
       ],
     };
   }
 
-  private async handleGetIssue(args: any) {
-    this.ensureConfigured();
+  private async handleGetFlowMetrics(args: any) {
+    const client = this.getClient(args);
 
-    const { issueKey } = args;
+    const filter = resolveFilter(args.filter);
+    if (!filter) {
+      throw new Error("filter is required");
+    }
+    const limit = parseLimit(args.limit, 200, MAX_FLOW_ISSUES);
+    const options: FlowOptions = {
+      activeStatuses: parseStatusList("activeStatuses", args.activeStatuses, this.flowOptions.activeStatuses),
+      doneStatuses: parseStatusList("doneStatuses", args.doneStatuses, this.flowOptions.doneStatuses),
+    };
 
-    if (!issueKey) {
-      throw new Error("issueKey is required");
+    const result = await client.searchIssues(filter, limit);
+    const histories = await mapConcurrent(result.issues, CHANGELOG_CONCURRENCY, (issue) =>
+      client.getStatusChanges(issue.key, issue.updatedAt)
+    );
+    const flows = result.issues.map((issue, index) => computeIssueFlow(issue, histories[index].changes, options));
+    const cached = histories.filter((history) => history.fromCache).length;
+
+    const header = [
+      `Query: ${filter}`,
+      describeSearchCount(result, "issues"),
+      `Active statuses: ${options.activeStatuses.join(", ")}; done statuses: ${options.doneStatuses.join(", ")}`,
+      `Changelogs: ${histories.length - cached} fetched, ${cached} from cache`,
+    ].join("\n");
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${renderFlowMetrics(summarizeFlow(flows))}\n\n${header}`,
+        },
+      ],
+    };
+  }
+
+  private async handleGetDependencyGraph(args: any) {
+    const client = this.getClient(args);
+
+    const filter = resolveFilter(args.filter);
+    if (!args.issueKey === !filter) {
+      throw new Error("Specify exactly one of issueKey and filter");
+    }
+    const depth = args.depth ?? DEFAULT_GRAPH_DEPTH;
+    if (!Number.isInteger(depth) || depth < 0 || depth > MAX_GRAPH_DEPTH) {
+      throw new Error(`depth must be an integer from 0 to ${MAX_GRAPH_DEPTH}`);
+    }
+    const format: GraphFormat = args.format ?? "mermaid";
+    if (!GRAPH_FORMATS.includes(format)) {
+      throw new Error(`format must be one of: ${GRAPH_FORMATS.join(", ")}`);
     }
+    if (
+      args.linkTypes !== undefined &&
+      (!Array.isArray(args.linkTypes) || args.linkTypes.length === 0 || args.linkTypes.some((type: unknown) => typeof type !== "string"))
+    ) {
+      throw new Error("linkTypes must be a non-empty array of link type ids");
+    }
+    const linkTypes: Set<string> | null = args.linkTypes ? new Set(args.linkTypes) : null;
+    const doneStatuses = parseStatusList("doneStatuses", args.doneStatuses, this.flowOptions.doneStatuses);
 
-    const issue = await this.trackerClient!.getIssue(issueKey);
+    const roots = filter
+      ? (await client.searchIssues(filter, parseLimit(args.limit, 20, MAX_GRAPH_ROOTS))).issues
+      : [await client.getIssue(args.issueKey)];
+    if (roots.length === 0) {
+      throw new Error(`No issues match the filter: ${filter}`);
+    }
 
-    const text = `📋 Issue: ${issue.key}
+    // Обход в ширину: каждый уровень — связи задач, найденных на предыдущем
+    const graph = createGraph(roots);
+    let frontier = graph.roots;
+    for (let level = 0; level < depth && frontier.length > 0; level++) {
+      const links = await mapConcurrent(frontier, LINKS_CONCURRENCY, (key) => client.getLinks(key));
+      frontier = frontier.flatMap((key, index) =>
+        addLinks(graph, key, links[index], { linkTypes, maxNodes: MAX_GRAPH_NODES })
+      );
+    }
 
-Summary: ${issue.summary}
-Status: ${issue.status.display}
-Assignee: ${issue.assignee?.display || "Unassigned"}
-Created: ${new Date(issue.createdAt).toLocaleString()}
-Updated: ${new Date(issue.updatedAt).toLocaleString()}`;
+    const analysis = analyzeGraph(graph, doneStatuses);
+    const diagram = renderDiagram(graph, analysis, format, doneStatuses);
 
     return {
       content: [
         {
           type: "text",
-          text,
+          text: renderGraphReport(graph, analysis, depth, format, diagram),
         },
       ],
+      structuredContent: {
+        roots: graph.roots,
+        depth,
+        nodes: [...graph.nodes.values()],
+        edges: [...graph.edges.values()],
+        cycles: analysis.cycles,
+        unresolvedBlockers: analysis.unresolvedBlockers,
+        truncated: graph.truncated,
+        diagram: { format, source: diagram },
+      },
     };
   }
 
-  private async handleGetMyIssues(args: any) {
-    this.ensureConfigured();
+  private async handleBulkUpdate(args: any) {
+    // Просроченные планы удаляются при каждом вызове
+    const now = Date.now();
+    for (const [token, plan] of this.bulkPlans) {
+      if (now - plan.createdAt > BULK_PLAN_TTL_MS) {
+        this.bulkPlans.delete(token);
+      }
+    }
+
+    if (args.operationId !== undefined) {
+      return this.checkBulkOperation(String(args.operationId));
+    }
+    if (args.dry_run === false) {
+      return this.applyBulkPlan(args);
+    }
+    return this.previewBulkUpdate(args);
+  }
 
-    const issues = await this.trackerClient!.getMyIssues();
+  private async previewBulkUpdate(args: any) {
+    const client = this.getClient(args);
+    const profile: string = args.profile || this.activeProfile!;
 
-    const issueList = issues
-      .map(
-        (issue) =>
-          `• ${issue.key}: ${issue.summary}\n  Status: ${issue.status.display}`
-      )
-      .join("\n\n");
+    const filter = resolveFilter(args.filter);
+    if (!args.issueKeys === !filter) {
+      throw new Error("Specify exactly one of issueKeys and filter");
+    }
+    if (
+      args.issueKeys !== undefined &&
+      (!Array.isArray(args.issueKeys) || args.issueKeys.length === 0 || args.issueKeys.some((key: unknown) => typeof key !== "string" || !key.trim()))
+    ) {
+      throw new Error("issueKeys must be a non-empty array of issue keys");
+    }
+    const changes = parseBulkChanges(args);
+    const transition = typeof args.transition === "string" && args.transition.trim() ? args.transition.trim() : undefined;
+    const queue = typeof args.queue === "string" && args.queue.trim() ? args.queue.trim() : undefined;
+    if (transition && queue) {
+      throw new Error("transition and queue cannot be combined in one bulk operation");
+    }
+    if (args.resolution && !transition) {
+      throw new Error("resolution can only be used with transition");
+    }
+    const kind: BulkKind = transition ? "transition" : queue ? "move" : "update";
+    if (kind === "update" && !hasBulkChanges(changes)) {
+      throw new Error("Nothing to change: specify field changes, queue or transition");
+    }
+
+    // Выборку по фильтру не обрезаем: массовое изменение части совпавших задач было бы неожиданным
+    const skipped: BulkPlan["skipped"] = [];
+    let issues: Issue[];
+    if (filter) {
+      const limit = parseLimit(args.limit, 100, MAX_BULK_ISSUES);
+      const result = await client.searchIssues(filter, limit);
+      if (result.truncated) {
+        throw new Error(
+          `Filter matches ${result.total ?? "more than " + limit} issues, which exceeds limit ${limit}. Narrow the filter or raise limit (max ${MAX_BULK_ISSUES}).`
+        );
+      }
+      issues = result.issues;
+    } else {
+      const keys: string[] = [...new Set<string>(args.issueKeys.map((key: string) => key.trim()))];
+      if (keys.length > MAX_BULK_ISSUES) {
+        throw new Error(`issueKeys must contain at most ${MAX_BULK_ISSUES} keys`);
+      }
+      const fetched = await mapConcurrent(keys, BULK_CONCURRENCY, (key) =>
+        client.getIssue(key).catch((error: Error) => error)
+      );
+      issues = [];
+      fetched.forEach((issue, index) => {
+        if (issue instanceof Error) {
+          skipped.push({ key: keys[index], reason: issue.message });
+        } else {
+          issues.push(issue);
+        }
+      });
+    }
+
+    const transitions = transition
+      ? await mapConcurrent(issues, BULK_CONCURRENCY, (issue) => client.getTransitions(issue.key))
+      : [];
+
+    const targets: BulkTarget[] = [];
+    issues.forEach((issue, index) => {
+      const fieldChanges = describeFieldChanges(issue, changes);
+      if (transition) {
+        const found = findTransition(transitions[index], transition);
+        if (!found) {
+          skipped.push({ key: issue.key, reason: `transition '${transition}' is not available from ${issue.status.display}` });
+          return;
+        }
+        targets.push({
+          key: issue.key,
+          changes: [`status: ${issue.status.display} → ${found.to.display}`, ...fieldChanges],
+          transitionId: found.id,
+          expectedStatus: found.to,
+        });
+      } else if (queue) {
+        if (issue.queue?.key === queue) {
+          skipped.push({ key: issue.key, reason: `already in queue ${queue}` });
+          return;
+        }
+        targets.push({ key: issue.key, changes: [`queue: ${issue.queue?.key ?? "—"} → ${queue}`, ...fieldChanges] });
+      } else if (fieldChanges.length > 0) {
+        targets.push({ key: issue.key, changes: fieldChanges });
+      } else {
+        skipped.push({ key: issue.key, reason: "already up to date" });
+      }
+    });
+
+    const plan: BulkPlan = {
+      token: randomBytes(6).toString("hex"),
+      profile,
+      createdAt: Date.now(),
+      kind,
+      queue,
+      transition,
+      resolution: args.resolution,
+      changes,
+      targets,
+      skipped,
+    };
+    if (targets.length > 0) {
+      this.bulkPlans.set(plan.token, plan);
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: renderBulkPreview(plan, BULK_PLAN_TTL_MS / 60000),
+        },
+      ],
+      structuredContent: {
+        dryRun: true,
+        confirm: targets.length > 0 ? plan.token : null,
+        operation: kind,
+        targets,
+        skipped,
+      },
+    };
+  }
+
+  private async applyBulkPlan(args: any) {
+    const plan = typeof args.confirm === "string" ? this.bulkPlans.get(args.confirm) : undefined;
+    if (!plan) {
+      throw new Error(
+        `dry_run: false requires a valid confirm token. Run bulk_update as a dry run first; tokens expire after ${BULK_PLAN_TTL_MS / 60000} minutes and can be used once`
+      );
+    }
+    if (args.profile && args.profile !== plan.profile) {
+      throw new Error(`This plan was prepared for profile '${plan.profile}', not '${args.profile}'`);
+    }
+    const client = this.getClient({ profile: plan.profile });
+
+    // Переходы с разными id (у задач в разных статусах) запускаются отдельными операциями
+    const groups = new Map<string, string[]>();
+    for (const target of plan.targets) {
+      const group = target.transitionId ?? "";
+      groups.set(group, [...(groups.get(group) ?? []), target.key]);
+    }
+
+    const values = {
+      ...toBulkValues(plan.changes),
+      ...(plan.resolution ? { resolution: plan.resolution } : {}),
+    };
+    const operations: BulkOperation[] = [];
+    // Задачи групп, операцию для которых запустить не удалось: уже запущенные группы
+    // продолжают выполняться, и их нужно отслеживать, а не терять из-за ошибки
+    const startFailures: BulkFailure[] = [];
+    let startError: Error | null = null;
+    for (const [transitionId, issues] of groups) {
+      try {
+        operations.push(
+          await client.startBulkChange(plan.kind, {
+            issues,
+            ...(plan.kind === "transition" ? { transition: transitionId } : {}),
+            ...(plan.kind === "move" ? { queue: plan.queue } : {}),
+            ...(Object.keys(values).length > 0 ? { values } : {}),
+          })
+        );
+      } catch (error: any) {
+        startError ??= error;
+        startFailures.push(...issues.map((key) => ({ key, reason: error.message })));
+      }
+    }
+
+    // Ни одна операция не запущена — план остаётся, и его можно применить тем же токеном
+    if (operations.length === 0) {
+      throw startError!;
+    }
+    this.bulkPlans.delete(plan.token);
+
+    return this.reportBulkOperations(
+      client,
+      plan,
+      operations.map((operation) => operation.id),
+      startFailures,
+      BULK_WAIT_MS
+    );
+  }
+
+  private async checkBulkOperation(operationId: string) {
+    const tracked = this.bulkOperations.get(operationId);
+    if (!tracked) {
+      throw new Error(`Unknown bulk operation '${operationId}'. Only operations started by this server session can be checked`);
+    }
+    const client = this.getClient({ profile: tracked.plan.profile });
+    return this.reportBulkOperations(client, tracked.plan, tracked.operationIds, tracked.startFailures, 0);
+  }
+
+  // Ждёт завершения операций; если они ещё идут, запоминает их для повторной проверки,
+  // иначе сверяет каждую задачу плана с ожидаемым результатом
+  private async reportBulkOperations(
+    client: YandexTrackerClient,
+    plan: BulkPlan,
+    operationIds: string[],
+    startFailures: BulkFailure[],
+    waitMs: number
+  ) {
+    const operations = await Promise.all(operationIds.map((id) => client.waitForBulkChange(id, waitMs)));
+    const running = operations.some((operation) => !BULK_FINAL_STATUSES.includes(operation.status));
+
+    const failures: BulkFailure[] = [...startFailures];
+    if (running) {
+      for (const id of operationIds) {
+        this.bulkOperations.set(id, { plan, operationIds, startFailures });
+      }
+    } else {
+      for (const id of operationIds) {
+        this.bulkOperations.delete(id);
+      }
+      // Задачи, для которых операция не запустилась, уже в failures и не проверяются
+      const started = plan.targets.filter((target) => !startFailures.some((failure) => failure.key === target.key));
+      const problems = await mapConcurrent(started, BULK_CONCURRENCY, (target) =>
+        client
+          .getIssue(target.key)
+          .then((issue) => verifyTarget(plan, target, issue))
+          .catch((error: Error) => error.message)
+      );
+      started.forEach((target, index) => {
+        if (problems[index]) {
+          failures.push({ key: target.key, reason: problems[index]! });
+        }
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: renderBulkResult(plan, operations, failures, running),
+        },
+      ],
+      structuredContent: {
+        dryRun: false,
+        running,
+        operations,
+        changed: running ? null : plan.targets.length - failures.length,
+        failures,
+      },
+    };
+  }
+
+  private async handleLogWork(args: any) {
+    const client = this.getClient(args);
+
+    const { issueKey, duration, comment } = args;
+
+    if (!issueKey || typeof duration !== "string") {
+      throw new Error("issueKey and duration are required");
+    }
+    const minutes = parseDuration(duration);
+
+    let start = new Date();
+    if (args.start !== undefined) {
+      const value = String(args.start).trim();
+      const time = isValidDate(value) ? Date.parse(`${value}T00:00:00Z`) : Date.parse(value);
+      if (!value || Number.isNaN(time)) {
+        throw new Error(`start must be a date (YYYY-MM-DD) or an ISO 8601 date-time, got '${args.start}'`);
+      }
+      start = new Date(time);
+    }
+
+    await client.addWorklog(issueKey, {
+      start: start.toISOString().replace("Z", "+0000"),
+      duration: toIsoDuration(minutes),
+      comment,
+    });
+
+    const details = [
+      `Start: ${start.toLocaleString()}`,
+      ...(comment ? [`Comment: ${comment}`] : []),
+      `URL: ${issueUrl(issueKey)}`,
+    ];
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `⏱️ Logged ${formatWorkTime(minutes)} on ${issueKey}\n\n${details.join("\n")}`,
+        },
+      ],
+    };
+  }
+
+  private async handleGetTimeReport(args: any) {
+    const client = this.getClient(args);
+
+    const from = typeof args.from === "string" ? args.from.trim() : "";
+    const to = typeof args.to === "string" ? args.to.trim() : new Date().toISOString().slice(0, 10);
+    if (!isValidDate(from) || !isValidDate(to)) {
+      throw new Error("from and to must be dates in YYYY-MM-DD format");
+    }
+    if (from > to) {
+      throw new Error(`from (${from}) must not be later than to (${to})`);
+    }
+    const filter = resolveFilter(args.filter);
+    if (
+      args.users !== undefined &&
+      (!Array.isArray(args.users) || args.users.length === 0 || args.users.some((user: unknown) => typeof user !== "string" || !user.trim()))
+    ) {
+      throw new Error("users must be a non-empty array of logins");
+    }
+    if (filter && args.users) {
+      throw new Error("Specify either filter or users, not both");
+    }
+
+    // Записи по задачам из фильтра или поиском по авторам. Поиск API фильтрует по дате создания
+    // записи, поэтому период по дате начала работы применяется уже к результату
+    const notes: string[] = [];
+    let issues: Issue[] | null = null;
+    let worklogs: Worklog[];
+    if (filter) {
+      const result = await client.searchIssues(filter, parseLimit(args.limit, 200, MAX_REPORT_ISSUES));
+      issues = result.issues;
+      notes.push(`Query: ${filter}`, describeSearchCount(result, "issues"));
+      worklogs = (await mapConcurrent(result.issues, WORKLOG_CONCURRENCY, (issue) => client.getIssueWorklogs(issue.key))).flat();
+    } else {
+      const users: Array<string | undefined> = args.users ? args.users.map((user: string) => user.trim()) : [undefined];
+      const results = await mapConcurrent(users, WORKLOG_CONCURRENCY, (createdBy) =>
+        client.searchWorklogs({ createdBy, createdFrom: `${from}T00:00:00.000+0000` }, MAX_WORKLOGS)
+      );
+      worklogs = results.flatMap((result) => result.worklogs);
+      notes.push(args.users ? `Users: ${users.join(", ")}` : "All worklogs of the organization");
+      if (results.some((result) => result.truncated)) {
+        notes.push(`⚠️ Worklog search stopped at ${MAX_WORKLOGS} records, totals may be incomplete. Narrow the period or select users.`);
+      }
+    }
+
+    const fromMs = Date.parse(`${from}T00:00:00Z`);
+    const toMs = Date.parse(`${to}T00:00:00Z`) + 24 * 3600 * 1000;
+    const inPeriod = worklogs.filter((worklog) => {
+      const start = Date.parse(worklog.start);
+      return start >= fromMs && start < toMs;
+    });
+    const report = summarizeWorklogs(inPeriod, from, to);
+
+    let estimates = null;
+    if (args.compareEstimates) {
+      if (!issues) {
+        const keys = report.byIssue.slice(0, MAX_REPORT_ISSUES).map((entry) => entry.key);
+        issues = await mapConcurrent(keys, WORKLOG_CONCURRENCY, (key) => client.getIssue(key));
+      }
+      estimates = compareEstimates(issues, report);
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${renderTimeReport(report, estimates)}\n\n${notes.join("\n")}`,
+        },
+      ],
+      structuredContent: { ...report, estimates },
+    };
+  }
+
+  private async handleExportIssues(args: any) {
+    const client = this.getClient(args);
+
+    const filter = resolveFilter(args.filter);
+    if (!filter) {
+      throw new Error("filter is required");
+    }
+    const format: ExportFormat = args.format ?? "csv";
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`format must be one of: ${EXPORT_FORMATS.join(", ")}`);
+    }
+    const columns = parseColumns(args.columns);
+    const limit = parseLimit(args.limit, MAX_SEARCH_RESULTS);
+    const file = await resolveExportPath(this.exportDir, args.fileName, format, args.overwrite === true);
+    const formatter = createExportFormatter(format, columns);
+
+    // Запись идёт во временный файл, который переименовывается в конце, —
+    // прерванная выгрузка не оставит вместо результата обрезанный файл
+    const partial = `${file}.partial`;
+    const handle = await open(partial, "w");
+    const preview: string[] = [];
+    let rows = 0;
+    let matched: number | null = null;
+    try {
+      if (formatter.header) {
+        await handle.write(`${formatter.header}\n`);
+      }
+      for await (const page of client.searchPages(filter, limit)) {
+        matched = page.total ?? matched;
+        const lines = page.issues.map((issue) => formatter.row(issue, issueUrl(issue.key)));
+        await handle.write(lines.map((line) => `${line}\n`).join(""));
+        preview.push(...lines.slice(0, Math.max(0, EXPORT_PREVIEW_ROWS - preview.length)));
+        rows += lines.length;
+      }
+      await handle.close();
+      await rename(partial, file);
+    } catch (error) {
+      await handle.close().catch(() => undefined);
+      await unlink(partial).catch(() => undefined);
+      throw error;
+    }
+
+    const details = [
+      `Format: ${format}`,
+      `Columns: ${columns.join(", ")}`,
+      `Query: ${filter}`,
+      ...(matched !== null && rows < matched
+        ? [`⚠️ Only the first ${rows} of ${matched} matching issues were exported (limit: ${limit})`]
+        : []),
+    ];
+    const previewLines = [formatter.header?.replace(/^\uFEFF/, ""), ...preview].filter(Boolean);
+    const more = rows > preview.length ? `\n… ${rows - preview.length} more rows` : "";
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `📤 Exported ${rows} issues to ${file}\n\n${details.join("\n")}\n\nPreview:\n\`\`\`${format}\n${previewLines.join("\n")}${more}\n\`\`\``,
+        },
+      ],
+      structuredContent: {
+        path: file,
+        format,
+        columns,
+        rows,
+        matched,
+        preview,
+      },
+    };
+  }
+
+  private async handleWatchFilter(args: any) {
+    this.getClient(args);
+    const profile: string = args.profile || this.activeProfile;
+
+    const filter = resolveFilter(args.filter);
+    if (!filter) {
+      throw new Error("filter is required");
+    }
+    const intervalSeconds = parseWatchInterval(args.intervalSeconds);
+    const name = typeof args.name === "string" && args.name.trim() ? args.name.trim() : null;
 
+    // Повторный вызов для того же фильтра меняет интервал и имя, не сбрасывая снимок
+    const existing = [...this.watches.values()].find((watch) => watch.filter === filter && watch.profile === profile);
+    if (existing) {
+      existing.intervalSeconds = intervalSeconds;
+      existing.name = name ?? existing.name;
+      await this.saveWatches();
+      this.scheduleWatch(existing);
+      return this.watchResult(`👀 Already watching ${existing.name} (${existing.id}); settings updated`, existing);
+    }
+
+    const watch: Watch = {
+      id: `watch-${randomBytes(4).toString("hex")}`,
+      name: name ?? filter,
+      filter,
+      profile,
+      intervalSeconds,
+      createdAt: new Date().toISOString(),
+      lastPolledAt: null,
+      lastError: null,
+      truncated: false,
+      issues: {},
+    };
+    // Первый опрос только запоминает снимок; ошибку в фильтре видно сразу, а не в уведомлении
+    await this.pollWatch(watch);
+    this.watches.set(watch.id, watch);
+    await this.saveWatches();
+    this.scheduleWatch(watch);
+
+    return this.watchResult(`👀 Watching ${watch.name} (${watch.id})`, watch);
+  }
+
+  private async handleUnwatchFilter(args: any) {
+    const watch = this.watches.get(args.id);
+    if (!watch) {
+      const ids = [...this.watches.keys()];
+      throw new Error(`Unknown watch '${args.id}'. ${ids.length > 0 ? `Active watches: ${ids.join(", ")}` : "There are no active watches"}`);
+    }
+
+    clearTimeout(this.watchTimers.get(watch.id));
+    this.watchTimers.delete(watch.id);
+    this.watches.delete(watch.id);
+    await this.saveWatches();
+
+    return this.watchResult(`🛑 Stopped watching ${watch.name} (${watch.id})`, null);
+  }
+
+  private watchResult(title: string, watch: Watch | null) {
+    const active = [...this.watches.values()];
+    const list = active.length > 0 ? `Active watches:\n${active.map(renderWatch).join("\n\n")}` : "No active watches";
     return {
       content: [
         {
           type: "text",
-          text: `Found ${issues.length} issues assigned to you:\n\n${issueList}`,
+          text: `${title}\n\n${list}${watch ? `\n\nChanges are sent as notifications/message from logger '${WATCH_LOGGER}'.` : ""}`,
         },
       ],
+      structuredContent: {
+        ...(watch
+          ? {
+              watch: {
+                id: watch.id,
+                name: watch.name,
+                filter: watch.filter,
+                profile: watch.profile,
+                intervalSeconds: watch.intervalSeconds,
+                issues: Object.keys(watch.issues).length,
+                truncated: watch.truncated,
+              },
+            }
+          : {}),
+        watches: active.map((item) => item.id),
+      },
     };
   }
 
+  // Один опрос наблюдения: обновляет снимок и возвращает изменения с прошлого опроса
+  private async pollWatch(watch: Watch): Promise<WatchChange[]> {
+    const client = this.getClient({ profile: watch.profile });
+    const issues: Issue[] = [];
+    let matched: number | null = null;
+    for await (const page of client.searchPages(watch.filter, MAX_WATCH_ISSUES)) {
+      issues.push(...page.issues);
+      matched = page.total ?? matched;
+    }
+    const truncated = matched !== null && matched > issues.length;
+    const diff = diffWatch(watch.lastPolledAt ? watch.issues : null, issues, truncated);
+
+    const comments = await mapConcurrent(diff.updated, WATCH_COMMENTS_CONCURRENCY, async (key) => {
+      const before = watch.issues[key];
+      const found: Comment[] = [];
+      let after = before.lastCommentId !== undefined ? String(before.lastCommentId) : undefined;
+      for (let page = 0; page < MAX_WATCH_COMMENT_PAGES; page++) {
+        const result = await client.getComments(key, { limit: MAX_COMMENTS_LIMIT, after });
+        found.push(...result.comments);
+        if (!result.nextCursor) {
+          break;
+        }
+        after = result.nextCursor;
+      }
+      return takeNewComments(key, before, diff.snapshot[key], found);
+    });
+
+    watch.issues = diff.snapshot;
+    watch.truncated = truncated;
+    watch.lastPolledAt = new Date().toISOString();
+    watch.lastError = null;
+    return [...diff.changes, ...comments.flat()];
+  }
+
+  private scheduleWatch(watch: Watch, delayMs: number = watch.intervalSeconds * 1000) {
+    clearTimeout(this.watchTimers.get(watch.id));
+    // unref: таймеры наблюдений не должны удерживать процесс после отключения клиента
+    const timer = setTimeout(() => void this.runWatch(watch), delayMs).unref();
+    this.watchTimers.set(watch.id, timer);
+  }
+
+  private async runWatch(watch: Watch) {
+    this.watchTimers.delete(watch.id);
+    try {
+      const changes = await this.pollWatch(watch);
+      for (const change of changes.slice(0, MAX_WATCH_NOTIFICATIONS)) {
+        await this.sendWatchNotification("info", { watchId: watch.id, watch: watch.name, text: renderChange(change), change });
+      }
+      if (changes.length > MAX_WATCH_NOTIFICATIONS) {
+        await this.sendWatchNotification("info", {
+          watchId: watch.id,
+          watch: watch.name,
+          text: `… and ${changes.length - MAX_WATCH_NOTIFICATIONS} more changes in ${watch.name}`,
+        });
+      }
+    } catch (error: any) {
+      watch.lastError = error.message;
+      await this.sendWatchNotification("warning", {
+        watchId: watch.id,
+        watch: watch.name,
+        text: `⚠️ Failed to poll ${watch.name}: ${error.message}`,
+      });
+    }
+
+    // Наблюдение могли удалить, пока шёл опрос
+    if (this.watches.get(watch.id) === watch) {
+      await this.saveWatches().catch((error) => console.error(`Failed to save watches: ${error.message}`));
+      this.scheduleWatch(watch);
+    }
+  }
+
+  // Записи файла состояния выполняются по очереди, чтобы параллельные опросы не перемешали их
+  private saveWatches(): Promise<void> {
+    this.watchSave = this.watchSave
+      .catch(() => undefined)
+      .then(() => writeWatches(this.watchStatePath, [...this.watches.values()]));
+    return this.watchSave;
+  }
+
+  private async sendWatchNotification(level: LoggingLevel, data: Record<string, unknown>) {
+    const levels = LoggingLevelSchema.options;
+    if (levels.indexOf(level) < levels.indexOf(this.logLevel)) {
+      return;
+    }
+    try {
+      await this.server.sendLoggingMessage({ level, logger: WATCH_LOGGER, data });
+    } catch (error: any) {
+      console.error(`Failed to send watch notification: ${error.message}`);
+    }
+  }
+
   async run() {
+    const loaded = loadProfiles();
+    this.profiles = loaded.profiles;
+    this.activeProfile = loaded.activeProfile;
+    this.configPath = loaded.configPath;
+    this.profileErrors = loaded.errors;
+    for (const error of loaded.errors) {
+      console.error(`Tracker profiles: ${error}`);
+    }
+
+    // Сохранённые наблюдения возобновляются после подключения клиента: первый опрос сразу
+    // сообщает об изменениях за время простоя
+    try {
+      for (const watch of await readWatches(this.watchStatePath)) {
+        this.watches.set(watch.id, watch);
+      }
+    } catch (error: any) {
+      console.error(`${error.message}. Watches are not restored`);
+    }
+    this.server.oninitialized = () => {
+      for (const watch of this.watches.values()) {
+        this.scheduleWatch(watch, 0);
+      }
+    };
+
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error("Yandex Tracker MCP Server running on stdio");
@@ -0,0 +1,284 @@
+import { Attachment, ChecklistItem, Comment, EntityRef, Issue, IssueLink } from "./types.js";
+
+// Подробное представление задачи для get_issue: основные поля всегда, остальные разделы
+// (описание, комментарии, связи, вложения, чеклист, пользовательские поля) — по запросу
+
+export const ISSUE_SECTIONS = ["description", "comments", "links", "attachments", "checklist", "customFields"] as const;
+
+export type IssueSection = typeof ISSUE_SECTIONS[number];
+
+export const DEFAULT_ISSUE_SECTIONS: IssueSection[] = ["description"];
+
+// Системные поля задачи; всё остальное в ответе API считается пользовательскими полями
+const STANDARD_ISSUE_FIELDS = new Set([
+  "self", "id", "key", "version", "summary", "description", "status", "previousStatus", "statusStartTime",
+  "statusType", "type", "priority", "queue", "project", "assignee", "createdBy", "updatedBy", "followers",
+  "access", "votes", "votedBy", "favorite", "tags", "deadline", "components", "sprint", "resolution",
+  "resolvedAt", "resolvedBy", "createdAt", "updatedAt", "lastCommentUpdatedAt", "checklistItems",
+  "checklistDone", "checklistTotal", "commentWithoutExternalMessageCount", "commentWithExternalMessageCount",
+  "emailFrom", "emailTo", "emailCc", "emailCreatedBy", "aliases", "unique", "attachments", "pendingReplyFrom",
+  "boards", "parent", "epic", "links",
+]);
+
+export interface CommentPage {
+  comments: Comment[];
+  // id последнего комментария страницы, если за ним могут быть ещё комментарии
+  nextCursor: string | null;
+}
+
+export interface IssueDetailParts {
+  comments?: CommentPage;
+  links?: IssueLink[];
+  attachments?: Attachment[];
+  checklist?: ChecklistItem[];
+}
+
+export interface IssueDetails {
+  key: string;
+  url: string;
+  summary: string;
+  status: { key: string; display: string };
+  type: string | null;
+  priority: string | null;
+  queue: string | null;
+  assignee: string | null;
+  author: string | null;
+  followers: string[];
+  tags: string[];
+  components: string[];
+  deadline: string | null;
+  resolution: string | null;
+  createdAt: string;
+  updatedAt: string;
+  description?: string | null;
+  comments?: {
+    items: Array<{ id: number; author: string | null; createdAt: string; text: string }>;
+    nextCursor: string | null;
+  };
+  links?: Array<{ type: string; relation: string; key: string; summary: string; status: string | null }>;
+  attachments?: Array<{
+    id: string;
+    name: string;
+    mimetype: string | null;
+    size: number | null;
+    createdAt: string | null;
+    author: string | null;
+    url: string;
+  }>;
+  checklist?: {
+    done: number;
+    total: number;
+    items: Array<{ id: string; text: string; checked: boolean; assignee: string | null; deadline: string | null }>;
+  };
+  customFields?: Record<string, unknown>;
+}
+
+export function parseSections(value: unknown): Set<IssueSection> {
+  if (value === undefined || value === null) {
+    return new Set(DEFAULT_ISSUE_SECTIONS);
+  }
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+    throw new Error(`include must be an array of: ${ISSUE_SECTIONS.join(", ")}, all`);
+  }
+  if (value.includes("all")) {
+    return new Set(ISSUE_SECTIONS);
+  }
+  const unknown = value.filter((item) => !(ISSUE_SECTIONS as readonly string[]).includes(item));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown include section '${unknown[0]}'. Allowed: ${ISSUE_SECTIONS.join(", ")}, all`);
+  }
+  return new Set(value as IssueSection[]);
+}
+
+const display = (ref: EntityRef | undefined | null) => ref?.display ?? null;
+
+// Значения пользовательских полей упрощаются: у ссылок на сущности остаётся только display
+export function simplifyValue(value: unknown): unknown {
+  if (Array.isArray(value)) {
+    return value.map(simplifyValue);
+  }
+  if (value && typeof value === "object" && "display" in value) {
+    return (value as EntityRef).display;
+  }
+  return value;
+}
+
+export function extractCustomFields(issue: Issue): Record<string, unknown> {
+  const fields: Record<string, unknown> = {};
+  for (const [name, value] of Object.entries(issue)) {
+    if (!STANDARD_ISSUE_FIELDS.has(name) && value !== null && value !== undefined) {
+      fields[name] = simplifyValue(value);
+    }
+  }
+  return fields;
+}
+
+export function buildIssueDetails(
+  issue: Issue,
+  url: string,
+  sections: Set<IssueSection>,
+  parts: IssueDetailParts
+): IssueDetails {
+  const details: IssueDetails = {
+    key: issue.key,
+    url,
+    summary: issue.summary,
+    status: { key: issue.status.key, display: issue.status.display },
+    type: display(issue.type),
+    priority: display(issue.priority),
+    queue: issue.queue?.key ?? null,
+    assignee: display(issue.assignee),
+    author: display(issue.createdBy),
+    followers: (issue.followers ?? []).map((follower) => follower.display),
+    tags: issue.tags ?? [],
+    components: (issue.components ?? []).map((component) => component.display),
+    deadline: issue.deadline ?? null,
+    resolution: display(issue.resolution),
+    createdAt: issue.createdAt,
+    updatedAt: issue.updatedAt,
+  };
+
+  if (sections.has("description")) {
+    details.description = issue.description ?? null;
+  }
+  if (parts.comments) {
+    details.comments = {
+      items: parts.comments.comments.map((comment) => ({
+        id: comment.id,
+        author: comment.createdBy?.display ?? null,
+        createdAt: comment.createdAt,
+        text: comment.text ?? "",
+      })),
+      nextCursor: parts.comments.nextCursor,
+    };
+  }
+  if (parts.links) {
+    details.links = parts.links.map((link) => ({
+      type: link.type.id,
+      relation: link.direction === "outward" ? link.type.outward : link.type.inward,
+      key: link.object.key,
+      summary: link.object.display,
+      status: display(link.status),
+    }));
+  }
+  if (parts.attachments) {
+    details.attachments = parts.attachments.map((attachment) => ({
+      id: attachment.id,
+      name: attachment.name,
+      mimetype: attachment.mimetype ?? null,
+      size: attachment.size ?? null,
+      createdAt: attachment.createdAt ?? null,
+      author: display(attachment.createdBy),
+      url: attachment.content,
+    }));
+  }
+  if (parts.checklist) {
+    details.checklist = {
+      done: parts.checklist.filter((item) => item.checked).length,
+      total: parts.checklist.length,
+      items: parts.checklist.map((item) => ({
+        id: item.id,
+        text: item.text,
+        checked: item.checked,
+        assignee: display(item.assignee),
+        deadline: item.deadline?.date ?? null,
+      })),
+    };
+  }
+  if (sections.has("customFields")) {
+    details.customFields = extractCustomFields(issue);
+  }
+
+  return details;
+}
+
+function formatSize(bytes: number | null): string | null {
+  if (bytes === null) {
+    return null;
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatValue(value: unknown): string {
+  if (Array.isArray(value)) {
+    return value.map(formatValue).join(", ");
+  }
+  return typeof value === "object" && value !== null ? JSON.stringify(value) : String(value);
+}
+
+export function renderIssueDetails(details: IssueDetails): string {
+  const fields: Array<[string, string | null]> = [
+    ["Summary", details.summary],
+    ["Status", details.status.display],
+    ["Type", details.type],
+    ["Priority", details.priority],
+    ["Queue", details.queue],
+    ["Assignee", details.assignee || "Unassigned"],
+    ["Author", details.author],
+    ["Followers", details.followers.join(", ") || null],
+    ["Tags", details.tags.join(", ") || null],
+    ["Components", details.components.join(", ") || null],
+    ["Deadline", details.deadline],
+    ["Resolution", details.resolution],
+    ["Created", new Date(details.createdAt).toLocaleString()],
+    ["Updated", new Date(details.updatedAt).toLocaleString()],
+    ["URL", details.url],
+  ];
+  const sections = [
+    `📋 Issue: ${details.key}`,
+    fields.filter(([, value]) => value).map(([name, value]) => `${name}: ${value}`).join("\n"),
+  ];
+
+  if (details.description !== undefined) {
+    sections.push(`📝 Description:\n${details.description?.trim() || "(empty)"}`);
+  }
+
+  if (details.comments) {
+    const { items, nextCursor } = details.comments;
+    const list = items
+      .map((comment) => `• ${comment.author ?? "Unknown"}, ${new Date(comment.createdAt).toLocaleString()} (id ${comment.id}):\n  ${comment.text.trim().replace(/\n/g, "\n  ")}`)
+      .join("\n\n");
+    const more = nextCursor ? `\n\nMore comments: call again with commentsAfter: "${nextCursor}"` : "";
+    sections.push(items.length > 0 ? `💬 Comments (${items.length}):\n${list}${more}` : "💬 No comments");
+  }
+
+  if (details.links) {
+    const list = details.links
+      .map((link) => `• ${link.relation} ${link.key}: ${link.summary}${link.status ? ` [${link.status}]` : ""}`)
+      .join("\n");
+    sections.push(details.links.length > 0 ? `🔗 Links:\n${list}` : "🔗 No links");
+  }
+
+  if (details.attachments) {
+    const list = details.attachments
+      .map((attachment) => {
+        const meta = [attachment.mimetype, formatSize(attachment.size)].filter(Boolean).join(", ");
+        const author = attachment.author ? ` — ${attachment.author}` : "";
+        return `• ${attachment.name}${meta ? ` (${meta})` : ""}${author}`;
+      })
+      .join("\n");
+    sections.push(details.attachments.length > 0 ? `📎 Attachments:\n${list}` : "📎 No attachments");
+  }
+
+  if (details.checklist) {
+    const { done, total, items } = details.checklist;
+    const list = items
+      .map((item) => {
+        const meta = [item.assignee, item.deadline && `due ${item.deadline.slice(0, 10)}`].filter(Boolean).join(", ");
+        return `[${item.checked ? "x" : " "}] ${item.text}${meta ? ` (${meta})` : ""}`;
+      })
+      .join("\n");
+    sections.push(total > 0 ? `☑️ Checklist (${done}/${total}):\n${list}` : "☑️ No checklist");
+  }
+
+  if (details.customFields) {
+    const entries = Object.entries(details.customFields);
+    const list = entries.map(([name, value]) => `• ${name}: ${formatValue(value)}`).join("\n");
+    sections.push(entries.length > 0 ? `🧩 Custom fields:\n${list}` : "🧩 No custom fields");
+  }
+
+  return sections.join("\n\n");
+}
@@ -0,0 +1,160 @@
+import { readFileSync } from "fs";
+import os from "os";
+import path from "path";
+
+// Профили учётных данных. Токен берётся из окружения или локального файла,
+// чтобы не передавать его аргументом инструмента и не оставлять в истории чата.
+//
+// Файл профилей (YANDEX_TRACKER_CONFIG, по умолчанию ~/.config/mcp-yandex-tracker/profiles.json):
+// {
+//   "defaultProfile": "work",
+//   "profiles": {
+//     "work": { "orgId": "12345678", "token": "y0_..." },
+//     "cloud": { "cloudOrgId": "bpf...", "tokenEnv": "TRACKER_CLOUD_TOKEN" }
+//   }
+// }
+
+export interface YandexTrackerConfig {
+  token: string;
+  // Организация Яндекс 360 (заголовок X-Org-ID) или Yandex Cloud (X-Cloud-Org-ID) — ровно одна
+  orgId?: string;
+  cloudOrgId?: string;
+}
+
+export type ProfileSource = "env" | "file" | "configure";
+
+export interface TrackerProfile extends YandexTrackerConfig {
+  name: string;
+  source: ProfileSource;
+}
+
+export interface LoadedProfiles {
+  profiles: Map<string, TrackerProfile>;
+  activeProfile: string | null;
+  configPath: string;
+  // Ошибки в файле профилей и окружении: профили с ошибками пропускаются, сервер запускается без них
+  errors: string[];
+}
+
+// Профиль из переменных окружения YANDEX_TRACKER_TOKEN и YANDEX_TRACKER_ORG_ID / YANDEX_TRACKER_CLOUD_ORG_ID
+export const ENV_PROFILE = "env";
+
+export function defaultConfigPath(): string {
+  return path.join(os.homedir(), ".config", "mcp-yandex-tracker", "profiles.json");
+}
+
+export function createProfile(
+  name: string,
+  source: ProfileSource,
+  raw: { token?: unknown; orgId?: unknown; cloudOrgId?: unknown }
+): TrackerProfile {
+  const token = typeof raw.token === "string" ? raw.token.trim() : "";
+  const orgId = typeof raw.orgId === "string" || typeof raw.orgId === "number" ? String(raw.orgId).trim() : "";
+  const cloudOrgId = typeof raw.cloudOrgId === "string" ? raw.cloudOrgId.trim() : "";
+
+  if (!token) {
+    throw new Error(`Profile '${name}': token is required`);
+  }
+  if (!orgId === !cloudOrgId) {
+    throw new Error(`Profile '${name}': specify exactly one of orgId (Yandex 360) and cloudOrgId (Yandex Cloud)`);
+  }
+
+  return {
+    name,
+    source,
+    token,
+    ...(orgId ? { orgId } : { cloudOrgId }),
+  };
+}
+
+function loadFileProfiles(
+  configPath: string,
+  env: NodeJS.ProcessEnv
+): { profiles: TrackerProfile[]; defaultProfile?: string; errors: string[] } {
+  let content: string;
+  try {
+    content = readFileSync(configPath, "utf-8");
+  } catch (error: any) {
+    if (error.code === "ENOENT") {
+      return { profiles: [], errors: [] };
+    }
+    return { profiles: [], errors: [`Failed to read Tracker profiles from ${configPath}: ${error.message}`] };
+  }
+
+  let data: any;
+  try {
+    data = JSON.parse(content);
+  } catch (error: any) {
+    return { profiles: [], errors: [`Invalid JSON in Tracker profiles file ${configPath}: ${error.message}`] };
+  }
+  if (typeof data?.profiles !== "object" || data.profiles === null || Array.isArray(data.profiles)) {
+    return { profiles: [], errors: [`Tracker profiles file ${configPath} must contain a "profiles" object`] };
+  }
+
+  const profiles: TrackerProfile[] = [];
+  const errors: string[] = [];
+  for (const [name, raw] of Object.entries<any>(data.profiles)) {
+    // tokenEnv позволяет хранить в файле только имя переменной, а не сам токен
+    const token = raw?.tokenEnv ? env[raw.tokenEnv] : raw?.token;
+    if (raw?.tokenEnv && !token) {
+      errors.push(`Profile '${name}' in ${configPath}: environment variable ${raw.tokenEnv} is not set`);
+      continue;
+    }
+    try {
+      profiles.push(createProfile(name, "file", { ...raw, token }));
+    } catch (error: any) {
+      errors.push(`${error.message} (in ${configPath})`);
+    }
+  }
+
+  return {
+    profiles,
+    defaultProfile: typeof data.defaultProfile === "string" ? data.defaultProfile : undefined,
+    errors,
+  };
+}
+
+// Активный профиль: YANDEX_TRACKER_PROFILE, затем defaultProfile из файла,
+// затем профиль окружения, затем единственный профиль, если он один
+export function loadProfiles(env: NodeJS.ProcessEnv = process.env): LoadedProfiles {
+  const configPath = env.YANDEX_TRACKER_CONFIG || defaultConfigPath();
+  const file = loadFileProfiles(configPath, env);
+  const profiles = new Map(file.profiles.map((profile) => [profile.name, profile]));
+  const errors = [...file.errors];
+
+  if (env.YANDEX_TRACKER_TOKEN) {
+    try {
+      profiles.set(
+        ENV_PROFILE,
+        createProfile(ENV_PROFILE, "env", {
+          token: env.YANDEX_TRACKER_TOKEN,
+          orgId: env.YANDEX_TRACKER_ORG_ID,
+          cloudOrgId: env.YANDEX_TRACKER_CLOUD_ORG_ID,
+        })
+      );
+    } catch (error: any) {
+      errors.push(`${error.message} (from YANDEX_TRACKER_* environment variables)`);
+    }
+  }
+
+  let requested = env.YANDEX_TRACKER_PROFILE || file.defaultProfile;
+  if (requested && !profiles.has(requested)) {
+    errors.push(
+      `Tracker profile '${requested}' is not defined. Available profiles: ${[...profiles.keys()].join(", ") || "none"}`
+    );
+    requested = undefined;
+  }
+
+  let activeProfile = requested ?? null;
+  if (!activeProfile && profiles.has(ENV_PROFILE)) {
+    activeProfile = ENV_PROFILE;
+  } else if (!activeProfile && profiles.size === 1) {
+    activeProfile = [...profiles.keys()][0];
+  }
+
+  return { profiles, activeProfile, configPath, errors };
+}
+
+export function describeOrganization(profile: YandexTrackerConfig): string {
+  return profile.orgId ? `X-Org-ID ${profile.orgId}` : `X-Cloud-Org-ID ${profile.cloudOrgId}`;
+}
@@ -0,0 +1,264 @@
+import { isoWeek } from "./flow.js";
+import { Issue } from "./types.js";
+
+// Статистика задач для get_issue_stats. Статусы относятся к категориям по типу статуса
+// из /v2/statuses, поэтому статусы нестандартных процессов тоже учитываются; статус без
+// известного типа попадает в «unclassified», и сумма категорий всегда равна числу задач
+
+export type StatusCategory = "open" | "inProgress" | "paused" | "closed" | "unclassified";
+
+export const STATUS_CATEGORIES: StatusCategory[] = ["open", "inProgress", "paused", "closed", "unclassified"];
+
+const CATEGORY_TITLES: Record<StatusCategory, string> = {
+  open: "Open",
+  inProgress: "In Progress",
+  paused: "Paused",
+  closed: "Closed",
+  unclassified: "Unclassified",
+};
+
+// Типы статусов Трекера: new, inProgress, paused, done, cancelled
+const STATUS_TYPE_CATEGORIES: Record<string, StatusCategory> = {
+  new: "open",
+  inprogress: "inProgress",
+  paused: "paused",
+  done: "closed",
+  cancelled: "closed",
+};
+
+export const STATS_DIMENSIONS = ["assignee", "queue", "priority", "type", "tag", "createdWeek", "status"] as const;
+
+export type StatsDimension = typeof STATS_DIMENSIONS[number];
+
+const DIMENSION_TITLES: Record<StatsDimension, string> = {
+  assignee: "Assignee",
+  queue: "Queue",
+  priority: "Priority",
+  type: "Type",
+  tag: "Tag",
+  createdWeek: "Created week",
+  status: "Status",
+};
+
+// Таблицы в тексте ограничены, полная группировка есть в structuredContent
+const MAX_PIVOT_ROWS = 50;
+const MAX_PIVOT_COLUMNS = 10;
+
+export type CategoryCounts = Record<StatusCategory, number>;
+
+export interface StatsGroup {
+  value: string;
+  total: number;
+  categories: CategoryCounts;
+  children?: Map<string, StatsGroup>;
+}
+
+export interface IssueStats {
+  // Сколько задач учтено в статистике и сколько найдено всего
+  total: number;
+  matched: number | null;
+  categories: CategoryCounts;
+  byStatus: Record<string, number>;
+  // Статусы без типа в /v2/statuses — их задачи учтены как unclassified
+  unclassifiedStatuses: string[];
+  groupBy: StatsDimension[];
+  groups: Map<string, StatsGroup>;
+}
+
+const emptyCounts = (): CategoryCounts => ({ open: 0, inProgress: 0, paused: 0, closed: 0, unclassified: 0 });
+
+export function parseGroupBy(value: unknown): StatsDimension[] {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const dimensions = typeof value === "string" ? [value] : value;
+  if (
+    !Array.isArray(dimensions) ||
+    dimensions.length > 2 ||
+    dimensions.some((dimension) => !(STATS_DIMENSIONS as readonly string[]).includes(dimension))
+  ) {
+    throw new Error(`groupBy must be one or two of: ${STATS_DIMENSIONS.join(", ")}`);
+  }
+  if (dimensions.length === 2 && dimensions[0] === dimensions[1]) {
+    throw new Error("groupBy dimensions must differ");
+  }
+  return dimensions as StatsDimension[];
+}
+
+export function statusCategory(statusKey: string, statusTypes: Map<string, string>): StatusCategory {
+  const type = statusTypes.get(statusKey);
+  return (type && STATUS_TYPE_CATEGORIES[type.toLowerCase()]) || "unclassified";
+}
+
+// Значения измерения для задачи; у задачи с несколькими тегами их несколько
+function dimensionValues(issue: Issue, dimension: StatsDimension): string[] {
+  switch (dimension) {
+    case "assignee":
+      return [issue.assignee?.display ?? "Unassigned"];
+    case "queue":
+      return [issue.queue?.key ?? "(none)"];
+    case "priority":
+      return [issue.priority?.display ?? "(none)"];
+    case "type":
+      return [issue.type?.display ?? "(none)"];
+    case "tag":
+      return issue.tags?.length ? issue.tags : ["(no tag)"];
+    case "createdWeek":
+      return [isoWeek(Date.parse(issue.createdAt))];
+    case "status":
+      return [issue.status.display];
+  }
+}
+
+export function createIssueStats(groupBy: StatsDimension[]): IssueStats {
+  return {
+    total: 0,
+    matched: null,
+    categories: emptyCounts(),
+    byStatus: {},
+    unclassifiedStatuses: [],
+    groupBy,
+    groups: new Map(),
+  };
+}
+
+function countIn(groups: Map<string, StatsGroup>, value: string, category: StatusCategory): StatsGroup {
+  const group = groups.get(value) ?? { value, total: 0, categories: emptyCounts() };
+  group.total++;
+  group.categories[category]++;
+  groups.set(value, group);
+  return group;
+}
+
+export function addIssueToStats(stats: IssueStats, issue: Issue, category: StatusCategory): void {
+  stats.total++;
+  stats.categories[category]++;
+  stats.byStatus[issue.status.display] = (stats.byStatus[issue.status.display] ?? 0) + 1;
+  if (category === "unclassified" && !stats.unclassifiedStatuses.includes(issue.status.key)) {
+    stats.unclassifiedStatuses.push(issue.status.key);
+  }
+
+  const [first, second] = stats.groupBy;
+  if (!first) {
+    return;
+  }
+  for (const value of dimensionValues(issue, first)) {
+    const group = countIn(stats.groups, value, category);
+    if (second) {
+      group.children ??= new Map();
+      for (const child of dimensionValues(issue, second)) {
+        countIn(group.children, child, category);
+      }
+    }
+  }
+}
+
+function sortGroups(groups: Map<string, StatsGroup>, dimension: StatsDimension): StatsGroup[] {
+  // Недели идут по порядку, остальные значения — по убыванию числа задач
+  return [...groups.values()].sort((a, b) =>
+    dimension === "createdWeek" ? a.value.localeCompare(b.value) : b.total - a.total || a.value.localeCompare(b.value)
+  );
+}
+
+export function toStructuredStats(stats: IssueStats) {
+  const groups = (map: Map<string, StatsGroup>, level: number): unknown[] =>
+    sortGroups(map, stats.groupBy[level]).map((group) => ({
+      value: group.value,
+      total: group.total,
+      categories: group.categories,
+      ...(group.children ? { children: groups(group.children, level + 1) } : {}),
+    }));
+
+  return {
+    total: stats.total,
+    matched: stats.matched,
+    categories: stats.categories,
+    byStatus: stats.byStatus,
+    unclassifiedStatuses: stats.unclassifiedStatuses,
+    groupBy: stats.groupBy,
+    ...(stats.groupBy.length > 0 ? { groups: groups(stats.groups, 0) } : {}),
+  };
+}
+
+function renderGroups(stats: IssueStats): string {
+  const [first] = stats.groupBy;
+  const rows = sortGroups(stats.groups, first);
+  const shown = rows.slice(0, MAX_PIVOT_ROWS);
+  const header = [DIMENSION_TITLES[first], "Total", ...STATUS_CATEGORIES.map((category) => CATEGORY_TITLES[category])];
+  const lines = [
+    `By ${DIMENSION_TITLES[first].toLowerCase()}:`,
+    `| ${header.join(" | ")} |`,
+    `|${header.map(() => "---").join("|")}|`,
+    ...shown.map(
+      (group) => `| ${[group.value, group.total, ...STATUS_CATEGORIES.map((category) => group.categories[category])].join(" | ")} |`
+    ),
+  ];
+  if (rows.length > shown.length) {
+    lines.push(`… and ${rows.length - shown.length} more rows`);
+  }
+  return lines.join("\n");
+}
+
+// Сводная таблица по двум измерениям: строки — первое, столбцы — самые частые значения второго
+function renderPivot(stats: IssueStats): string {
+  const [first, second] = stats.groupBy;
+  const rows = sortGroups(stats.groups, first);
+  const columnTotals = new Map<string, StatsGroup>();
+  for (const row of rows) {
+    for (const child of row.children?.values() ?? []) {
+      const total = columnTotals.get(child.value) ?? { value: child.value, total: 0, categories: emptyCounts() };
+      total.total += child.total;
+      columnTotals.set(child.value, total);
+    }
+  }
+  const allColumns = sortGroups(columnTotals, second).map((column) => column.value);
+  const columns = allColumns.slice(0, MAX_PIVOT_COLUMNS);
+  const hasOther = allColumns.length > columns.length;
+
+  const header = [`${DIMENSION_TITLES[first]} \\ ${DIMENSION_TITLES[second]}`, ...columns, ...(hasOther ? ["Other"] : []), "Total"];
+  const shown = rows.slice(0, MAX_PIVOT_ROWS);
+  const lines = [
+    `By ${DIMENSION_TITLES[first].toLowerCase()} and ${DIMENSION_TITLES[second].toLowerCase()}:`,
+    `| ${header.join(" | ")} |`,
+    `|${header.map(() => "---").join("|")}|`,
+    ...shown.map((row) => {
+      const cells = columns.map((column) => row.children?.get(column)?.total ?? 0);
+      const other = [...(row.children?.values() ?? [])]
+        .filter((child) => !columns.includes(child.value))
+        .reduce((sum, child) => sum + child.total, 0);
+      return `| ${[row.value, ...cells, ...(hasOther ? [other] : []), row.total].join(" | ")} |`;
+    }),
+  ];
+  if (rows.length > shown.length) {
+    lines.push(`… and ${rows.length - shown.length} more rows`);
+  }
+  return lines.join("\n");
+}
+
+export function renderIssueStats(stats: IssueStats, coverage: string): string {
+  const statusBreakdown = Object.entries(stats.byStatus)
+    .map(([status, count]) => `  • ${status}: ${count}`)
+    .join("\n");
+  const unclassified = stats.unclassifiedStatuses.length > 0
+    ? ` (statuses without a known type: ${stats.unclassifiedStatuses.join(", ")})`
+    : "";
+
+  const sections = [
+    `📊 Issue Statistics:
+${coverage}
+Total: ${stats.total}
+${STATUS_CATEGORIES.map((category) => `${CATEGORY_TITLES[category]}: ${stats.categories[category]}`).join("\n")}${unclassified}
+
+By Status:
+${statusBreakdown}`,
+  ];
+
+  if (stats.groupBy.length > 0) {
+    sections.push(stats.groupBy.length === 2 ? renderPivot(stats) : renderGroups(stats));
+    if (stats.groupBy.includes("tag")) {
+      sections.push("Issues with several tags are counted under each of their tags.");
+    }
+  }
+
+  return sections.join("\n\n");
+}
@@ -0,0 +1,104 @@
+// Интерфейсы для Яндекс Трекера
+
+// Ссылка на сущность в ответах API: статус, тип, приоритет, очередь, пользователь
+export interface EntityRef {
+  id?: string;
+  key?: string;
+  display: string;
+}
+
+export interface Issue {
+  key: string;
+  summary: string;
+  status: {
+    key: string;
+    display: string;
+  };
+  assignee?: EntityRef;
+  createdAt: string;
+  updatedAt: string;
+  description?: string;
+  type?: EntityRef;
+  priority?: EntityRef;
+  queue?: EntityRef;
+  createdBy?: EntityRef;
+  followers?: EntityRef[];
+  tags?: string[];
+  deadline?: string;
+  components?: EntityRef[];
+  resolution?: EntityRef;
+  resolvedAt?: string;
+  // Учёт времени: исходная и оставшаяся оценка, затраченное время (ISO 8601, например PT4H30M)
+  originalEstimation?: string;
+  estimation?: string;
+  spent?: string;
+  // Остальные поля, в том числе пользовательские (их ключи зависят от организации)
+  [field: string]: unknown;
+}
+
+export interface Comment {
+  id: number;
+  longId?: string;
+  text: string;
+  createdAt: string;
+  createdBy?: {
+    display: string;
+  };
+}
+
+export interface Transition {
+  id: string;
+  display: string;
+  to: {
+    key: string;
+    display: string;
+  };
+}
+
+export interface IssueLink {
+  id: number;
+  type: {
+    id: string;
+    inward: string;
+    outward: string;
+  };
+  direction: "inward" | "outward";
+  object: {
+    key: string;
+    display: string;
+  };
+  status?: EntityRef;
+}
+
+export interface Attachment {
+  id: string;
+  name: string;
+  content: string;
+  mimetype?: string;
+  size?: number;
+  createdAt?: string;
+  createdBy?: EntityRef;
+}
+
+export interface ChecklistItem {
+  id: string;
+  text: string;
+  checked: boolean;
+  assignee?: EntityRef;
+  deadline?: {
+    date: string;
+  };
+}
+
+export interface Worklog {
+  id: number;
+  issue: {
+    key: string;
+    display: string;
+  };
+  comment?: string;
+  createdBy: EntityRef;
+  createdAt: string;
+  start: string;
+  duration: string;
+}
@@ -0,0 +1,213 @@
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import { Comment, Issue } from "./types.js";
+
+// Наблюдение за фильтрами для watch_filter. Сервер периодически ищет задачи по фильтру и
+// сравнивает их со снимком прошлого опроса. Снимки хранятся в файле состояния
+// (YANDEX_TRACKER_WATCH_STATE, по умолчанию ~/.config/mcp-yandex-tracker/watches.json),
+// поэтому после перезапуска сообщается только о том, что изменилось за время простоя
+
+export const DEFAULT_WATCH_INTERVAL_SECONDS = 300;
+export const MIN_WATCH_INTERVAL_SECONDS = 60;
+export const MAX_WATCH_INTERVAL_SECONDS = 86400;
+
+// Сколько задач по фильтру попадает в снимок
+export const MAX_WATCH_ISSUES = 1000;
+
+const STATE_VERSION = 1;
+const COMMENT_PREVIEW_LENGTH = 200;
+
+export interface IssueSnapshot {
+  summary: string;
+  status: { key: string; display: string };
+  assignee: string | null;
+  updatedAt: string;
+  // Последний известный комментарий: задан, когда комментарии задачи уже читались
+  lastCommentId?: number;
+}
+
+export interface Watch {
+  id: string;
+  name: string;
+  filter: string;
+  profile: string;
+  intervalSeconds: number;
+  createdAt: string;
+  lastPolledAt: string | null;
+  lastError: string | null;
+  // По фильтру найдено больше MAX_WATCH_ISSUES задач: изменения остальных не видны
+  truncated: boolean;
+  issues: Record<string, IssueSnapshot>;
+}
+
+export type WatchChange =
+  | { type: "new"; key: string; summary: string; status: string; assignee: string | null }
+  | { type: "status"; key: string; summary: string; from: string; to: string }
+  | { type: "assignee"; key: string; summary: string; from: string | null; to: string | null }
+  | { type: "comment"; key: string; summary: string; commentId: number; author: string; text: string }
+  | { type: "removed"; key: string; summary: string };
+
+export interface WatchDiff {
+  changes: WatchChange[];
+  snapshot: Record<string, IssueSnapshot>;
+  // Задачи из прошлого снимка, изменившиеся с тех пор: у них проверяются комментарии
+  updated: string[];
+}
+
+export function loadWatchStatePath(env: NodeJS.ProcessEnv = process.env): string {
+  return path.resolve(env.YANDEX_TRACKER_WATCH_STATE || path.join(os.homedir(), ".config", "mcp-yandex-tracker", "watches.json"));
+}
+
+export function parseWatchInterval(value: unknown): number {
+  if (value === undefined || value === null) {
+    return DEFAULT_WATCH_INTERVAL_SECONDS;
+  }
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds < MIN_WATCH_INTERVAL_SECONDS || seconds > MAX_WATCH_INTERVAL_SECONDS) {
+    throw new Error(
+      `intervalSeconds must be an integer between ${MIN_WATCH_INTERVAL_SECONDS} and ${MAX_WATCH_INTERVAL_SECONDS}`
+    );
+  }
+  return seconds;
+}
+
+export async function readWatches(file: string): Promise<Watch[]> {
+  let content: string;
+  try {
+    content = await readFile(file, "utf-8");
+  } catch (error: any) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw new Error(`Failed to read watches from ${file}: ${error.message}`);
+  }
+
+  try {
+    const state = JSON.parse(content);
+    if (!Array.isArray(state?.watches)) {
+      throw new Error("'watches' must be an array");
+    }
+    return state.watches as Watch[];
+  } catch (error: any) {
+    throw new Error(`Invalid watch state in ${file}: ${error.message}`);
+  }
+}
+
+// Запись через временный файл, чтобы сбой посреди записи не испортил состояние
+export async function writeWatches(file: string, watches: Watch[]): Promise<void> {
+  await mkdir(path.dirname(file), { recursive: true });
+  const partial = `${file}.partial`;
+  await writeFile(partial, JSON.stringify({ version: STATE_VERSION, watches }, null, 2), { mode: 0o600 });
+  await rename(partial, file);
+}
+
+function snapshotIssue(issue: Issue, previous?: IssueSnapshot): IssueSnapshot {
+  return {
+    summary: issue.summary,
+    status: { key: issue.status.key, display: issue.status.display },
+    assignee: issue.assignee?.display ?? null,
+    updatedAt: issue.updatedAt,
+    ...(previous?.lastCommentId !== undefined ? { lastCommentId: previous.lastCommentId } : {}),
+  };
+}
+
+// Сравнение найденных задач с прошлым снимком. Без прошлого снимка (первый опрос) изменений
+// нет — снимок только запоминается. Ушедшие из фильтра задачи не отмечаются, если выборка
+// обрезана: задача могла просто не попасть в первые MAX_WATCH_ISSUES
+export function diffWatch(
+  previous: Record<string, IssueSnapshot> | null,
+  issues: Issue[],
+  truncated: boolean
+): WatchDiff {
+  const snapshot: Record<string, IssueSnapshot> = {};
+  const changes: WatchChange[] = [];
+  const updated: string[] = [];
+
+  for (const issue of issues) {
+    const before = previous?.[issue.key];
+    const after = snapshotIssue(issue, before);
+    snapshot[issue.key] = after;
+    if (!previous) {
+      continue;
+    }
+    if (!before) {
+      changes.push({ type: "new", key: issue.key, summary: after.summary, status: after.status.display, assignee: after.assignee });
+      continue;
+    }
+    if (before.status.key !== after.status.key) {
+      changes.push({ type: "status", key: issue.key, summary: after.summary, from: before.status.display, to: after.status.display });
+    }
+    if (before.assignee !== after.assignee) {
+      changes.push({ type: "assignee", key: issue.key, summary: after.summary, from: before.assignee, to: after.assignee });
+    }
+    if (before.updatedAt !== after.updatedAt) {
+      updated.push(issue.key);
+    }
+  }
+
+  if (previous && !truncated) {
+    for (const [key, before] of Object.entries(previous)) {
+      if (!snapshot[key]) {
+        changes.push({ type: "removed", key, summary: before.summary });
+      }
+    }
+  }
+
+  return { changes, snapshot, updated };
+}
+
+// Новые комментарии задачи. Если комментарии уже читались, новыми считаются все после
+// lastCommentId, иначе — созданные после прошлого обновления задачи. Запоминает последний id
+export function takeNewComments(key: string, before: IssueSnapshot, after: IssueSnapshot, comments: Comment[]): WatchChange[] {
+  const fresh = comments.filter((comment) =>
+    before.lastCommentId !== undefined
+      ? comment.id > before.lastCommentId
+      : Date.parse(comment.createdAt) > Date.parse(before.updatedAt)
+  );
+  const lastId = comments.reduce((max, comment) => Math.max(max, comment.id), before.lastCommentId ?? 0);
+  if (lastId > 0) {
+    after.lastCommentId = lastId;
+  }
+
+  return fresh.map((comment) => ({
+    type: "comment",
+    key,
+    summary: after.summary,
+    commentId: comment.id,
+    author: comment.createdBy?.display ?? "Unknown",
+    text:
+      comment.text.length > COMMENT_PREVIEW_LENGTH ? `${comment.text.slice(0, COMMENT_PREVIEW_LENGTH)}…` : comment.text,
+  }));
+}
+
+export function renderChange(change: WatchChange): string {
+  const issue = `${change.key} "${change.summary}"`;
+  switch (change.type) {
+    case "new":
+      return `🆕 ${issue} appeared: ${change.status}, ${change.assignee ?? "unassigned"}`;
+    case "status":
+      return `🔄 ${issue}: ${change.from} → ${change.to}`;
+    case "assignee":
+      return `👤 ${issue} reassigned: ${change.from ?? "Unassigned"} → ${change.to ?? "Unassigned"}`;
+    case "comment":
+      return `💬 ${issue}: new comment by ${change.author}: ${change.text.replace(/\s+/g, " ")}`;
+    case "removed":
+      return `📤 ${issue} no longer matches the filter`;
+  }
+}
+
+export function renderWatch(watch: Watch): string {
+  const issues = Object.keys(watch.issues).length;
+  const lines = [
+    `${watch.id} — ${watch.name}`,
+    `  Filter: ${watch.filter}`,
+    `  Profile: ${watch.profile}, every ${watch.intervalSeconds}s`,
+    `  Tracking ${issues} issue${issues === 1 ? "" : "s"}${watch.truncated ? ` (only the first ${MAX_WATCH_ISSUES} matching issues)` : ""}`,
+    `  Last poll: ${watch.lastPolledAt ?? "never"}`,
+  ];
+  if (watch.lastError) {
+    lines.push(`  ⚠️ Last error: ${watch.lastError}`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,198 @@
+import { isoWeek } from "./flow.js";
+import { Issue, Worklog } from "./types.js";
+
+// Учёт времени: разбор длительностей, сводка записей о затраченном времени по пользователям,
+// задачам и неделям и сравнение с оценками задач. Как и в Трекере, рабочий день — 8 часов,
+// рабочая неделя — 5 дней
+
+const HOURS_PER_DAY = 8;
+const DAYS_PER_WEEK = 5;
+
+const NUMBER = "(\\d+(?:[.,]\\d+)?)";
+const ISO_DURATION = new RegExp(`^P(?:${NUMBER}W)?(?:${NUMBER}D)?(?:T(?:${NUMBER}H)?(?:${NUMBER}M)?(?:${NUMBER}S)?)?$`, "i");
+const SHORT_DURATION = new RegExp(`^(?:${NUMBER}\\s*w)?\\s*(?:${NUMBER}\\s*d)?\\s*(?:${NUMBER}\\s*h)?\\s*(?:${NUMBER}\\s*m)?$`, "i");
+
+export interface TimeReport {
+  from: string;
+  to: string;
+  totalMinutes: number;
+  worklogs: number;
+  byUser: Array<{ user: string; minutes: number; worklogs: number }>;
+  byIssue: Array<{ key: string; summary: string; minutes: number }>;
+  byWeek: Array<{ week: string; minutes: number }>;
+}
+
+export interface EstimateComparison {
+  key: string;
+  summary: string;
+  estimateMinutes: number;
+  spentMinutes: number;
+  loggedMinutes: number;
+  // Затрачено минус оценка: положительное значение — перерасход
+  differenceMinutes: number;
+}
+
+// Длительность в минутах из ISO 8601 (PT1H30M, P1D) или краткой записи (1h30m, 1d 4h, 45m)
+export function parseDuration(value: string): number {
+  const text = value.trim();
+  const match = ISO_DURATION.exec(text) ?? SHORT_DURATION.exec(text);
+  if (!text || text.toUpperCase() === "P" || !match || match.slice(1).every((part) => part === undefined)) {
+    throw new Error(`Invalid duration '${value}'. Use ISO 8601 (e.g., 'PT1H30M') or a short form (e.g., '1h30m', '1d 4h', '45m')`);
+  }
+
+  const [weeks, days, hours, minutes, seconds] = match
+    .slice(1)
+    .map((part) => (part === undefined ? 0 : Number(part.replace(",", "."))));
+  const total = Math.round(
+    ((weeks * DAYS_PER_WEEK + days) * HOURS_PER_DAY + hours) * 60 + minutes + (seconds ?? 0) / 60
+  );
+  if (total <= 0) {
+    throw new Error(`Duration '${value}' must be at least one minute`);
+  }
+  return total;
+}
+
+// Длительность для API — в часах и минутах, чтобы не зависеть от рабочего календаря
+export function toIsoDuration(minutes: number): string {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `PT${hours > 0 ? `${hours}H` : ""}${rest > 0 || hours === 0 ? `${rest}M` : ""}`;
+}
+
+// Длительность записи из ответа API; нераспознанные значения считаются нулевыми
+export function durationMinutes(value: string | undefined): number {
+  if (!value) {
+    return 0;
+  }
+  try {
+    return parseDuration(value);
+  } catch {
+    return 0;
+  }
+}
+
+// Затраченное время показываем в часах — в таком виде его сверяют со счетами
+export function formatWorkTime(minutes: number): string {
+  const sign = minutes < 0 ? "-" : "";
+  const absolute = Math.abs(minutes);
+  const hours = Math.floor(absolute / 60);
+  const rest = absolute % 60;
+  if (hours === 0) {
+    return `${sign}${rest}m`;
+  }
+  return `${sign}${hours}h${rest > 0 ? ` ${rest}m` : ""}`;
+}
+
+function sortByMinutes<T extends { minutes: number }>(items: Iterable<T>): T[] {
+  return [...items].sort((a, b) => b.minutes - a.minutes);
+}
+
+export function summarizeWorklogs(worklogs: Worklog[], from: string, to: string): TimeReport {
+  const byUser = new Map<string, { user: string; minutes: number; worklogs: number }>();
+  const byIssue = new Map<string, { key: string; summary: string; minutes: number }>();
+  const byWeek = new Map<string, number>();
+  let totalMinutes = 0;
+
+  for (const worklog of worklogs) {
+    const minutes = durationMinutes(worklog.duration);
+    totalMinutes += minutes;
+
+    const user = worklog.createdBy?.display ?? "Unknown";
+    const userEntry = byUser.get(user) ?? { user, minutes: 0, worklogs: 0 };
+    userEntry.minutes += minutes;
+    userEntry.worklogs++;
+    byUser.set(user, userEntry);
+
+    const issueEntry = byIssue.get(worklog.issue.key) ?? { key: worklog.issue.key, summary: worklog.issue.display, minutes: 0 };
+    issueEntry.minutes += minutes;
+    byIssue.set(worklog.issue.key, issueEntry);
+
+    const week = isoWeek(Date.parse(worklog.start));
+    byWeek.set(week, (byWeek.get(week) ?? 0) + minutes);
+  }
+
+  return {
+    from,
+    to,
+    totalMinutes,
+    worklogs: worklogs.length,
+    byUser: sortByMinutes(byUser.values()),
+    byIssue: sortByMinutes(byIssue.values()),
+    byWeek: [...byWeek.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([week, minutes]) => ({ week, minutes })),
+  };
+}
+
+// Сравнение с оценкой для задач, у которых она есть: исходной (originalEstimation),
+// а если её не задавали — текущей (estimation). Затраченное время берётся из поля spent
+// (за всё время), а если его нет — из записей за период отчёта
+export function compareEstimates(issues: Issue[], report: TimeReport): EstimateComparison[] {
+  const logged = new Map(report.byIssue.map((entry) => [entry.key, entry.minutes]));
+  return issues
+    .filter((issue) => durationMinutes(issue.originalEstimation ?? issue.estimation) > 0)
+    .map((issue) => {
+      const estimateMinutes = durationMinutes(issue.originalEstimation ?? issue.estimation);
+      const loggedMinutes = logged.get(issue.key) ?? 0;
+      const spentMinutes = issue.spent ? durationMinutes(issue.spent) : loggedMinutes;
+      return {
+        key: issue.key,
+        summary: issue.summary,
+        estimateMinutes,
+        spentMinutes,
+        loggedMinutes,
+        differenceMinutes: spentMinutes - estimateMinutes,
+      };
+    })
+    .sort((a, b) => b.differenceMinutes - a.differenceMinutes);
+}
+
+export function renderTimeReport(report: TimeReport, estimates: EstimateComparison[] | null): string {
+  const sections = [
+    `⏱️ Time report ${report.from} — ${report.to}: ${formatWorkTime(report.totalMinutes)} in ${report.worklogs} worklog${report.worklogs === 1 ? "" : "s"}`,
+  ];
+
+  if (report.worklogs > 0) {
+    sections.push(
+      [
+        "By user:",
+        "| User | Time | Worklogs |",
+        "|---|---|---|",
+        ...report.byUser.map((entry) => `| ${entry.user} | ${formatWorkTime(entry.minutes)} | ${entry.worklogs} |`),
+        `| **Total** | **${formatWorkTime(report.totalMinutes)}** | **${report.worklogs}** |`,
+      ].join("\n")
+    );
+    sections.push(
+      [
+        "By issue:",
+        "| Issue | Summary | Time |",
+        "|---|---|---|",
+        ...report.byIssue.map((entry) => `| ${entry.key} | ${entry.summary} | ${formatWorkTime(entry.minutes)} |`),
+      ].join("\n")
+    );
+    sections.push(
+      [
+        "By week:",
+        "| Week | Time |",
+        "|---|---|",
+        ...report.byWeek.map((entry) => `| ${entry.week} | ${formatWorkTime(entry.minutes)} |`),
+      ].join("\n")
+    );
+  }
+
+  if (estimates) {
+    sections.push(
+      estimates.length > 0
+        ? [
+            "Estimates:",
+            "| Issue | Estimate | Spent | Logged in period | Difference |",
+            "|---|---|---|---|---|",
+            ...estimates.map(
+              (entry) =>
+                `| ${entry.key} | ${formatWorkTime(entry.estimateMinutes)} | ${formatWorkTime(entry.spentMinutes)} | ${formatWorkTime(entry.loggedMinutes)} | ${entry.differenceMinutes > 0 ? `⚠️ +${formatWorkTime(entry.differenceMinutes)}` : formatWorkTime(entry.differenceMinutes)} |`
+            ),
+          ].join("\n")
+        : "Estimates: none of the issues has an estimate"
+    );
+  }
+
+  return sections.join("\n\n");
+}